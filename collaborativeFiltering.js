@@ -6,56 +6,72 @@
  * matrix to improve performance and provides functions to calculate collaborative scores.
  */
 
+const { getStorage } = require('./services/storage');
+
+// --- Constants ---
+
+// Rating values used as evidence: liked neighbours pull a candidate up, disliked ones push it down
+const RATING_VALUES = { like: 1, dislike: -1 };
+
+// Shrinkage towards the neutral score: a candidate needs a total similarity mass well above this
+// before its score moves far from neutral (score *= mass / (mass + COLLAB_SHRINKAGE))
+const COLLAB_SHRINKAGE = 1.0;
+
+// Score of a candidate without any collaborative evidence (scores are normalised to 0-1)
+const NEUTRAL_COLLAB_SCORE = 0.5;
+
 // --- Item Similarity Cache & Fetching Logic ---
-let similarityMatrixCache = null; // Simple in-memory cache for item similarity matrix
+let similarityIndexCache = null; // Simple in-memory cache for the keyed neighbour index
 
 /**
- * Fetches the item similarity matrix from Supabase, caches it, 
- * and reshapes it for easy lookup.
- * @returns {Promise<object>} - The similarity matrix structured as { itemId: [ {id, sim}, ... ] }
+ * Fetches the item similarity matrix from storage, caches it,
+ * and reshapes it into a keyed neighbour index for O(1) lookups.
+ * Rows are added in both directions, since top-K pruning can keep a pair for only one of its items.
+ * @returns {Promise<Map<string, Map<string, number>>>} - The index structured as itemId -> (neighbourId -> sim)
  */
 async function getItemSimilarity() {
   // Return cached version if available to improve performance
-  if (similarityMatrixCache) {
-    console.log("Returning cached item similarity matrix (from collaborativeFiltering).");
-    return similarityMatrixCache;
-  }
-
-  // Set up Supabase client
-  const { createClient } = require('@supabase/supabase-js');
-  const supabaseUrl = process.env.SUPABASE_URL;
-  const supabaseKey = process.env.SUPABASE_KEY;
-
-  if (!supabaseUrl || !supabaseKey) {
-    console.error("Supabase URL/Key missing in collaborativeFiltering. Cannot fetch similarities.");
-    throw new Error("Supabase connection details missing.");
+  if (similarityIndexCache) {
+    console.log("Returning cached item similarity index (from collaborativeFiltering).");
+    return similarityIndexCache;
   }
-  const supabase = createClient(supabaseUrl, supabaseKey);
 
-  // Fetch similarity data from database
-  console.log("Fetching item similarity matrix from Supabase (within collaborativeFiltering)...");
-  const { data, error } = await supabase
-    .from('item_similarity')
-    .select('item_id, neighbour_id, sim');
+  // Fetch similarity data from the configured storage backend
+  console.log("Fetching item similarity matrix from storage (within collaborativeFiltering)...");
+  const { data, error } = await getStorage().getItemSimilarity();
 
   if (error) {
     console.error("Error fetching item similarity (within collaborativeFiltering):", error);
     throw error; // Re-throw the error
   }
 
-  // Reshape data into a more efficient lookup structure: { itemId: [ {id, sim}, … ] }
-  console.log("Reshaping and caching item similarity matrix (within collaborativeFiltering).");
-  similarityMatrixCache = data.reduce((accumulator, row) => {
-    // Create array for this item if it doesn't exist yet
-    if (!accumulator[row.item_id]) {
-      accumulator[row.item_id] = [];
-    }
-    // Add this neighbor and similarity
-    accumulator[row.item_id].push({ id: row.neighbour_id, sim: row.sim });
-    return accumulator;
-  }, {});
+  console.log("Indexing and caching item similarity matrix (within collaborativeFiltering).");
+  similarityIndexCache = buildNeighbourIndex(data || []);
+  return similarityIndexCache;
+}
 
-  return similarityMatrixCache;
+/**
+ * Builds the keyed neighbour index from item_similarity rows.
+ * @param {{item_id: string, neighbour_id: string, sim: number}[]} rows - The similarity rows.
+ * @returns {Map<string, Map<string, number>>} itemId -> (neighbourId -> sim)
+ */
+function buildNeighbourIndex(rows) {
+  const index = new Map();
+  const link = (from, to, sim) => {
+    if (!index.has(from)) index.set(from, new Map());
+    const neighbours = index.get(from);
+    // Keep the larger value if a pair is stored in both directions
+    if (!neighbours.has(to) || neighbours.get(to) < sim) neighbours.set(to, sim);
+  };
+
+  for (const row of rows) {
+    if (!row.item_id || !row.neighbour_id || row.item_id === row.neighbour_id) continue;
+    const sim = Number(row.sim);
+    if (!Number.isFinite(sim) || sim <= 0) continue;
+    link(row.item_id, row.neighbour_id, sim);
+    link(row.neighbour_id, row.item_id, sim);
+  }
+  return index;
 }
 
 /**
@@ -64,102 +80,123 @@ async function getItemSimilarity() {
  */
 function invalidateSimilarityCache() {
   console.log("Invalidating item similarity cache (within collaborativeFiltering).");
-  similarityMatrixCache = null;
+  similarityIndexCache = null;
 }
 
 /**
- * Calculates collaborative filtering scores for destinations based on user likes and item similarities.
- *
- * @param {object} userPreferences - The user's preference profile, including destinationRatings.
+ * Scores candidates from the neighbours of rated destinations (the formula of calculateCollaborativeScores).
+ * Does no fetching or logging, so it can be called many times, e.g. to simulate additional ratings.
+ * @param {Map<string, Map<string, number>>} neighbourIndex - The neighbour index (see getItemSimilarity).
+ * @param {object} destinationRatings - Destination ID -> 'like' | 'dislike'.
  * @param {object[]} allDestinations - Array of all destination objects, used to iterate candidates.
- * @returns {Promise<object>} An object mapping destination IDs to their collaborative scores: { destId: score, ... }.
+ * @returns {{collaborativeScores: object, evidenceCount: number}} Scores of the unrated destinations
+ *          (empty without ratings) and the number of candidates with evidence.
  */
-async function calculateCollaborativeScores(userPreferences, allDestinations) {
-  // --- Fetch Item Similarity Data --- 
-  let itemSimilarityData = {};
-  try {
-    // Fetch and cache the similarity matrix
-    itemSimilarityData = await getItemSimilarity();
-    console.log(`Successfully fetched/retrieved item similarity data for ${Object.keys(itemSimilarityData).length} items inside collaborativeFiltering.`);
-  } catch (error) {
-    console.error("Failed to get item similarity data inside collaborativeFiltering:", error);
-    console.warn("Collaborative filtering will be disabled.");
-    return {}; // Return empty scores if fetching failed
+function scoreFromNeighbours(neighbourIndex, destinationRatings, allDestinations) {
+  // --- Extract Rated Destinations --- 
+  const ratedDestinations = new Map(); // destId -> +1 (like) | -1 (dislike)
+  for (const [destId, rating] of Object.entries(destinationRatings || {})) {
+    if (RATING_VALUES[rating] !== undefined) {
+      ratedDestinations.set(destId, RATING_VALUES[rating]);
+    }
   }
-
-  // If item similarity data is empty (e.g., DB table is empty or fetch failed silently)
-  if (Object.keys(itemSimilarityData).length === 0) {
-    console.warn("Item similarity data is empty. Cannot calculate collaborative scores.");
-    return {};
+  if (ratedDestinations.size === 0) {
+    return { collaborativeScores: {}, evidenceCount: 0 };
   }
 
-  // --- Extract Liked and Rated Destinations --- 
-  const likedDestinationIds = [];
-  const ratedDestinationIds = new Set(); // Keep track of all destinations rated by the user
-
-  // Extract liked destination IDs and populate the set of all rated destinations
-  if (userPreferences.destinationRatings) {
-    for (const [destId, rating] of Object.entries(userPreferences.destinationRatings)) {
-      ratedDestinationIds.add(destId);
-      if (rating === 'like') {
-        likedDestinationIds.push(destId);
-      }
+  // --- Accumulate Evidence from the Neighbours of Rated Destinations --- 
+  const evidence = new Map(); // candidateId -> { weighted, mass }
+  for (const [ratedId, rating] of ratedDestinations) {
+    const neighbours = neighbourIndex.get(ratedId);
+    if (!neighbours) continue;
+
+    for (const [candidateId, sim] of neighbours) {
+      if (ratedDestinations.has(candidateId)) continue; // Skip destinations the user has already rated
+      const entry = evidence.get(candidateId) ?? { weighted: 0, mass: 0 };
+      entry.weighted += sim * rating;
+      entry.mass += sim;
+      evidence.set(candidateId, entry);
     }
   }
 
-  // If the user hasn't liked any destinations, collaborative filtering cannot be applied.
-  if (likedDestinationIds.length === 0) {
-    console.log("No liked destinations found for user, skipping collaborative filtering.");
-    return {}; // Return empty scores
-  }
-
-  console.log(`Calculating collaborative scores based on ${likedDestinationIds.length} liked destinations: [${likedDestinationIds.join(', ')}]`);
-
   // --- Calculate Scores --- 
   const collaborativeScores = {};
-
-  // Iterate through all candidate destinations
   for (const destination of allDestinations) {
     const candidateId = destination.id;
+    if (ratedDestinations.has(candidateId)) continue;
 
-    // Skip destinations the user has already rated (liked or disliked)
-    if (ratedDestinationIds.has(candidateId)) {
+    const entry = evidence.get(candidateId);
+    if (!entry || entry.mass <= 0) {
+      collaborativeScores[candidateId] = NEUTRAL_COLLAB_SCORE;
       continue;
     }
 
-    let scoreNumerator = 0;
-    let scoreDenominator = 0;
-
-    // Iterate through the destinations the user LIKED
-    for (const likedId of likedDestinationIds) {
-      // Find the similarity between the liked item (likedId) and the candidate item (candidateId)
-      const neighboursOfLikedItem = itemSimilarityData[likedId] || [];
-      const neighbourEntry = neighboursOfLikedItem.find(neighbour => neighbour.id === candidateId);
-      const similarity = neighbourEntry ? neighbourEntry.sim : 0;
-
-      if (similarity > 0) {
-        // Standard collaborative filtering formula: sum(similarity * rating) / sum(similarity)
-        // Since our ratings are implicitly 1 (liked), this simplifies:
-        scoreNumerator += similarity; // Add the similarity (similarity * 1)
-        scoreDenominator += similarity; // Add the similarity for the denominator
-      }
-    }
+    const raw = entry.weighted / entry.mass;
+    const shrunk = raw * entry.mass / (entry.mass + COLLAB_SHRINKAGE);
+    collaborativeScores[candidateId] = NEUTRAL_COLLAB_SCORE + 0.5 * shrunk;
+  }
 
-    // Calculate the final score for the candidate
-    // Avoid division by zero
-    const finalScore = scoreDenominator > 0 ? scoreNumerator / scoreDenominator : 0;
+  return { collaborativeScores, evidenceCount: evidence.size };
+}
 
-    if (finalScore > 0) {
-      collaborativeScores[candidateId] = finalScore;
+/**
+ * Calculates collaborative filtering scores for destinations based on the user's likes, dislikes and item similarities.
+ *
+ * For each unrated candidate c, with rated destinations j (like = +1, dislike = -1) and similarities s(c, j):
+ *   raw    = sum(s * rating) / sum(s)                  (-1 .. 1)
+ *   shrunk = raw * mass / (mass + COLLAB_SHRINKAGE)    where mass = sum(s)
+ *   score  = 0.5 + 0.5 * shrunk                        (0 .. 1, 0.5 = no evidence either way)
+ *
+ * Only the neighbours of rated destinations are visited, so the cost grows with the number of
+ * ratings and neighbours rather than with catalog size x ratings.
+ *
+ * @param {object} userPreferences - The user's preference profile, including destinationRatings.
+ * @param {object[]} allDestinations - Array of all destination objects, used to iterate candidates.
+ * @param {Map<string, Map<string, number>>} [neighbourIndex] - Item similarity index to use instead of the stored one
+ *                                                           (e.g. one built without the record being evaluated).
+ * @returns {Promise<object>} An object mapping every unrated destination ID to its collaborative score: { destId: score, ... }.
+ *                            Empty if collaborative filtering is unavailable or the user has no ratings.
+ */
+async function calculateCollaborativeScores(userPreferences, allDestinations, neighbourIndex = null) {
+  // --- Fetch Item Similarity Data --- 
+  if (!neighbourIndex) {
+    try {
+      // Fetch and cache the similarity index
+      neighbourIndex = await getItemSimilarity();
+      console.log(`Successfully fetched/retrieved item similarity data for ${neighbourIndex.size} items inside collaborativeFiltering.`);
+    } catch (error) {
+      console.error("Failed to get item similarity data inside collaborativeFiltering:", error);
+      console.warn("Collaborative filtering will be disabled.");
+      return {}; // Return empty scores if fetching failed
     }
   }
 
-  console.log(`Calculated collaborative scores for ${Object.keys(collaborativeScores).length} destinations.`);
+  // If item similarity data is empty (e.g., DB table is empty or fetch failed silently)
+  if (neighbourIndex.size === 0) {
+    console.warn("Item similarity data is empty. Cannot calculate collaborative scores.");
+    return {};
+  }
+
+  const ratedCount = Object.values(userPreferences.destinationRatings || {})
+    .filter(rating => RATING_VALUES[rating] !== undefined).length;
+  if (ratedCount === 0) {
+    console.log("No rated destinations found for user, skipping collaborative filtering.");
+    return {}; // Return empty scores
+  }
+
+  console.log(`Calculating collaborative scores based on ${ratedCount} rated destinations.`);
+  const { collaborativeScores, evidenceCount } = scoreFromNeighbours(neighbourIndex, userPreferences.destinationRatings, allDestinations);
+
+  console.log(`Calculated collaborative scores for ${Object.keys(collaborativeScores).length} destinations (${evidenceCount} with evidence).`);
   return collaborativeScores;
 }
 
 // Use CommonJS exports for Node.js
 module.exports = {
   calculateCollaborativeScores,
-  invalidateSimilarityCache // Export the invalidation function
-}; 
\ No newline at end of file
+  scoreFromNeighbours,
+  getItemSimilarity,
+  buildNeighbourIndex,
+  invalidateSimilarityCache, // Export the invalidation function
+  NEUTRAL_COLLAB_SCORE
+};
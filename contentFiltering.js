@@ -7,6 +7,35 @@
  * into a final content score.
  */
 
+// ====================
+// Constants
+// ====================
+
+// Scoring weights for the different content factors (scores are stored as `${factor}Score`)
+const CONTENT_WEIGHTS = {
+  theme: 0.35,
+  climate: 0.15,
+  budget: 0.10,
+  region: 0.25,
+  durationMatch: 0.10,
+  distance: 0.05
+};
+
+// Default content scoring parameters; a runtime scoring configuration may override any of them
+const DEFAULT_CONTENT_CONFIG = {
+  weights: CONTENT_WEIGHTS,
+  climateSigma: 5,            // Steepness of the Gaussian climate curve (°C)
+  distanceThresholds: {       // Shortest trip length (days) -> km before distance penalties apply
+    1: 500,
+    2: 1500,
+    4: 3000,
+    7: 6000,
+    10: 15000
+  },
+  regionMismatchScore: 0.3,   // Region score of destinations outside the preferred regions
+  budgetDistancePenalty: 0.5  // Budget score lost per budget level between user and destination
+};
+
 // ====================
 // Helper Functions
 // ====================
@@ -157,6 +186,22 @@ function gaussianClimateScore(avgTemp, desiredMid, sigma = 5) {
   return Math.max(0, Math.min(1, Math.exp(-(delta * delta) / (2 * sigma * sigma))));
 }
 
+/**
+ * Looks up the distance (km) beyond which a trip of the given length is penalised.
+ * Uses the threshold of the longest configured trip length that fits into `days`,
+ * or the shortest one if `days` is below all of them.
+ * @param {Record<string, number>} thresholds - Trip length in days -> distance in km.
+ * @param {number} days - The shortest trip length the user selected.
+ * @returns {number} The distance threshold in km.
+ */
+function getDistanceThreshold(thresholds, days) {
+  const entries = Object.entries(thresholds)
+    .map(([threshold, km]) => [Number(threshold), km])
+    .sort((a, b) => a[0] - b[0]);
+  if (entries.length === 0) return 0;
+  const fitting = entries.filter(([threshold]) => threshold <= days);
+  return fitting.length > 0 ? fitting[fitting.length - 1][1] : entries[0][1];
+}
 
 // ==========================
 // Content Scoring Logic
@@ -167,11 +212,17 @@ function gaussianClimateScore(avgTemp, desiredMid, sigma = 5) {
  * @param {object} userPreferences - The user's preference profile.
  * @param {object[]} allDestinations - Array of all destination objects.
  * @param {number[]} userThemeVector - The user's theme preference vector (potentially adjusted).
+ * @param {object} [config=DEFAULT_CONTENT_CONFIG] - Content scoring parameters: factor weights, climate sigma,
+ *                                                 distance thresholds, region mismatch score and budget penalty.
  * @returns {object} A map where keys are destination IDs and values are objects containing detailed content scores.
  *                   Example: { destId1: { id: destId1, themeScore: ..., climateScore: ..., contentScore: ... }, ... }
  */
-function calculateContentScores(userPreferences, allDestinations, userThemeVector) {
+function calculateContentScores(userPreferences, allDestinations, userThemeVector, config = DEFAULT_CONTENT_CONFIG) {
   const contentScoresMap = {};
+  const { weights, climateSigma, distanceThresholds, regionMismatchScore, budgetDistancePenalty } = {
+    ...DEFAULT_CONTENT_CONFIG,
+    ...config
+  };
 
   // Pre-process user preferences for efficiency
   const userTravelMonths = userPreferences.travelMonths?.map(m => m.toLowerCase()) || [];
@@ -180,16 +231,6 @@ function calculateContentScores(userPreferences, allDestinations, userThemeVecto
   const userTravelDurations = userPreferences.travelDuration?.map(d => d.toLowerCase().replace(' ', '-')) || [];
   const hasOrigin = userPreferences.originLocation?.lat != null && userPreferences.originLocation?.lon != null;
 
-  // Define scoring weights for different factors
-  const weights = {
-    theme: 0.35,
-    climate: 0.15,
-    budget: 0.10,
-    region: 0.25,
-    durationMatch: 0.10,
-    distance: 0.05
-  };
-
   // Calculate scores for each destination
   allDestinations.forEach(destination => {
     const scores = { id: destination.id }; // Initialize score object for this destination
@@ -212,7 +253,7 @@ function calculateContentScores(userPreferences, allDestinations, userThemeVecto
           if (monthIndex) {
             const avgTemp = getAverageTemperature(destination, monthIndex);
             if (avgTemp !== null) {
-              monthlyClimateScores.push(gaussianClimateScore(avgTemp, userMidTemp, 5));
+              monthlyClimateScores.push(gaussianClimateScore(avgTemp, userMidTemp, climateSigma));
             }
           }
         });
@@ -231,7 +272,7 @@ function calculateContentScores(userPreferences, allDestinations, userThemeVecto
           scores.budgetScore = 1;
         } else {
           const minDistance = Math.min(...userLevels.map(u => Math.abs(u - destLevelNum)));
-          scores.budgetScore = Math.max(0, 1 - 0.5 * minDistance);
+          scores.budgetScore = Math.max(0, 1 - budgetDistancePenalty * minDistance);
         }
       }
     }
@@ -239,7 +280,7 @@ function calculateContentScores(userPreferences, allDestinations, userThemeVecto
     // 4. Region Score - check if destination region matches user's preferred regions
     if (userPreferredRegions.length > 0 && destination.region) {
       const regionMatch = userPreferredRegions.includes(destination.region.toLowerCase());
-      scores.regionScore = regionMatch ? 1 : 0.3;
+      scores.regionScore = regionMatch ? 1 : regionMismatchScore;
     }
 
     // 5a. Duration Match Score - check if destination's ideal durations match user preferences
@@ -270,8 +311,7 @@ function calculateContentScores(userPreferences, allDestinations, userThemeVecto
         const userDays = userTravelDurations.map(mapDurationToDays).filter(days => days !== null);
         if (userDays.length > 0) {
           const minUserDays = Math.min(...userDays);
-          const thresholds = { 1: 500, 2: 1500, 4: 3000, 7: 6000, 10: 15000 };
-          const relevantThreshold = thresholds[minUserDays] ?? thresholds[10];
+          const relevantThreshold = getDistanceThreshold(distanceThresholds, minUserDays);
           if (km > relevantThreshold && relevantThreshold > 0) {
             penaltyMultiplier = Math.max(0.1, relevantThreshold / km);
           }
@@ -307,4 +347,11 @@ function calculateContentScores(userPreferences, allDestinations, userThemeVecto
 // ==========================
 module.exports = {
   calculateContentScores,
+  CONTENT_WEIGHTS,
+  DEFAULT_CONTENT_CONFIG,
+  haversineDistance,
+  getMonthIndex,
+  getAverageTemperature,
+  mapBudgetToNumber,
+  mapDurationToDays,
 }; 
\ No newline at end of file
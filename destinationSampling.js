@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Coverage-maximizing sampling of the onboarding rating deck for Travolo
+ *
+ * A uniformly random deck can easily consist of ten beach towns, and ratings of ten similar
+ * destinations teach the recommendation algorithm very little. This module picks a deck that
+ * is spread out across theme-vector space and regions with greedy farthest-point sampling:
+ * each next pick maximises its distance to the closest destination already in the deck.
+ *
+ * The distance between two destinations blends
+ * - the angle between their mean-centred theme vectors (what makes each place special), and
+ * - whether they lie in different regions.
+ *
+ * A seeded pseudo-random generator picks the first destination and chooses among near-best
+ * candidates, so the same seed and catalog always produce the same deck.
+ */
+
+const crypto = require('crypto');
+const { THEME_KEYS } = require('./services/preferenceValidation');
+
+// ====================
+// Constants
+// ====================
+
+// How much each attribute contributes to the distance between two destinations (sums to 1)
+const COVERAGE_WEIGHTS = {
+  theme: 0.7,
+  region: 0.3
+};
+
+// Candidates within this fraction of the best distance are treated as equally good,
+// so different seeds produce different decks without giving up coverage
+const SAMPLING_SLACK = 0.1;
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * @param {string | number} seed - The seed; strings are hashed.
+ * @returns {() => number} A function returning numbers in [0, 1).
+ */
+function createRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a destination's theme vector centred on its own mean, so that the vector
+ * describes which themes stand out rather than how high the scores are overall.
+ * @param {object} destination - The destination.
+ * @returns {number[]} The centred theme vector.
+ */
+function centredThemeVector(destination) {
+  const themes = THEME_KEYS.map(key => destination[key] ?? 0);
+  const mean = themes.reduce((sum, value) => sum + value, 0) / themes.length;
+  return themes.map(value => value - mean);
+}
+
+/**
+ * Calculates the coverage distance between two destinations (0 = same profile, 1 = opposite).
+ * @param {{vector: number[], region: string}} a - The first destination's features.
+ * @param {{vector: number[], region: string}} b - The second destination's features.
+ * @returns {number} The distance between 0 and 1.
+ */
+function coverageDistance(a, b) {
+  let dotProduct = 0;
+  let magnitudeA = 0;
+  let magnitudeB = 0;
+  for (let i = 0; i < a.vector.length; i++) {
+    dotProduct += a.vector[i] * b.vector[i];
+    magnitudeA += a.vector[i] * a.vector[i];
+    magnitudeB += b.vector[i] * b.vector[i];
+  }
+  // Flat profiles (all themes equal) have no direction; treat them as orthogonal to everything
+  const cosine = magnitudeA === 0 || magnitudeB === 0 ? 0 : dotProduct / (Math.sqrt(magnitudeA) * Math.sqrt(magnitudeB));
+  const themeDistance = (1 - cosine) / 2;
+  const regionDistance = a.region === b.region ? 0 : 1;
+
+  return COVERAGE_WEIGHTS.theme * themeDistance + COVERAGE_WEIGHTS.region * regionDistance;
+}
+
+// ==========================
+// Sampling Logic
+// ==========================
+
+/**
+ * Samples a rating deck that covers the catalog's theme space and regions.
+ * @param {object[]} destinations - The destination catalog.
+ * @param {object} options
+ * @param {number} options.limit - Number of destinations in the deck.
+ * @param {string[]} [options.excludeIds=[]] - Destinations the user has already rated.
+ * @param {string | number} options.seed - Seed of the pseudo-random choices.
+ * @returns {object[]} The deck, in pick order.
+ */
+function sampleCoverageDeck(destinations, { limit, excludeIds = [], seed }) {
+  const random = createRandom(seed);
+  const excluded = new Set(excludeIds);
+
+  // Sort by id first so the deck does not depend on the order storage returns rows in
+  const candidates = destinations
+    .filter(destination => !excluded.has(destination.id))
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+    .map(destination => ({
+      destination,
+      vector: centredThemeVector(destination),
+      region: String(destination.region ?? '').toLowerCase(),
+      // Distance to the closest destination already in the deck
+      minDistance: Infinity
+    }));
+
+  const deck = [];
+  while (candidates.length > 0 && deck.length < limit) {
+    let pickIndex;
+    if (deck.length === 0) {
+      pickIndex = Math.floor(random() * candidates.length);
+    } else {
+      const bestDistance = Math.max(...candidates.map(candidate => candidate.minDistance));
+      const nearBest = candidates
+        .map((candidate, index) => ({ candidate, index }))
+        .filter(({ candidate }) => candidate.minDistance >= bestDistance * (1 - SAMPLING_SLACK));
+      pickIndex = nearBest[Math.floor(random() * nearBest.length)].index;
+    }
+
+    const [picked] = candidates.splice(pickIndex, 1);
+    deck.push(picked.destination);
+    candidates.forEach(candidate => {
+      candidate.minDistance = Math.min(candidate.minDistance, coverageDistance(candidate, picked));
+    });
+  }
+
+  console.log(`Sampled a rating deck of ${deck.length} destinations (seed ${seed}, ${excluded.size} excluded).`);
+  return deck;
+}
+
+// ==========================
+// Exports
+// ==========================
+module.exports = {
+  sampleCoverageDeck,
+  createRandom,
+  COVERAGE_WEIGHTS
+};
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Diversity-aware re-ranking for the Travolo recommendation engine
+ *
+ * The hybrid score ranks destinations purely by relevance, which tends to put
+ * near-identical destinations (e.g. three islands in the same country) at the top.
+ * This module re-ranks a relevance-sorted list with Maximal Marginal Relevance (MMR):
+ * each next pick maximises
+ *
+ *   (1 - diversity) * relevance - diversity * (max similarity to the items already picked)
+ *
+ * where similarity between two destinations blends same-country, same-region and
+ * theme vector cosine similarity.
+ */
+
+const { THEME_KEYS } = require('./services/preferenceValidation');
+
+// ====================
+// Constants
+// ====================
+
+// How much each attribute contributes to the similarity between two destinations (sums to 1)
+const SIMILARITY_WEIGHTS = {
+  country: 0.4,
+  region: 0.2,
+  theme: 0.4
+};
+
+// Only the head of the ranking is re-ranked; the rest keeps its relevance order.
+// The head is sized by the largest page, not the requested one, so every page is cut from the same re-ranking.
+const MIN_CANDIDATE_POOL = 50;
+const CANDIDATE_POOL_FACTOR = 5;
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Calculates the cosine similarity between two vectors.
+ * @param {number[]} vecA - The first vector.
+ * @param {number[]} vecB - The second vector.
+ * @returns {number} The cosine similarity (0 to 1), or 0 if either vector is zero.
+ */
+function cosineSimilarity(vecA, vecB) {
+  let dotProduct = 0;
+  let magnitudeA = 0;
+  let magnitudeB = 0;
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    magnitudeA += vecA[i] * vecA[i];
+    magnitudeB += vecB[i] * vecB[i];
+  }
+  if (magnitudeA === 0 || magnitudeB === 0) return 0;
+  return dotProduct / (Math.sqrt(magnitudeA) * Math.sqrt(magnitudeB));
+}
+
+/**
+ * Calculates how similar two destinations are (0 = nothing in common, 1 = same place profile).
+ * @param {object} destA - The first destination.
+ * @param {object} destB - The second destination.
+ * @returns {number} The similarity between 0 and 1.
+ */
+function destinationSimilarity(destA, destB) {
+  const sameCountry = destA.country && destB.country &&
+    destA.country.toLowerCase() === destB.country.toLowerCase() ? 1 : 0;
+  const sameRegion = destA.region && destB.region &&
+    destA.region.toLowerCase() === destB.region.toLowerCase() ? 1 : 0;
+  const themeSimilarity = cosineSimilarity(
+    THEME_KEYS.map(key => destA[key] ?? 0),
+    THEME_KEYS.map(key => destB[key] ?? 0)
+  );
+
+  return SIMILARITY_WEIGHTS.country * sameCountry +
+    SIMILARITY_WEIGHTS.region * sameRegion +
+    SIMILARITY_WEIGHTS.theme * themeSimilarity;
+}
+
+// ==========================
+// Re-ranking Logic
+// ==========================
+
+/**
+ * Re-ranks a relevance-sorted list so that the head of the list is diverse.
+ * @param {object[]} rankedScores - Scored items sorted by relevance, each with `id` and `hybridScore`.
+ * @param {Map<string, object>} destinationsById - Destination objects by ID (for country, region and themes).
+ * @param {object} options
+ * @param {number} options.diversity - Trade-off between relevance (0) and diversity (1).
+ * @param {number} options.depth - Number of top positions that must be re-ranked (offset + limit).
+ * @param {number} options.maxLimit - Largest page size a request may ask for (sizes the candidate pool).
+ * @returns {object[]} The re-ranked items. Each gets `relevanceRank` (its position before re-ranking)
+ *                     and `promotedForDiversity` (true if it moved up to make the list more diverse).
+ */
+function diversifyRanking(rankedScores, destinationsById, { diversity, depth, maxLimit }) {
+  const withRelevanceRank = rankedScores.map((item, index) => ({
+    ...item,
+    relevanceRank: index + 1,
+    promotedForDiversity: false
+  }));
+
+  if (!diversity || diversity <= 0 || withRelevanceRank.length <= 1) {
+    return withRelevanceRank;
+  }
+
+  const lambda = Math.min(1, diversity);
+  const poolSize = Math.max(MIN_CANDIDATE_POOL, maxLimit * CANDIDATE_POOL_FACTOR);
+  const pool = withRelevanceRank.slice(0, poolSize);
+  const tail = withRelevanceRank.slice(poolSize);
+
+  // Normalise relevance within the pool so it is on the same 0-1 scale as similarity
+  const maxScore = Math.max(...pool.map(item => item.hybridScore ?? 0));
+  const minScore = Math.min(...pool.map(item => item.hybridScore ?? 0));
+  const scoreRange = maxScore - minScore;
+  const relevanceOf = item => scoreRange > 0 ? ((item.hybridScore ?? 0) - minScore) / scoreRange : 1;
+
+  const selected = [];
+  const remaining = [...pool];
+  // Highest similarity of each remaining candidate to anything selected so far
+  const maxSimilarity = new Map(remaining.map(item => [item.id, 0]));
+
+  while (remaining.length > 0 && selected.length < depth) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((candidate, index) => {
+      const value = (1 - lambda) * relevanceOf(candidate) - lambda * maxSimilarity.get(candidate.id);
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    picked.promotedForDiversity = picked.relevanceRank > selected.length + 1;
+    selected.push(picked);
+
+    // Update the max similarity of the remaining candidates against the new pick
+    const pickedDestination = destinationsById.get(picked.id);
+    if (pickedDestination) {
+      for (const candidate of remaining) {
+        const candidateDestination = destinationsById.get(candidate.id);
+        if (!candidateDestination) continue;
+        const sim = destinationSimilarity(pickedDestination, candidateDestination);
+        if (sim > maxSimilarity.get(candidate.id)) {
+          maxSimilarity.set(candidate.id, sim);
+        }
+      }
+    }
+  }
+
+  // Items that were not needed keep their relevance order after the diversified head
+  return [...selected, ...remaining, ...tail];
+}
+
+// ==========================
+// Exports
+// ==========================
+module.exports = {
+  diversifyRanking,
+  destinationSimilarity
+};
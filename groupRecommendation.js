@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Group trip recommendations for the Travolo recommendation engine
+ *
+ * calculateRecommendations scores the catalog for one traveller. For a group, every member is first
+ * scored on their own, the way calculateRecommendations does it (their own theme scores, photo and
+ * rating adjustments, origin, budget and dates; see rankForRatings in ratingSelection.js). The
+ * member scores of each destination are then combined by an aggregation strategy:
+ *
+ * - 'average':       the mean member score (the group's overall satisfaction)
+ * - 'least-misery':  the lowest member score (nobody is left unhappy)
+ * - 'most-pleasure': the highest member score (somebody is thrilled)
+ *
+ * Two fairness constraints apply on top:
+ * - minMemberMatch (0-100): destinations any member matches below this confidence are left out
+ * - fairness (0-1): greedy re-ranking that favours the member who has been served worst so far.
+ *   Each next pick maximises
+ *
+ *     (1 - fairness) * groupScore + fairness * (score of the least satisfied member)
+ *
+ *   where a member's satisfaction is the sum of their scores over the picks so far, relative to the
+ *   best score any destination reaches for them (ties: the lowest score among the tied members).
+ */
+
+const { mapScoreToConfidence, DEFAULT_RECOMMENDATION_LIMIT, DEFAULT_ADJUSTMENT_CONFIG, HYBRID_WEIGHTS } = require('./recommendationAlgorithm');
+const { rankForRatings } = require('./ratingSelection');
+const { DEFAULT_CONTENT_CONFIG } = require('./contentFiltering');
+const { explainRecommendation } = require('./recommendationExplanation');
+
+// ====================
+// Constants
+// ====================
+
+// Member scores (hybrid, 0-1) -> group score
+const AGGREGATION_STRATEGIES = {
+  'average': scores => scores.reduce((sum, score) => sum + score, 0) / scores.length,
+  'least-misery': scores => Math.min(...scores),
+  'most-pleasure': scores => Math.max(...scores)
+};
+
+const DEFAULT_STRATEGY = 'average';
+
+// Only the head of the ranking is re-ranked for fairness; the rest keeps its group score order
+const MIN_CANDIDATE_POOL = 50;
+const CANDIDATE_POOL_FACTOR = 5;
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Scores the whole catalog for one member.
+ * @param {{name: string, preferences: object}} member - The member and their validated preference profile.
+ * @param {object[]} allDestinations - Array of all destination objects.
+ * @param {object} context - As for rankForRatings (neighbourIndex, contentConfig, hybridWeights, adjustmentConfig).
+ * @returns {object} `{ name, adjustedPreferences, themeVector, contentWeight, collabWeight, scoresById, rankById, bestScore }`.
+ */
+function scoreMember(member, allDestinations, context) {
+  const preferences = member.preferences;
+  const result = rankForRatings(preferences, allDestinations, preferences.destinationRatings || {}, context);
+  return {
+    name: member.name,
+    adjustedPreferences: result.adjustedPreferences,
+    themeVector: result.themeVector,
+    contentWeight: result.contentWeight,
+    collabWeight: result.collabWeight,
+    scoresById: new Map(result.ranking.map(scored => [scored.id, scored])),
+    rankById: new Map(result.ranking.map((scored, index) => [scored.id, index + 1])),
+    bestScore: result.ranking[0]?.hybridScore ?? 0
+  };
+}
+
+/**
+ * Compares two candidates by group score, then by ID (so the ranking is deterministic).
+ */
+function byGroupScore(a, b) {
+  return (b.groupScore - a.groupScore) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+/**
+ * Re-ranks the head of a group-score-sorted list so picks are shared fairly between the members.
+ * @param {object[]} ranked - Candidates sorted by group score (`{ id, groupScore, memberScores }`).
+ * @param {object[]} members - The scored members (bestScore).
+ * @param {object} options
+ * @param {number} options.fairness - Weight of the least satisfied member (0-1).
+ * @param {number} options.depth - Number of picks that must be final (offset + limit).
+ * @returns {object[]} The re-ranked list; items moved up carry `promotedForFairness` and `servedMember`
+ *          (the member they were moved up for, or null while all members were equally served).
+ */
+function rerankForFairness(ranked, members, { fairness, depth }) {
+  if (fairness <= 0 || ranked.length < 2 || members.length < 2) return ranked;
+
+  const poolSize = Math.max(MIN_CANDIDATE_POOL, depth * CANDIDATE_POOL_FACTOR);
+  const pool = ranked.slice(0, poolSize);
+  const rest = ranked.slice(poolSize);
+  const satisfaction = members.map(() => 0);
+  const picked = [];
+
+  while (pool.length > 0 && picked.length < depth) {
+    // The members served worst so far; on ties (e.g. before the first pick) the lowest of their scores
+    // counts, so the member order does not matter
+    const lowest = Math.min(...satisfaction);
+    const least = satisfaction.map((value, i) => i).filter(i => satisfaction[i] - lowest < 1e-9);
+    const leastScore = candidate => Math.min(...least.map(i => candidate.memberScores[i]));
+
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    pool.forEach((candidate, index) => {
+      const value = (1 - fairness) * candidate.groupScore + fairness * leastScore(candidate);
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+
+    const [pick] = pool.splice(bestIndex, 1);
+    members.forEach((member, i) => {
+      satisfaction[i] += member.bestScore > 0 ? pick.memberScores[i] / member.bestScore : 0;
+    });
+    if (bestIndex > 0) {
+      // While every member is equally served, the pick is moved up for the group as a whole
+      const served = least.length < members.length ? least.find(i => pick.memberScores[i] === leastScore(pick)) : null;
+      picked.push({ ...pick, promotedForFairness: true, servedMember: served === null ? null : members[served].name });
+    } else {
+      picked.push(pick);
+    }
+  }
+
+  return [...picked, ...pool, ...rest];
+}
+
+// ==========================
+// Group Recommendation
+// ==========================
+
+/**
+ * Ranks the catalog for a group of travellers.
+ * @param {{name: string, preferences: object}[]} members - The members and their validated preference profiles.
+ * @param {object[]} allDestinations - Array of all destination objects.
+ * @param {object} [options]
+ * @param {string} [options.strategy='average'] - 'average', 'least-misery' or 'most-pleasure'.
+ * @param {number} [options.fairness=0] - Fairness re-ranking weight (0-1); 0 disables it.
+ * @param {number} [options.minMemberMatch=0] - Lowest confidence (0-100) any member may have in a pick.
+ * @param {number} [options.limit=3] - Number of recommendations to return.
+ * @param {number} [options.offset=0] - Number of top-ranked recommendations to skip.
+ * @param {Map<string, Map<string, number>>} [options.neighbourIndex] - Item similarity index (none: content only).
+ * @param {object} [options.scoringConfig] - Scoring configuration ({ content, hybrid, adjustments }).
+ * @returns {{recommendations: object[], members: object[], candidateCount: number, excludedByMinMemberMatch: number}}
+ *          The page of picks (`{ id, rank, groupScore, confidence, groupRank, promotedForFairness, servedMember,
+ *          memberMatches }`), each member's satisfaction with the page, how many destinations met the
+ *          constraints and how many minMemberMatch left out.
+ */
+function calculateGroupRecommendations(members, allDestinations, options = {}) {
+  const {
+    strategy = DEFAULT_STRATEGY,
+    fairness = 0,
+    minMemberMatch = 0,
+    limit = DEFAULT_RECOMMENDATION_LIMIT,
+    offset = 0,
+    neighbourIndex = new Map()
+  } = options;
+  const scoringConfig = options.scoringConfig || {};
+  const aggregate = AGGREGATION_STRATEGIES[strategy];
+  if (!aggregate) {
+    throw new Error(`Unknown aggregation strategy '${strategy}'.`);
+  }
+
+  const context = {
+    neighbourIndex,
+    contentConfig: { ...DEFAULT_CONTENT_CONFIG, ...scoringConfig.content },
+    hybridWeights: { ...HYBRID_WEIGHTS, ...scoringConfig.hybrid },
+    adjustmentConfig: { ...DEFAULT_ADJUSTMENT_CONFIG, ...scoringConfig.adjustments }
+  };
+
+  // --- Step 1: Score the catalog for every member ---
+  console.log(`Scoring ${allDestinations.length} destinations for ${members.length} group members...`);
+  const scoredMembers = members.map(member => scoreMember(member, allDestinations, context));
+
+  // --- Step 2: Aggregate the member scores and apply the minimum match ---
+  let excludedByMinMemberMatch = 0;
+  const candidates = [];
+  allDestinations.forEach(destination => {
+    const memberScores = scoredMembers.map(member => member.scoresById.get(destination.id)?.hybridScore ?? 0);
+    if (minMemberMatch > 0 && memberScores.some(score => mapScoreToConfidence(score) < minMemberMatch)) {
+      excludedByMinMemberMatch++;
+      return;
+    }
+    candidates.push({ id: destination.id, groupScore: aggregate(memberScores), memberScores });
+  });
+  const rankedByGroupScore = candidates.sort(byGroupScore).map((candidate, index) => ({ ...candidate, groupRank: index + 1 }));
+  console.log(`Aggregated with '${strategy}': ${candidates.length} candidates, ${excludedByMinMemberMatch} below the minimum member match of ${minMemberMatch}.`);
+
+  // --- Step 3: Fairness re-ranking over the head of the ranking ---
+  const ranked = rerankForFairness(rankedByGroupScore, scoredMembers, { fairness, depth: offset + limit });
+  if (fairness > 0) {
+    console.log(`Applied fairness re-ranking with fairness=${fairness}.`);
+  }
+
+  // --- Step 4: Explain the page for every member ---
+  const destinationsById = new Map(allDestinations.map(d => [d.id, d]));
+  const recommendations = ranked.slice(offset, offset + limit).map((candidate, pageIndex) => ({
+    id: candidate.id,
+    rank: offset + pageIndex + 1,
+    groupScore: candidate.groupScore,
+    confidence: mapScoreToConfidence(candidate.groupScore),
+    groupRank: candidate.groupRank,
+    promotedForFairness: Boolean(candidate.promotedForFairness),
+    servedMember: candidate.servedMember ?? null,
+    memberMatches: scoredMembers.map(member => {
+      const scored = member.scoresById.get(candidate.id);
+      const explanation = explainRecommendation(scored, {
+        userPreferences: member.adjustedPreferences,
+        userThemeVector: member.themeVector,
+        destination: destinationsById.get(candidate.id) ?? {},
+        contentWeight: member.contentWeight,
+        collabWeight: member.collabWeight,
+        itemSimilarity: neighbourIndex,
+        destinationsById,
+        contentWeights: context.contentConfig.weights
+      });
+      return {
+        name: member.name,
+        confidence: mapScoreToConfidence(scored.hybridScore),
+        memberRank: member.rankById.get(candidate.id),
+        reasons: explanation.reasons,
+        caveats: explanation.caveats
+      };
+    })
+  }));
+
+  // How well the page serves each member: their mean and lowest match, and how many of their own top picks it holds
+  const memberSummaries = scoredMembers.map((member, i) => {
+    const confidences = recommendations.map(rec => rec.memberMatches[i].confidence);
+    return {
+      name: member.name,
+      averageConfidence: confidences.length > 0 ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length) : null,
+      lowestConfidence: confidences.length > 0 ? Math.min(...confidences) : null,
+      ownTopPicks: recommendations.filter(rec => rec.memberMatches[i].memberRank <= offset + limit).length
+    };
+  });
+
+  return { recommendations, members: memberSummaries, candidateCount: candidates.length, excludedByMinMemberMatch };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  calculateGroupRecommendations,
+  AGGREGATION_STRATEGIES,
+  DEFAULT_STRATEGY,
+};
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Item-item similarity computation for the Travolo recommendation engine
+ *
+ * Builds the destination similarity matrix used by collaborative filtering directly
+ * from stored feedback instead of the `refresh_item_similarity` SQL function.
+ *
+ * Every recommendation record counts as one "user". Its ratings are the
+ * `destination_ratings` sent with the preferences plus the like/dislike feedback given
+ * on the recommended destinations (like = +1, dislike = -1).
+ *
+ * Supported metrics:
+ * - 'cosine':          cosine of the rating vectors over co-rating users
+ * - 'adjusted_cosine': like cosine, but each rating is centred on the user's mean rating
+ * - 'jaccard':         |users who liked both| / |users who liked either|
+ *
+ * The model keeps per-pair accumulators, so a single new or changed record is applied
+ * incrementally by removing its old contribution and adding the new one.
+ */
+
+// ====================
+// Constants
+// ====================
+
+const SIMILARITY_METRICS = ['cosine', 'adjusted_cosine', 'jaccard'];
+
+const DEFAULT_SIMILARITY_OPTIONS = {
+  metric: 'cosine',
+  minSupport: 2, // Minimum number of users who rated both items
+  topK: 20       // Neighbours kept per item (0 = keep all)
+};
+
+const RATING_VALUES = { like: 1, dislike: -1 };
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Builds the key of an unordered item pair.
+ * @param {string} itemA - First item ID.
+ * @param {string} itemB - Second item ID.
+ * @returns {string} The pair key with the smaller ID first.
+ */
+function pairKey(itemA, itemB) {
+  return itemA < itemB ? `${itemA}|${itemB}` : `${itemB}|${itemA}`;
+}
+
+/**
+ * Collects the like/dislike feedback given on a record's recommended destinations.
+ * recommendation_items feedback overrides the legacy destination_N_feedback columns.
+ * @param {object} record - A recommendations row.
+ * @param {object[]} [items=[]] - The record's recommendation_items rows.
+ * @returns {Map<string, 'like' | 'dislike'>} Destination ID -> feedback.
+ */
+function extractRecordFeedback(record, items = []) {
+  const feedback = new Map();
+
+  // Legacy columns, for records created before recommendation_items existed
+  for (let slot = 1; slot <= 3; slot++) {
+    const destId = record[`destination_${slot}_id`];
+    const value = record[`destination_${slot}_feedback`];
+    if (destId && RATING_VALUES[value] !== undefined) feedback.set(destId, value);
+  }
+
+  for (const item of items) {
+    if (item.destination_id && RATING_VALUES[item.feedback] !== undefined) {
+      feedback.set(item.destination_id, item.feedback);
+    }
+  }
+
+  return feedback;
+}
+
+/**
+ * Extracts the ratings of one recommendation record as { destinationId: +1 | -1 }.
+ * Feedback on recommended destinations overrides the onboarding rating of the same destination.
+ * @param {object} record - A recommendations row (destination_ratings and destination_N_* columns).
+ * @param {object[]} [items=[]] - The record's recommendation_items rows.
+ * @returns {Record<string, number>} The ratings.
+ */
+function extractRecordRatings(record, items = []) {
+  const ratings = {};
+
+  for (const [destId, rating] of Object.entries(record.destination_ratings || {})) {
+    if (RATING_VALUES[rating] !== undefined) ratings[destId] = RATING_VALUES[rating];
+  }
+
+  extractRecordFeedback(record, items).forEach((value, destId) => {
+    ratings[destId] = RATING_VALUES[value];
+  });
+
+  return ratings;
+}
+
+/**
+ * Validates and fills in similarity options.
+ * @param {object} [options] - Partial options.
+ * @returns {{metric: string, minSupport: number, topK: number}} The complete options.
+ */
+function resolveSimilarityOptions(options = {}) {
+  const resolved = { ...DEFAULT_SIMILARITY_OPTIONS };
+  for (const key of Object.keys(DEFAULT_SIMILARITY_OPTIONS)) {
+    if (options[key] !== undefined && options[key] !== null) resolved[key] = options[key];
+  }
+
+  if (!SIMILARITY_METRICS.includes(resolved.metric)) {
+    throw new Error(`Unknown similarity metric '${resolved.metric}'. Use one of: ${SIMILARITY_METRICS.join(', ')}.`);
+  }
+  if (!Number.isInteger(resolved.minSupport) || resolved.minSupport < 1) {
+    throw new Error('minSupport must be a positive integer.');
+  }
+  if (!Number.isInteger(resolved.topK) || resolved.topK < 0) {
+    throw new Error('topK must be a non-negative integer.');
+  }
+  return resolved;
+}
+
+// ==========================
+// Similarity Model
+// ==========================
+
+/**
+ * Creates an incremental item-item similarity model.
+ * @returns {object} The model with upsertUser, removeUser, similarity and getSimilarityRows.
+ */
+function createSimilarityModel() {
+  const users = new Map();      // userId -> { ratings: Map<itemId, number>, mean: number }
+  const pairs = new Map();      // pairKey -> accumulators
+  const itemPartners = new Map(); // itemId -> Set of items it shares at least one user with
+  const likeCounts = new Map(); // itemId -> number of users who liked it
+
+  /**
+   * Adds (sign = 1) or removes (sign = -1) the contribution of one user.
+   */
+  function applyUser(ratings, mean, sign) {
+    const items = [...ratings.keys()];
+
+    for (const item of items) {
+      if (ratings.get(item) > 0) likeCounts.set(item, (likeCounts.get(item) ?? 0) + sign);
+    }
+
+    for (let a = 0; a < items.length; a++) {
+      for (let b = a + 1; b < items.length; b++) {
+        const key = pairKey(items[a], items[b]);
+        // Keep the accumulators in pair-key order (first item = smaller id)
+        const [first, second] = items[a] < items[b] ? [items[a], items[b]] : [items[b], items[a]];
+        const rFirst = ratings.get(first);
+        const rSecond = ratings.get(second);
+
+        let acc = pairs.get(key);
+        if (!acc) {
+          acc = { support: 0, dot: 0, sqFirst: 0, sqSecond: 0, adjDot: 0, adjSqFirst: 0, adjSqSecond: 0, bothLiked: 0 };
+          pairs.set(key, acc);
+          if (!itemPartners.has(first)) itemPartners.set(first, new Set());
+          if (!itemPartners.has(second)) itemPartners.set(second, new Set());
+          itemPartners.get(first).add(second);
+          itemPartners.get(second).add(first);
+        }
+
+        acc.support += sign;
+        acc.dot += sign * rFirst * rSecond;
+        acc.sqFirst += sign * rFirst * rFirst;
+        acc.sqSecond += sign * rSecond * rSecond;
+        acc.adjDot += sign * (rFirst - mean) * (rSecond - mean);
+        acc.adjSqFirst += sign * (rFirst - mean) * (rFirst - mean);
+        acc.adjSqSecond += sign * (rSecond - mean) * (rSecond - mean);
+        if (rFirst > 0 && rSecond > 0) acc.bothLiked += sign;
+
+        if (acc.support <= 0) {
+          pairs.delete(key);
+          itemPartners.get(first)?.delete(second);
+          itemPartners.get(second)?.delete(first);
+        }
+      }
+    }
+  }
+
+  /**
+   * Removes a user's ratings from the model.
+   * @param {string} userId - The user (recommendation record) ID.
+   * @returns {Set<string>} Items whose similarity rows may have changed.
+   */
+  function removeUser(userId) {
+    const existing = users.get(userId);
+    const affected = new Set();
+    if (!existing) return affected;
+
+    existing.ratings.forEach((_, item) => {
+      affected.add(item);
+      (itemPartners.get(item) || []).forEach(partner => affected.add(partner));
+    });
+    applyUser(existing.ratings, existing.mean, -1);
+    users.delete(userId);
+    return affected;
+  }
+
+  /**
+   * Adds or replaces a user's ratings.
+   * @param {string} userId - The user (recommendation record) ID.
+   * @param {Record<string, number>} ratings - { itemId: +1 | -1 }.
+   * @returns {Set<string>} Items whose similarity rows may have changed.
+   */
+  function upsertUser(userId, ratings) {
+    const affected = removeUser(userId);
+    const ratingMap = new Map(Object.entries(ratings));
+    if (ratingMap.size === 0) return affected;
+
+    const values = [...ratingMap.values()];
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    users.set(userId, { ratings: ratingMap, mean });
+    applyUser(ratingMap, mean, 1);
+
+    ratingMap.forEach((_, item) => {
+      affected.add(item);
+      (itemPartners.get(item) || []).forEach(partner => affected.add(partner));
+    });
+    return affected;
+  }
+
+  /**
+   * Calculates the similarity of a pair from its accumulators.
+   * @returns {number} The similarity, or 0 if undefined.
+   */
+  function pairSimilarity(itemA, itemB, metric) {
+    const acc = pairs.get(pairKey(itemA, itemB));
+    if (!acc) return 0;
+
+    switch (metric) {
+      case 'cosine': {
+        const denominator = Math.sqrt(acc.sqFirst) * Math.sqrt(acc.sqSecond);
+        return denominator > 0 ? acc.dot / denominator : 0;
+      }
+      case 'adjusted_cosine': {
+        const denominator = Math.sqrt(acc.adjSqFirst) * Math.sqrt(acc.adjSqSecond);
+        return denominator > 1e-12 ? acc.adjDot / denominator : 0;
+      }
+      case 'jaccard': {
+        const union = (likeCounts.get(itemA) ?? 0) + (likeCounts.get(itemB) ?? 0) - acc.bothLiked;
+        return union > 0 ? acc.bothLiked / union : 0;
+      }
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Builds the pruned neighbour lists as item_similarity rows.
+   * @param {object} [options] - metric, minSupport and topK (see DEFAULT_SIMILARITY_OPTIONS).
+   * @param {Iterable<string>} [onlyItems] - Restrict the output to these items' neighbour lists.
+   * @returns {{item_id: string, neighbour_id: string, sim: number, support: number}[]} The rows.
+   */
+  function getSimilarityRows(options = {}, onlyItems = null) {
+    const { metric, minSupport, topK } = resolveSimilarityOptions(options);
+    const items = onlyItems ? [...onlyItems] : [...itemPartners.keys()];
+    const rows = [];
+
+    for (const item of items) {
+      const neighbours = [];
+      for (const partner of itemPartners.get(item) || []) {
+        const support = pairs.get(pairKey(item, partner))?.support ?? 0;
+        if (support < minSupport) continue;
+        const sim = pairSimilarity(item, partner, metric);
+        if (sim > 0) neighbours.push({ item_id: item, neighbour_id: partner, sim: Math.round(sim * 1e6) / 1e6, support });
+      }
+      neighbours.sort((a, b) => b.sim - a.sim || b.support - a.support);
+      rows.push(...(topK > 0 ? neighbours.slice(0, topK) : neighbours));
+    }
+    return rows;
+  }
+
+  return {
+    upsertUser,
+    removeUser,
+    getSimilarityRows,
+    similarity: (itemA, itemB, metric = DEFAULT_SIMILARITY_OPTIONS.metric) => pairSimilarity(itemA, itemB, metric),
+    support: (itemA, itemB) => pairs.get(pairKey(itemA, itemB))?.support ?? 0,
+    get userCount() { return users.size; },
+    get itemCount() { return itemPartners.size; }
+  };
+}
+
+/**
+ * Builds a similarity model from stored recommendation records and their items.
+ * @param {object[]} records - recommendations rows.
+ * @param {object[]} [items=[]] - recommendation_items rows (with feedback).
+ * @returns {object} The populated similarity model.
+ */
+function buildSimilarityModel(records, items = []) {
+  const itemsByRecord = new Map();
+  for (const item of items) {
+    if (!itemsByRecord.has(item.recommendation_id)) itemsByRecord.set(item.recommendation_id, []);
+    itemsByRecord.get(item.recommendation_id).push(item);
+  }
+
+  const model = createSimilarityModel();
+  for (const record of records) {
+    model.upsertUser(record.id, extractRecordRatings(record, itemsByRecord.get(record.id)));
+  }
+  return model;
+}
+
+// ==========================
+// Exports
+// ==========================
+module.exports = {
+  createSimilarityModel,
+  buildSimilarityModel,
+  extractRecordRatings,
+  extractRecordFeedback,
+  resolveSimilarityOptions,
+  SIMILARITY_METRICS,
+  DEFAULT_SIMILARITY_OPTIONS
+};
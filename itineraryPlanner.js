@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Multi-stop itinerary planning for the Travolo recommendation engine
+ *
+ * For one-week and long trips, users may want a route through several destinations rather than a
+ * single city. The catalog is scored for the traveller the way calculateRecommendations does it
+ * (see rankForRatings in ratingSelection.js); routes of 2-4 stops are then built from the best matches:
+ *
+ * - Stops are chained geographically: no leg between two consecutive stops is longer than maxLegKm
+ * - A route maximises its total match (the sum of its stops' hybrid scores); routes with the same
+ *   stops are ordered to travel the fewest kilometres, counting the way there from originLocation, so
+ *   routes start near the origin and head away from it
+ * - The trip days are split across the stops by how long each destination is best visited
+ *   (its shortest `ideal_durations`) and how well it matches; every stop gets at least MIN_DAYS_PER_STOP
+ *
+ * The best route is returned with up to MAX_ALTERNATIVES alternatives that visit a different set of stops.
+ */
+
+const { mapScoreToConfidence, DEFAULT_ADJUSTMENT_CONFIG, HYBRID_WEIGHTS } = require('./recommendationAlgorithm');
+const { rankForRatings } = require('./ratingSelection');
+const { DEFAULT_CONTENT_CONFIG, haversineDistance, mapDurationToDays } = require('./contentFiltering');
+const { explainRecommendation } = require('./recommendationExplanation');
+
+// ====================
+// Constants
+// ====================
+
+// Trip durations an itinerary can be built for -> trip length in days
+const ITINERARY_TRIP_DAYS = {
+  'one-week': 7,
+  'long-trip': 14
+};
+
+const MIN_STOPS = 2;
+const MAX_STOPS = 4;
+const MIN_DAYS_PER_STOP = 2;
+const DEFAULT_MAX_LEG_KM = 1500;
+const MAX_ALTERNATIVES = 2;
+
+// Stay (days) of destinations without ideal durations
+const DEFAULT_STOP_DAYS = 3;
+
+// Only the best-matching destinations are chained into routes (bounds the route search)
+const CANDIDATE_POOL_SIZE = 20;
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Returns the trip length for a profile's travel durations: the longest duration an itinerary can be built for.
+ * @param {string[]} [travelDuration] - The profile's (normalized) travel durations.
+ * @returns {number | null} The number of days, or null if none of the durations suits an itinerary.
+ */
+function tripDaysForDurations(travelDuration = []) {
+  const days = travelDuration.map(duration => ITINERARY_TRIP_DAYS[duration]).filter(Boolean);
+  return days.length > 0 ? Math.max(...days) : null;
+}
+
+/**
+ * Returns how many days a destination is best visited for: its shortest ideal duration.
+ * @param {object} destination - The destination object.
+ * @returns {number} The number of days.
+ */
+function idealStopDays(destination) {
+  const days = (destination.ideal_durations || []).map(mapDurationToDays).filter(d => d !== null);
+  return days.length > 0 ? Math.min(...days) : DEFAULT_STOP_DAYS;
+}
+
+/**
+ * Splits the trip days across the stops in proportion to each stop's ideal stay weighted by its match,
+ * with at least MIN_DAYS_PER_STOP each (largest remainder rounding, so the days add up to tripDays).
+ * @param {{idealDays: number, hybridScore: number}[]} stops - The stops of a route.
+ * @param {number} tripDays - The trip length (at least MIN_DAYS_PER_STOP per stop).
+ * @returns {number[]} The days of each stop.
+ */
+function splitDays(stops, tripDays) {
+  const spare = tripDays - stops.length * MIN_DAYS_PER_STOP;
+  const weights = stops.map(stop => stop.idealDays * Math.max(stop.hybridScore, 0.01));
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  const shares = weights.map(w => spare * w / weightSum);
+
+  const days = shares.map(share => MIN_DAYS_PER_STOP + Math.floor(share));
+  let remaining = tripDays - days.reduce((sum, d) => sum + d, 0);
+  const byRemainder = shares
+    .map((share, i) => ({ i, remainder: share - Math.floor(share) }))
+    .sort((a, b) => (b.remainder - a.remainder) || (a.i - b.i));
+  for (let k = 0; remaining > 0; k = (k + 1) % byRemainder.length, remaining--) {
+    days[byRemainder[k].i]++;
+  }
+  return days;
+}
+
+/**
+ * Finds the best ordering of every set of `stopCount` candidates that can be chained within maxLegKm.
+ * @param {object[]} candidates - The candidates (`{ id, hybridScore, coords }`), best match first.
+ * @param {number[][]} legKm - Distance matrix between the candidates.
+ * @param {(number | null)[]} startKm - Distance from the origin to each candidate (null without an origin).
+ * @param {number} stopCount - Number of stops per route.
+ * @param {number} maxLegKm - Longest allowed leg.
+ * @returns {object[]} One route per stop set (`{ stops: number[], matchScore, travelKm }`), in no particular order.
+ */
+function findRoutes(candidates, legKm, startKm, stopCount, maxLegKm) {
+  const bestBySet = new Map();
+
+  const visit = (path, travelKm) => {
+    if (path.length === stopCount) {
+      const key = [...path].sort((a, b) => a - b).join(',');
+      const known = bestBySet.get(key);
+      if (!known || travelKm < known.travelKm) {
+        const matchScore = path.reduce((sum, i) => sum + candidates[i].hybridScore, 0);
+        bestBySet.set(key, { stops: [...path], matchScore, travelKm });
+      }
+      return;
+    }
+    const last = path[path.length - 1];
+    candidates.forEach((_, next) => {
+      if (path.includes(next) || legKm[last][next] > maxLegKm) return;
+      path.push(next);
+      visit(path, travelKm + legKm[last][next]);
+      path.pop();
+    });
+  };
+
+  candidates.forEach((_, first) => visit([first], startKm[first] ?? 0));
+  return [...bestBySet.values()];
+}
+
+/**
+ * Compares two routes by total match, then by kilometres travelled, then by their stops (deterministic order).
+ */
+function byMatchScore(a, b) {
+  return (b.matchScore - a.matchScore) || (a.travelKm - b.travelKm) || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+}
+
+// ==========================
+// Itinerary Planning
+// ==========================
+
+/**
+ * Builds multi-stop itineraries for a traveller.
+ * @param {object} userPreferences - The validated preference profile (originLocation, destinationRatings, ...).
+ * @param {object[]} allDestinations - Array of all destination objects.
+ * @param {object} options
+ * @param {number} options.tripDays - Trip length in days.
+ * @param {number} [options.stops] - Exact number of stops (default: as many as the days allow, at most MAX_STOPS).
+ * @param {number} [options.maxLegKm=1500] - Longest leg between two consecutive stops.
+ * @param {number} [options.alternatives=2] - Number of alternative routes (0-MAX_ALTERNATIVES).
+ * @param {Map<string, Map<string, number>>} [options.neighbourIndex] - Item similarity index (none: content only).
+ * @param {object} [options.scoringConfig] - Scoring configuration ({ content, hybrid, adjustments }).
+ * @returns {{routes: object[], stopCount: number | null, candidateCount: number}} The best route first, then the
+ *          alternatives (`{ rank, matchScore, averageConfidence, totalDistanceKm, startDistanceKm, stops: [{ id, order,
+ *          days, idealDays, hybridScore, confidence, legDistanceKm, reasons, caveats }] }`), the stop count of the
+ *          routes (null if none was found) and how many destinations were chained.
+ */
+function planItineraries(userPreferences, allDestinations, options) {
+  const {
+    tripDays,
+    maxLegKm = DEFAULT_MAX_LEG_KM,
+    alternatives = MAX_ALTERNATIVES,
+    neighbourIndex = new Map()
+  } = options;
+  const scoringConfig = options.scoringConfig || {};
+  const maxStops = options.stops ?? Math.min(MAX_STOPS, Math.floor(tripDays / MIN_DAYS_PER_STOP));
+  const minStops = options.stops ?? MIN_STOPS;
+
+  const context = {
+    neighbourIndex,
+    contentConfig: { ...DEFAULT_CONTENT_CONFIG, ...scoringConfig.content },
+    hybridWeights: { ...HYBRID_WEIGHTS, ...scoringConfig.hybrid },
+    adjustmentConfig: { ...DEFAULT_ADJUSTMENT_CONFIG, ...scoringConfig.adjustments }
+  };
+
+  // --- Step 1: Score the catalog and keep the best matches that have coordinates ---
+  const ranked = rankForRatings(userPreferences, allDestinations, userPreferences.destinationRatings || {}, context);
+  const destinationsById = new Map(allDestinations.map(d => [d.id, d]));
+  const candidates = ranked.ranking
+    .filter(scored => {
+      const destination = destinationsById.get(scored.id);
+      return destination?.latitude != null && destination?.longitude != null;
+    })
+    .slice(0, CANDIDATE_POOL_SIZE)
+    .map(scored => {
+      const destination = destinationsById.get(scored.id);
+      return {
+        ...scored,
+        coords: { lat: destination.latitude, lon: destination.longitude },
+        idealDays: idealStopDays(destination)
+      };
+    });
+  console.log(`Planning ${minStops}-${maxStops} stop itineraries over ${tripDays} days from ${candidates.length} candidates (legs <= ${maxLegKm} km)...`);
+
+  // --- Step 2: Chain the candidates into routes, as many stops as the leg cap allows ---
+  const origin = userPreferences.originLocation;
+  const hasOrigin = origin?.lat != null && origin?.lon != null;
+  const legKm = candidates.map(a => candidates.map(b => haversineDistance(a.coords, b.coords)));
+  const startKm = candidates.map(c => (hasOrigin ? haversineDistance({ lat: origin.lat, lon: origin.lon }, c.coords) : null));
+
+  let stopCount = null;
+  let routes = [];
+  for (let count = maxStops; count >= minStops && routes.length === 0; count--) {
+    routes = findRoutes(candidates, legKm, startKm, count, maxLegKm)
+      .map(route => ({ ...route, key: route.stops.map(i => candidates[i].id).join(',') }));
+    if (routes.length > 0) stopCount = count;
+  }
+  routes.sort(byMatchScore);
+  console.log(stopCount ? `Found ${routes.length} ${stopCount}-stop routes.` : `No ${minStops}-${maxStops} stop route fits legs of ${maxLegKm} km.`);
+
+  // --- Step 3: Split the days and explain the best route and its alternatives ---
+  const explain = (candidate) => explainRecommendation(candidate, {
+    userPreferences: ranked.adjustedPreferences,
+    userThemeVector: ranked.themeVector,
+    destination: destinationsById.get(candidate.id),
+    contentWeight: ranked.contentWeight,
+    collabWeight: ranked.collabWeight,
+    itemSimilarity: neighbourIndex,
+    destinationsById,
+    contentWeights: context.contentConfig.weights
+  });
+
+  const planned = routes.slice(0, 1 + alternatives).map((route, routeIndex) => {
+    const stops = route.stops.map(i => candidates[i]);
+    const days = splitDays(stops, tripDays);
+    const legs = route.stops.map((i, order) => (order === 0 ? null : legKm[route.stops[order - 1]][i]));
+    return {
+      rank: routeIndex + 1,
+      matchScore: route.matchScore,
+      averageConfidence: Math.round(stops.reduce((sum, stop) => sum + mapScoreToConfidence(stop.hybridScore), 0) / stops.length),
+      totalDistanceKm: Math.round(legs.reduce((sum, km) => sum + (km ?? 0), 0)),
+      startDistanceKm: hasOrigin ? Math.round(startKm[route.stops[0]]) : null,
+      stops: stops.map((stop, order) => {
+        const { reasons, caveats } = explain(stop);
+        return {
+          id: stop.id,
+          order: order + 1,
+          days: days[order],
+          idealDays: stop.idealDays,
+          hybridScore: stop.hybridScore,
+          confidence: mapScoreToConfidence(stop.hybridScore),
+          legDistanceKm: legs[order] === null ? null : Math.round(legs[order]),
+          reasons,
+          caveats
+        };
+      })
+    };
+  });
+
+  return { routes: planned, stopCount, candidateCount: candidates.length };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  planItineraries,
+  tripDaysForDurations,
+  splitDays,
+  ITINERARY_TRIP_DAYS,
+  MIN_STOPS,
+  MAX_STOPS,
+  MIN_DAYS_PER_STOP,
+  DEFAULT_MAX_LEG_KM,
+  MAX_ALTERNATIVES,
+};
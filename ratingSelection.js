@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Adaptive selection of the next destination to rate for Travolo
+ *
+ * Destination ratings drive both the theme adjustment (Steps 1-4 of calculateRecommendations)
+ * and collaborative filtering, so some ratings teach the algorithm far more than others.
+ * Instead of a fixed deck, this module looks one rating ahead: for every unrated candidate it
+ * simulates a like and a dislike, re-ranks the catalog for both outcomes and measures
+ * - how much of the current top-k would be replaced (ranking change, 0-1), and
+ * - how far the adjusted theme vector would move (sum of absolute theme changes).
+ *
+ * Both outcomes are weighted by the probability of a like, estimated from the candidate's current
+ * hybrid score. The candidate with the largest expected ranking change (then theme change) is the
+ * most informative one to rate next. Once no single rating is expected to change the top-k by
+ * more than STABILITY_THRESHOLD, the recommendations are considered stable and the client can
+ * stop asking for ratings.
+ */
+
+const { calculateFeedbackAdjustments, calculateThemeAdjustment, DEFAULT_RECOMMENDATION_LIMIT, DEFAULT_ADJUSTMENT_CONFIG, HYBRID_WEIGHTS } = require('./recommendationAlgorithm');
+const { calculateContentScores, DEFAULT_CONTENT_CONFIG } = require('./contentFiltering');
+const { scoreFromNeighbours, NEUTRAL_COLLAB_SCORE } = require('./collaborativeFiltering');
+const { sampleCoverageDeck } = require('./destinationSampling');
+const { THEME_KEYS } = require('./services/preferenceValidation');
+
+// ====================
+// Constants
+// ====================
+
+// Below this expected share of the top-k being replaced, another rating is not worth asking for
+const STABILITY_THRESHOLD = 0.1;
+
+// Each candidate costs two full re-rankings; larger catalogs are narrowed to this many candidates
+const MAX_CANDIDATES = 60;
+
+// The like probability is the current hybrid score, kept away from certainty
+const LIKE_PROBABILITY_BOUNDS = [0.05, 0.95];
+
+// Seed of the coverage sample used to narrow large catalogs (the selection is deterministic)
+const CANDIDATE_SAMPLE_SEED = 'next-to-rate';
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Ranks the catalog for a set of ratings the way calculateRecommendations does (without diversity
+ * re-ranking, paging or logging): photo and feedback adjustment, content and collaborative scores, hybrid blend.
+ * @param {object} userPreferences - The base preference profile (without photo or feedback adjustments).
+ * @param {object[]} allDestinations - Array of all destination objects.
+ * @param {object} destinationRatings - Destination ID -> 'like' | 'dislike'.
+ * @param {object} context
+ * @param {Map<string, Map<string, number>>} context.neighbourIndex - The item similarity index.
+ * @param {object} context.contentConfig - Content scoring configuration.
+ * @param {object} context.hybridWeights - Content/collaborative blend.
+ * @param {object} context.adjustmentConfig - Photo and rating adjustment weights.
+ * @returns {{themeVector: number[], adjustedPreferences: object, contentWeight: number, collabWeight: number,
+ *           ranking: {id: string, hybridScore: number}[]}} The adjusted theme vector and profile, the hybrid blend
+ *          used and the destinations sorted by hybrid score (with their factor, content and collaborative scores).
+ */
+function rankForRatings(userPreferences, allDestinations, destinationRatings, { neighbourIndex, contentConfig, hybridWeights, adjustmentConfig }) {
+  const { adjustments } = calculateFeedbackAdjustments(destinationRatings, allDestinations);
+  const themeVector = calculateThemeAdjustment(userPreferences, adjustments, adjustmentConfig).final;
+  const adjustedPreferences = {
+    ...userPreferences,
+    ...Object.fromEntries(THEME_KEYS.map((key, i) => [key, themeVector[i]])),
+    destinationRatings
+  };
+
+  const contentScores = calculateContentScores(adjustedPreferences, allDestinations, themeVector, contentConfig);
+  const { collaborativeScores } = neighbourIndex.size > 0
+    ? scoreFromNeighbours(neighbourIndex, destinationRatings, allDestinations)
+    : { collaborativeScores: {} };
+
+  const useCollab = Object.keys(destinationRatings).length > 0 && Object.keys(collaborativeScores).length > 0;
+  const contentWeight = useCollab ? hybridWeights.content : 1.0;
+  const collabWeight = useCollab ? hybridWeights.collaborative : 0.0;
+
+  const ranking = allDestinations
+    .map(d => {
+      const collabScore = useCollab ? (collaborativeScores[d.id] ?? NEUTRAL_COLLAB_SCORE) : null;
+      return {
+        ...contentScores[d.id],
+        id: d.id,
+        collabScore,
+        hybridScore: contentWeight * (contentScores[d.id]?.contentScore ?? 0) + collabWeight * (collabScore ?? 0)
+      };
+    })
+    .sort((a, b) => b.hybridScore - a.hybridScore);
+
+  return { themeVector, adjustedPreferences, contentWeight, collabWeight, ranking };
+}
+
+/**
+ * Returns the share of a top-k list that another top-k list replaces.
+ * @param {string[]} before - The current top-k IDs.
+ * @param {string[]} after - The top-k IDs after a rating.
+ * @returns {number} 0 (same destinations) to 1 (all replaced).
+ */
+function topChange(before, after) {
+  if (before.length === 0) return 0;
+  const afterIds = new Set(after);
+  return before.filter(id => !afterIds.has(id)).length / before.length;
+}
+
+/**
+ * Narrows a large candidate set: the best-ranked half (where a rating decides what makes the top-k)
+ * plus a theme/region coverage sample of the rest.
+ * @param {object[]} candidates - Unrated destinations.
+ * @param {Map<string, number>} scoresById - Current hybrid score by destination ID.
+ * @returns {object[]} At most MAX_CANDIDATES destinations.
+ */
+function narrowCandidates(candidates, scoresById) {
+  if (candidates.length <= MAX_CANDIDATES) return candidates;
+
+  const byScore = [...candidates].sort((a, b) => (scoresById.get(b.id) ?? 0) - (scoresById.get(a.id) ?? 0));
+  const head = byScore.slice(0, Math.ceil(MAX_CANDIDATES / 2));
+  const sample = sampleCoverageDeck(byScore.slice(head.length), {
+    limit: MAX_CANDIDATES - head.length,
+    seed: CANDIDATE_SAMPLE_SEED
+  });
+  return [...head, ...sample];
+}
+
+// ==========================
+// Selection Logic
+// ==========================
+
+/**
+ * Selects the unrated destination whose rating is expected to change the recommendations the most.
+ * @param {object} userPreferences - The partial preference profile: theme scores plus any ratings so far.
+ * @param {object[]} allDestinations - Array of all destination objects.
+ * @param {object} [options]
+ * @param {number} [options.k=3] - Size of the top list whose stability is measured.
+ * @param {Map<string, Map<string, number>>} [options.neighbourIndex] - Item similarity index (none: content only).
+ * @param {object} [options.scoringConfig] - Scoring configuration ({ content, hybrid, adjustments }), as for calculateRecommendations.
+ * @returns {object} `{ destination, likeProbability, expectedRankingChange, expectedThemeChange, outcomes,
+ *                   stabilized, topDestinationIds, ratedCount, candidateCount }`; destination is null when
+ *                   every destination has been rated.
+ */
+function selectNextToRate(userPreferences, allDestinations, options = {}) {
+  const { k = DEFAULT_RECOMMENDATION_LIMIT, neighbourIndex = new Map() } = options;
+  const scoringConfig = options.scoringConfig || {};
+  const context = {
+    neighbourIndex,
+    contentConfig: { ...DEFAULT_CONTENT_CONFIG, ...scoringConfig.content },
+    hybridWeights: { ...HYBRID_WEIGHTS, ...scoringConfig.hybrid },
+    adjustmentConfig: { ...DEFAULT_ADJUSTMENT_CONFIG, ...scoringConfig.adjustments }
+  };
+
+  const ratings = { ...(userPreferences.destinationRatings || {}) };
+  const current = rankForRatings(userPreferences, allDestinations, ratings, context);
+  const topDestinationIds = current.ranking.slice(0, k).map(item => item.id);
+  const scoresById = new Map(current.ranking.map(item => [item.id, item.hybridScore]));
+
+  const unrated = allDestinations.filter(d => ratings[d.id] === undefined);
+  const candidates = narrowCandidates(unrated, scoresById);
+
+  const evaluated = candidates.map(candidate => {
+    const [minP, maxP] = LIKE_PROBABILITY_BOUNDS;
+    const likeProbability = Math.max(minP, Math.min(maxP, scoresById.get(candidate.id) ?? 0.5));
+
+    const outcomes = {};
+    for (const rating of ['like', 'dislike']) {
+      const after = rankForRatings(userPreferences, allDestinations, { ...ratings, [candidate.id]: rating }, context);
+      const afterTop = after.ranking.slice(0, k).map(item => item.id);
+      outcomes[rating] = {
+        topDestinationIds: afterTop,
+        rankingChange: topChange(topDestinationIds, afterTop),
+        themeChange: after.themeVector.reduce((sum, value, i) => sum + Math.abs(value - current.themeVector[i]), 0)
+      };
+    }
+
+    const expected = key => likeProbability * outcomes.like[key] + (1 - likeProbability) * outcomes.dislike[key];
+    return {
+      destination: candidate,
+      likeProbability,
+      expectedRankingChange: expected('rankingChange'),
+      expectedThemeChange: expected('themeChange'),
+      outcomes
+    };
+  });
+
+  evaluated.sort((a, b) =>
+    (b.expectedRankingChange - a.expectedRankingChange) ||
+    (b.expectedThemeChange - a.expectedThemeChange) ||
+    (a.destination.id < b.destination.id ? -1 : a.destination.id > b.destination.id ? 1 : 0)
+  );
+
+  const best = evaluated[0] ?? null;
+  const stabilized = !best || best.expectedRankingChange < STABILITY_THRESHOLD;
+  console.log(best
+    ? `Next destination to rate: ${best.destination.id} (expected top-${k} change ${best.expectedRankingChange.toFixed(3)}, ${evaluated.length} candidates${stabilized ? ', stabilized' : ''}).`
+    : 'Every destination has been rated; nothing left to ask.');
+
+  return {
+    destination: best?.destination ?? null,
+    likeProbability: best?.likeProbability ?? null,
+    expectedRankingChange: best?.expectedRankingChange ?? 0,
+    expectedThemeChange: best?.expectedThemeChange ?? 0,
+    outcomes: best?.outcomes ?? null,
+    stabilized,
+    topDestinationIds,
+    ratedCount: Object.keys(ratings).length,
+    candidateCount: evaluated.length
+  };
+}
+
+// ==========================
+// Exports
+// ==========================
+module.exports = {
+  selectNextToRate,
+  rankForRatings,
+  STABILITY_THRESHOLD
+};
@@ -4,17 +4,40 @@
  * This file contains the core logic for generating destination recommendations based on:
  * 1. User preferences (travel themes, climate, budget, etc.)
  * 2. User feedback on previously viewed destinations
- * 3. Hybrid filtering (combining content-based and collaborative filtering)
+ * 3. Photo analysis deltas (from /api/preferences/analyze-images)
+ * 4. Hybrid filtering (combining content-based and collaborative filtering)
  * 
- * The algorithm adjusts user preferences based on feedback and generates
+ * The algorithm adjusts user preferences based on photos and feedback and generates
  * ranked destination recommendations with confidence scores.
  */
 
 // ====================
 // Imports & Dependencies
 // ====================
-const { calculateCollaborativeScores } = require('./collaborativeFiltering');
-const { calculateContentScores } = require('./contentFiltering');
+const { calculateCollaborativeScores, getItemSimilarity, NEUTRAL_COLLAB_SCORE } = require('./collaborativeFiltering');
+const { calculateContentScores, DEFAULT_CONTENT_CONFIG } = require('./contentFiltering');
+const { diversifyRanking } = require('./diversityReranking');
+const { explainRecommendation } = require('./recommendationExplanation');
+const { THEME_KEYS } = require('./services/preferenceValidation');
+
+// ====================
+// Constants
+// ====================
+const DEFAULT_RECOMMENDATION_LIMIT = 3;
+const MAX_RECOMMENDATION_LIMIT = 50;
+
+// Blend of content and collaborative scores once the user has rated destinations
+const HYBRID_WEIGHTS = {
+  content: 0.7,
+  collaborative: 0.3
+};
+
+// How photo-analysis deltas and rating adjustments move the base theme scores
+const DEFAULT_ADJUSTMENT_CONFIG = {
+  photoWeight: 1.0,   // Multiplier of the photo deltas (0 ignores photos)
+  photoMaxDelta: 2,   // Largest change the photos may make to one theme, after weighting
+  ratingsWeight: 1.0  // Multiplier of the rating adjustments
+};
 
 // ====================
 // Helper Functions
@@ -60,6 +83,93 @@ function averageVector(vectors) {
   return sumVector.map(sum => sum / vectors.length);
 }
 
+/**
+ * Calculates the theme adjustments implied by destination ratings (Steps 1-3 of calculateRecommendations):
+ * the difference between the average liked and the average disliked theme vector, rounded away from zero.
+ * @param {object} destinationRatings - Destination ID -> 'like' | 'dislike'.
+ * @param {object[]} allDestinations - Array of all destination objects.
+ * @returns {{ratedFeatures: {destId: string, rating: string, features: number[]}[], likedVector: number[],
+ *            dislikedVector: number[], deltaVector: number[], adjustments: number[], missingIds: string[]}}
+ *          Theme features of the rated destinations, the average liked/disliked vectors, their difference and
+ *          the adjustments (all in theme order), plus rated IDs that are not in allDestinations.
+ */
+function calculateFeedbackAdjustments(destinationRatings, allDestinations) {
+  const ratedFeatures = [];
+  const likedDestinationFeatures = [];
+  const dislikedDestinationFeatures = [];
+  const missingIds = [];
+
+  for (const [destId, rating] of Object.entries(destinationRatings || {})) {
+    const destination = allDestinations.find(d => d.id === destId);
+    if (!destination) {
+      missingIds.push(destId);
+      continue;
+    }
+    const features = THEME_KEYS.map(key => destination[key] ?? 0);
+    if (rating === 'like') {
+      likedDestinationFeatures.push(features);
+    } else if (rating === 'dislike') {
+      dislikedDestinationFeatures.push(features);
+    } else {
+      continue;
+    }
+    ratedFeatures.push({ destId, rating, features });
+  }
+
+  // Default to zero vectors if there are no likes/dislikes
+  const likedVector = averageVector(likedDestinationFeatures) || Array(THEME_KEYS.length).fill(0);
+  const dislikedVector = averageVector(dislikedDestinationFeatures) || Array(THEME_KEYS.length).fill(0);
+  const deltaVector = likedVector.map((likeVal, i) => likeVal - dislikedVector[i]);
+
+  // Ceiling normalization: any difference moves the preference by at least one step
+  const adjustments = deltaVector.map(delta => {
+    if (delta === 0) {
+      return 0;
+    } else if (delta > 0) {
+      return Math.ceil(delta);
+    } else { // delta < 0
+      return -Math.ceil(Math.abs(delta));
+    }
+  });
+
+  return { ratedFeatures, likedVector, dislikedVector, deltaVector, adjustments, missingIds };
+}
+
+/**
+ * Builds the theme vector the content scores are calculated from: the base scores, then the weighted
+ * and clamped photo deltas, then the weighted rating adjustments, clamped to 1-5 after each step.
+ * Photo deltas are used when the profile carries a photoAnalysis whose adjustment did not fail.
+ * @param {object} userPreferences - The preference profile (base theme scores and optional photoAnalysis).
+ * @param {number[]} ratingAdjustments - Rating adjustments in theme order (see calculateFeedbackAdjustments).
+ * @param {object} [adjustmentConfig] - Weights and clamp (see DEFAULT_ADJUSTMENT_CONFIG).
+ * @returns {{base: number[], photo: number[], ratings: number[], final: number[]}} Vectors in theme order;
+ *          photo and ratings are the changes actually applied, so base + photo + ratings = final.
+ */
+function calculateThemeAdjustment(userPreferences, ratingAdjustments, adjustmentConfig = {}) {
+  const { photoWeight, photoMaxDelta, ratingsWeight } = { ...DEFAULT_ADJUSTMENT_CONFIG, ...adjustmentConfig };
+  const clampScore = value => Math.max(1, Math.min(5, value));
+
+  const photoAnalysis = userPreferences.photoAnalysis;
+  const usePhotos = Boolean(photoAnalysis?.imageAnalysis) && photoAnalysis.adjustmentSuccessful !== false;
+
+  const base = THEME_KEYS.map(key => userPreferences[key] ?? 0);
+  const afterPhotos = base.map((value, i) => {
+    const delta = usePhotos ? (photoAnalysis.imageAnalysis[THEME_KEYS[i]] ?? 0) * photoWeight : 0;
+    return delta === 0 ? value : clampScore(value + Math.max(-photoMaxDelta, Math.min(photoMaxDelta, delta)));
+  });
+  const final = afterPhotos.map((value, i) => {
+    const delta = (ratingAdjustments[i] ?? 0) * ratingsWeight;
+    return delta === 0 ? value : clampScore(value + delta);
+  });
+
+  return {
+    base,
+    photo: afterPhotos.map((value, i) => value - base[i]),
+    ratings: final.map((value, i) => value - afterPhotos[i]),
+    final
+  };
+}
+
 /**
  * Maps an absolute hybrid score (0-1) to a confidence percentage (0-100).
  * @param {number} score - The hybrid score.
@@ -93,9 +203,28 @@ function mapScoreToConfidence(score) {
  * Calculates recommendation scores for all destinations based on user preferences.
  * @param {object} userPreferences - The user's preference profile (e.g., from ExampleProfile.json).
  * @param {object[]} allDestinations - Array of all destination objects (e.g., from ExampleDestination.json structure).
- * @returns {object[]} Array of scored destinations sorted by hybridScore, including id and confidence.
+ * @param {object} [options] - Paging options for the ranked list.
+ * @param {number} [options.limit=3] - Number of recommendations to return.
+ * @param {number} [options.offset=0] - Number of top-ranked recommendations to skip (for "show more").
+ * @param {number} [options.diversity=0] - Relevance/diversity trade-off (0-1) for re-ranking; 0 disables it.
+ * @param {object} [options.scoringConfig] - Scoring configuration ({ content, hybrid }) replacing the built-in
+ *                                           defaults (see DEFAULT_CONTENT_CONFIG and HYBRID_WEIGHTS).
+ * @param {object} [options.contentWeights] - Overrides for the content factor weights, applied on top of the scoring config.
+ * @param {object} [options.hybridWeights] - Overrides for the content/collaborative blend, applied on top of the scoring config.
+ * @param {Map<string, Map<string, number>>} [options.neighbourIndex] - Item similarity index to use instead of the
+ *                                                                   stored one (see getItemSimilarity).
+ * @returns {object[]} Array of scored destinations sorted by hybridScore (then diversity), including id, rank,
+ *                     confidence, relevanceRank, promotedForDiversity and explanation.
  */
-async function calculateRecommendations(userPreferences, allDestinations) {
+async function calculateRecommendations(userPreferences, allDestinations, options = {}) {
+  const { limit = DEFAULT_RECOMMENDATION_LIMIT, offset = 0, diversity = 0 } = options;
+  const scoringConfig = options.scoringConfig || {};
+  const contentConfig = { ...DEFAULT_CONTENT_CONFIG, ...scoringConfig.content };
+  contentConfig.weights = { ...contentConfig.weights, ...options.contentWeights };
+  const contentWeights = contentConfig.weights;
+  const hybridWeights = { ...HYBRID_WEIGHTS, ...scoringConfig.hybrid, ...options.hybridWeights };
+  const adjustmentConfig = { ...DEFAULT_ADJUSTMENT_CONFIG, ...scoringConfig.adjustments };
+
   if (!userPreferences || !allDestinations || allDestinations.length === 0) {
     return [];
   }
@@ -103,35 +232,23 @@ async function calculateRecommendations(userPreferences, allDestinations) {
   // --- Step 1: Process User Feedback (Destination Ratings) ---
   // Extract features from destinations the user has rated previously
   console.log('--- Step 1: Processing User Feedback (Destination Ratings) ---');
-  const likedDestinationFeatures = [];
-  const dislikedDestinationFeatures = [];
+  const {
+    ratedFeatures,
+    likedVector: vec_like,
+    dislikedVector: vec_dislike,
+    deltaVector: delta_vec,
+    adjustments: normalizedAdjustments,
+    missingIds
+  } = calculateFeedbackAdjustments(userPreferences.destinationRatings, allDestinations);
+  const likedDestinationFeatures = ratedFeatures.filter(r => r.rating === 'like').map(r => r.features);
+  const dislikedDestinationFeatures = ratedFeatures.filter(r => r.rating === 'dislike').map(r => r.features);
 
   if (userPreferences.destinationRatings && Object.keys(userPreferences.destinationRatings).length > 0) {
-    for (const [destId, rating] of Object.entries(userPreferences.destinationRatings)) {
-      const destination = allDestinations.find(d => d.id === destId);
-      if (destination) {
-        const features = [
-          destination.culture ?? 0,
-          destination.adventure ?? 0,
-          destination.nature ?? 0,
-          destination.beaches ?? 0,
-          destination.nightlife ?? 0,
-          destination.cuisine ?? 0,
-          destination.wellness ?? 0,
-          destination.urban ?? 0,
-          destination.seclusion ?? 0
-        ];
-        if (rating === 'like') {
-          console.log(`Liked Destination ID: ${destId}, Features: [${features.join(', ')}]`);
-          likedDestinationFeatures.push(features);
-        } else if (rating === 'dislike') {
-          console.log(`Disliked Destination ID: ${destId}, Features: [${features.join(', ')}]`);
-          dislikedDestinationFeatures.push(features);
-        }
-      } else {
-        console.log(`Warning: Destination ID ${destId} from ratings not found in allDestinations.`);
-      }
-    }
+    ratedFeatures.forEach(({ destId, rating, features }) => {
+      const label = rating === 'like' ? 'Liked' : 'Disliked';
+      console.log(`${label} Destination ID: ${destId}, Features: [${features.join(', ')}]`);
+    });
+    missingIds.forEach(destId => console.log(`Warning: Destination ID ${destId} from ratings not found in allDestinations.`));
   } else {
     console.log('No destination ratings found in user preferences.');
   }
@@ -142,13 +259,6 @@ async function calculateRecommendations(userPreferences, allDestinations) {
   // and compute their difference to determine how to adjust preferences
   console.log('--- Step 2: Calculating Feedback Adjustment Vector ---');
 
-  // Use the helper function, default to zero vector if no likes/dislikes
-  const vec_like = averageVector(likedDestinationFeatures) || Array(9).fill(0);
-  const vec_dislike = averageVector(dislikedDestinationFeatures) || Array(9).fill(0);
-
-  // Calculate delta vector
-  const delta_vec = vec_like.map((likeVal, i) => likeVal - vec_dislike[i]);
-
   console.log(`Average Liked Vector   (vec_like): [${vec_like.map(v => v.toFixed(3)).join(', ')}]`);
   console.log(`Average Disliked Vector(vec_dislike): [${vec_dislike.map(v => v.toFixed(3)).join(', ')}]`);
   console.log(`Delta Vector           (delta_vec): [${delta_vec.map(v => v.toFixed(3)).join(', ')}]`);
@@ -159,30 +269,6 @@ async function calculateRecommendations(userPreferences, allDestinations) {
   // Convert raw delta scores to discrete adjustment values (-1, 0, 1) for better interpretability
   console.log('--- Step 3: Normalizing Adjustments and Preparing Analysis ---');
 
-  // Apply the ceiling normalization based on user description
-  const normalizedAdjustments = delta_vec.map(delta => {
-    if (delta === 0) {
-      return 0;
-    } else if (delta > 0) {
-      return Math.ceil(delta);
-    } else { // delta < 0
-      return -Math.ceil(Math.abs(delta));
-    }
-  });
-
-  // Get the base user preferences vector BEFORE any adjustments (like photo analysis)
-  const baseUserVector = [
-    userPreferences.culture, userPreferences.adventure, userPreferences.nature,
-    userPreferences.beaches, userPreferences.nightlife, userPreferences.cuisine,
-    userPreferences.wellness, userPreferences.urban, userPreferences.seclusion
-  ].map(v => v ?? 0); // Use 0 as default if preference is missing
-
-  // Calculate the potential vector by applying normalized adjustments and clamping
-  const potentialAdjustedVector = baseUserVector.map((baseVal, i) => {
-    const adjusted = baseVal + normalizedAdjustments[i];
-    return Math.max(1, Math.min(5, adjusted)); // Clamp between 1 and 5
-  });
-
   // Generate a simple summary
   const themeNames = ['Culture', 'Adventure', 'Nature', 'Beaches', 'Nightlife', 'Cuisine', 'Wellness', 'Urban', 'Seclusion'];
   let summaryParts = [];
@@ -215,29 +301,35 @@ async function calculateRecommendations(userPreferences, allDestinations) {
 
 
   // --- Step 4: Apply Adjustments to User Preferences ---
-  // Modify the original user preference values based on feedback analysis
+  // Modify the original user preference values based on photo analysis and feedback analysis
   console.log('--- Step 4: Applying Adjustments to User Preferences ---');
 
-  // Apply Destination Feedback Adjustments (if analysis exists)
-  if (userPreferences.destinationAnalysis) {
-    console.log("Applying destination feedback adjustments directly to userPreferences...");
-    const themeKeysInOrder = ['culture', 'adventure', 'nature', 'beaches', 'nightlife', 'cuisine', 'wellness', 'urban', 'seclusion'];
-    const originalVector = themeKeysInOrder.map(key => userPreferences[key] ?? 0);
-
-    themeKeysInOrder.forEach((themeKey, index) => {
-      const baseVal = userPreferences[themeKey] ?? 0;
-      const adjustment = userPreferences.destinationAnalysis[themeKey] ?? 0;
-      const adjusted = baseVal + adjustment;
-      // Clamp the adjusted value (assuming preference scale is 1-5) and update userPreferences
-      userPreferences[themeKey] = Math.max(1, Math.min(5, adjusted));
-    });
+  const themeAdjustment = calculateThemeAdjustment(userPreferences, normalizedAdjustments, adjustmentConfig);
+  const photoAdjusted = themeAdjustment.photo.some(delta => delta !== 0);
+  const ratingsAdjusted = themeAdjustment.ratings.some(delta => delta !== 0);
 
-    const updatedVector = themeKeysInOrder.map(key => userPreferences[key]);
-    console.log(`Original Preferences Vector: [${originalVector.join(', ')}]`);
-    console.log(`Updated Preferences Vector:  [${updatedVector.join(', ')}]`);
+  if (photoAdjusted || ratingsAdjusted) {
+    console.log(`Applying ${[photoAdjusted && 'photo analysis', ratingsAdjusted && 'destination feedback'].filter(Boolean).join(' and ')} adjustments directly to userPreferences...`);
+    THEME_KEYS.forEach((themeKey, index) => {
+      userPreferences[themeKey] = themeAdjustment.final[index];
+    });
+    console.log(`Original Preferences Vector: [${themeAdjustment.base.join(', ')}]`);
+    console.log(`Photo Adjustments:           [${themeAdjustment.photo.join(', ')}]`);
+    console.log(`Feedback Adjustments:        [${themeAdjustment.ratings.join(', ')}]`);
+    console.log(`Updated Preferences Vector:  [${themeAdjustment.final.join(', ')}]`);
   } else {
-    console.log("No destination feedback analysis found, using original user preferences.");
+    console.log("No photo or destination feedback adjustments found, using original user preferences.");
   }
+
+  // Where each theme score came from, returned to the client and stored with the record
+  const byTheme = vector => Object.fromEntries(THEME_KEYS.map((key, i) => [key, vector[i]]));
+  userPreferences.themeAdjustment = {
+    base: byTheme(themeAdjustment.base),
+    photo: byTheme(themeAdjustment.photo),
+    ratings: byTheme(themeAdjustment.ratings),
+    final: byTheme(themeAdjustment.final),
+    config: adjustmentConfig
+  };
   console.log('--- Finished Step 4 ---');
 
   // --- Step 5: Prepare User Data Vectors and Parameters ---
@@ -267,7 +359,7 @@ async function calculateRecommendations(userPreferences, allDestinations) {
   console.log('--- Step 6: Calculating Collaborative Scores ---');
 
   // Fetch collaborative scores from the collaborativeFiltering module
-  const collabScores = await calculateCollaborativeScores(userPreferences, allDestinations);
+  const collabScores = await calculateCollaborativeScores(userPreferences, allDestinations, options.neighbourIndex);
   console.log('--- Finished Step 6 ---');
 
   // --- Step 7: Calculate Content Scores (Using Imported Function) ---
@@ -275,7 +367,7 @@ async function calculateRecommendations(userPreferences, allDestinations) {
   console.log('--- Step 7: Calculating Content Scores ---');
 
   // Get content scores from the contentFiltering module
-  const contentScoresMap = calculateContentScores(userPreferences, allDestinations, userThemeVector);
+  const contentScoresMap = calculateContentScores(userPreferences, allDestinations, userThemeVector, contentConfig);
   console.log('--- Finished Step 7 ---');
 
 
@@ -284,17 +376,20 @@ async function calculateRecommendations(userPreferences, allDestinations) {
   console.log('--- Step 8: Combining Scores and Post-Processing Results ---');
 
   // Combine content and collaborative scores, calculate hybrid score
+  // The collaborative share only applies when collaborative scores could be calculated
+  const useCollab = hasRatings && Object.keys(collabScores).length > 0;
+  const contentWeight = useCollab ? hybridWeights.content : 1.0;
+  const collabWeight = useCollab ? hybridWeights.collaborative : 0.0;
   const combinedScores = allDestinations.map(d => {
     const destId = d.id;
     const contentData = contentScoresMap[destId] ?? {}; // Get content scores for this ID
-    const collabScore = collabScores[destId] ?? 0;     // Get collab score for this ID
+    // Get collab score for this ID (rated destinations have no prediction and count as neutral)
+    const collabScore = useCollab ? (collabScores[destId] ?? NEUTRAL_COLLAB_SCORE) : null;
 
     const contentScore = contentData.contentScore ?? 0; // Default to 0 if no content score
 
     // Calculate Hybrid Score
-    const contentWeight = hasRatings ? 0.7 : 1.0;
-    const collabWeight = hasRatings ? 0.3 : 0.0;
-    const hybridScore = contentWeight * contentScore + collabWeight * collabScore;
+    const hybridScore = contentWeight * contentScore + collabWeight * (collabScore ?? 0);
 
     // Return a combined object with all scores for sorting and logging
     return {
@@ -305,11 +400,36 @@ async function calculateRecommendations(userPreferences, allDestinations) {
   });
 
 
-  // Sort by hybrid score first, then take top N, map confidence
-  const sortedDestinations = combinedScores
-    .sort((a, b) => (b.hybridScore ?? 0) - (a.hybridScore ?? 0)) // Handle potential undefined/null scores
-    .slice(0, 3) // Take top 3
-    .map((d, index) => { // Add index for logging rank and map confidence
+  // Sort by hybrid score first
+  const rankedByRelevance = combinedScores
+    .sort((a, b) => (b.hybridScore ?? 0) - (a.hybridScore ?? 0)); // Handle potential undefined/null scores
+
+  // Optional diversity re-ranking (MMR) over the head of the ranking
+  const destinationsById = new Map(allDestinations.map(d => [d.id, d]));
+  const ranked = diversifyRanking(rankedByRelevance, destinationsById, {
+    diversity,
+    depth: offset + limit,
+    maxLimit: MAX_RECOMMENDATION_LIMIT
+  });
+  if (diversity > 0) {
+    console.log(`Applied diversity re-ranking with diversity=${diversity}.`);
+  }
+
+  // The similarity matrix is cached, so this only names liked neighbours in the explanations
+  let itemSimilarity = options.neighbourIndex ?? null;
+  if (useCollab && !itemSimilarity) {
+    try {
+      itemSimilarity = await getItemSimilarity();
+    } catch (error) {
+      console.warn("Item similarity unavailable for explanations:", error.message);
+    }
+  }
+
+  // Take the requested page, map confidence
+  const sortedDestinations = ranked
+    .slice(offset, offset + limit) // Take the requested page of the ranking
+    .map((d, pageIndex) => { // Add rank for logging and map confidence
+      const index = offset + pageIndex;
       const confidence = mapScoreToConfidence(d.hybridScore);
 
       // <<< START DEBUG LOGGING >>>
@@ -326,13 +446,31 @@ async function calculateRecommendations(userPreferences, allDestinations) {
       console.log(`  ------------------------------------`);
       console.log(`  Hybrid Score:      ${d.hybridScore?.toFixed(3) ?? 'N/A'}`);
       console.log(`  Confidence (%):    ${confidence}`);
+      if (d.promotedForDiversity) {
+        console.log(`  Promoted for diversity from relevance rank ${d.relevanceRank}`);
+      }
       console.log(`--- End Rank ${index + 1} ---`);
       // <<< END DEBUG LOGGING >>>
 
-      // Return the original expected structure (id and calculated confidence)
+      const explanation = explainRecommendation(d, {
+        userPreferences,
+        userThemeVector,
+        destination: destinationsById.get(d.id) ?? {},
+        contentWeight,
+        collabWeight,
+        itemSimilarity,
+        destinationsById,
+        contentWeights
+      });
+
+      // Return the expected structure (id, absolute rank, calculated confidence and explanation)
       return {
         id: d.id,
-        confidence: confidence
+        rank: index + 1,
+        confidence: confidence,
+        relevanceRank: d.relevanceRank,
+        promotedForDiversity: d.promotedForDiversity,
+        explanation
       };
     });
 
@@ -347,6 +485,12 @@ async function calculateRecommendations(userPreferences, allDestinations) {
 // Use CommonJS exports for Node.js
 module.exports = {
   calculateRecommendations,
+  calculateFeedbackAdjustments,
+  calculateThemeAdjustment,
+  DEFAULT_RECOMMENDATION_LIMIT,
+  MAX_RECOMMENDATION_LIMIT,
+  DEFAULT_ADJUSTMENT_CONFIG,
+  HYBRID_WEIGHTS,
   mapScoreToConfidence,
   averageVector
 };
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Recommendation explanations for the Travolo recommendation engine
+ *
+ * Turns the per-factor scores computed in Step 8 of calculateRecommendations into a
+ * structured explanation the frontend can show next to each destination:
+ * - every factor's score, its effective weight and its contribution to the hybrid score
+ *   (the contributions add up to the hybrid score)
+ * - human-readable reasons ("27°C average in July matches your 20–28°C range")
+ * - caveats for factors that pulled the destination down
+ */
+
+// ====================
+// Imports & Dependencies
+// ====================
+const {
+  CONTENT_WEIGHTS,
+  haversineDistance,
+  getMonthIndex,
+  getAverageTemperature,
+  mapBudgetToNumber
+} = require('./contentFiltering');
+const { NEUTRAL_COLLAB_SCORE } = require('./collaborativeFiltering');
+const { THEME_KEYS } = require('./services/preferenceValidation');
+
+// ====================
+// Constants
+// ====================
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Theme scores (1-5) at or above this count as a strong interest / strong destination trait
+const STRONG_THEME_SCORE = 4;
+
+// Factor scores at or below this are reported as caveats
+const CAVEAT_SCORE_THRESHOLD = 0.5;
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Joins a list of words as natural language ("a", "a and b", "a, b and c").
+ * @param {string[]} items - The words to join.
+ * @returns {string} The joined text.
+ */
+function joinWithAnd(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Formats a duration label ('one-week', 'Short trip') for use in a sentence.
+ * @param {string} label - The duration label.
+ * @returns {string} The lower-case label with spaces.
+ */
+function formatDuration(label) {
+  return label.toLowerCase().replace(/-/g, ' ');
+}
+
+/**
+ * Rounds a temperature for display.
+ * @param {number} value - Temperature in °C.
+ * @returns {number} The rounded temperature.
+ */
+function formatTemp(value) {
+  return Math.round(value);
+}
+
+// ==========================
+// Reason Builders
+// ==========================
+
+/**
+ * Explains the theme match by naming the themes the user and destination both score highly.
+ */
+function themeReasons(scores, userThemeVector, destination) {
+  const reasons = [];
+  const caveats = [];
+  const sharedStrengths = THEME_KEYS.filter((key, i) =>
+    (userThemeVector[i] ?? 0) >= STRONG_THEME_SCORE && (destination[key] ?? 0) >= STRONG_THEME_SCORE);
+  const missedInterests = THEME_KEYS.filter((key, i) =>
+    (userThemeVector[i] ?? 0) >= STRONG_THEME_SCORE && (destination[key] ?? 0) <= 2);
+
+  if (sharedStrengths.length > 0) {
+    reasons.push(`Strong on ${joinWithAnd(sharedStrengths)}, which you rated highly`);
+  }
+  if (missedInterests.length > 0) {
+    caveats.push(`Less suited for ${joinWithAnd(missedInterests)}`);
+  }
+  return { reasons, caveats };
+}
+
+/**
+ * Explains the climate match using the destination's average temperature in the travel months.
+ */
+function climateReasons(scores, userPreferences, destination) {
+  const reasons = [];
+  const caveats = [];
+  const range = userPreferences.temperatureRange;
+  if (scores.climateScore == null || !Array.isArray(range) || range.length !== 2) {
+    return { reasons, caveats };
+  }
+
+  const [minTemp, maxTemp] = range;
+  const rangeText = `${minTemp}–${maxTemp}°C`;
+
+  (userPreferences.travelMonths || []).forEach(monthName => {
+    const monthIndex = getMonthIndex(monthName);
+    if (!monthIndex) return;
+    const avgTemp = getAverageTemperature(destination, monthIndex);
+    if (avgTemp === null) return;
+
+    const month = MONTH_NAMES[monthIndex - 1];
+    if (avgTemp >= minTemp && avgTemp <= maxTemp) {
+      reasons.push(`${formatTemp(avgTemp)}°C average in ${month} matches your ${rangeText} range`);
+    } else if (avgTemp < minTemp) {
+      caveats.push(`${formatTemp(avgTemp)}°C average in ${month} is below your ${rangeText} range`);
+    } else {
+      caveats.push(`${formatTemp(avgTemp)}°C average in ${month} is above your ${rangeText} range`);
+    }
+  });
+
+  return { reasons, caveats };
+}
+
+/**
+ * Explains the budget match.
+ */
+function budgetReasons(scores, userPreferences, destination) {
+  const reasons = [];
+  const caveats = [];
+  if (scores.budgetScore == null || !destination.budget_level) return { reasons, caveats };
+
+  if (scores.budgetScore >= 1) {
+    reasons.push(`${destination.budget_level} price level fits your budget`);
+  } else {
+    const userLevels = (userPreferences.travelBudget || []).map(mapBudgetToNumber).filter(n => n !== null);
+    const destLevel = mapBudgetToNumber(destination.budget_level);
+    const direction = userLevels.length > 0 && destLevel > Math.max(...userLevels) ? 'above' : 'below';
+    caveats.push(`${destination.budget_level} price level is ${direction} your budget`);
+  }
+  return { reasons, caveats };
+}
+
+/**
+ * Explains the region match.
+ */
+function regionReasons(scores, userPreferences, destination) {
+  const reasons = [];
+  const caveats = [];
+  if (scores.regionScore == null || !destination.region) return { reasons, caveats };
+
+  if (scores.regionScore >= 1) {
+    reasons.push(`In ${destination.region}, one of your preferred regions`);
+  } else {
+    caveats.push(`${destination.region} is not one of your preferred regions`);
+  }
+  return { reasons, caveats };
+}
+
+/**
+ * Explains the trip duration match.
+ */
+function durationReasons(scores, userPreferences, destination) {
+  const reasons = [];
+  const caveats = [];
+  if (scores.durationMatchScore == null) return { reasons, caveats };
+
+  const destDurations = (destination.ideal_durations || []).map(d => d.toLowerCase().replace(' ', '-'));
+  const userDurations = (userPreferences.travelDuration || []).map(d => d.toLowerCase().replace(' ', '-'));
+  const matching = userDurations.filter(d => destDurations.includes(d));
+
+  if (matching.length > 0) {
+    reasons.push(`Ideal for a ${joinWithAnd(matching.map(formatDuration))}`);
+  } else if (destDurations.length > 0 && userDurations.length > 0) {
+    caveats.push(`Best suited for a ${joinWithAnd(destDurations.map(formatDuration))}`);
+  }
+  return { reasons, caveats };
+}
+
+/**
+ * Explains the distance score with the distance from the user's origin.
+ */
+function distanceReasons(scores, userPreferences, destination) {
+  const reasons = [];
+  const caveats = [];
+  const origin = userPreferences.originLocation;
+  if (scores.distanceScore == null || origin?.lat == null || origin?.lon == null ||
+    destination.latitude == null || destination.longitude == null) {
+    return { reasons, caveats };
+  }
+
+  const km = haversineDistance(
+    { lat: origin.lat, lon: origin.lon },
+    { lat: destination.latitude, lon: destination.longitude }
+  );
+  const rounded = Math.round(km / 10) * 10;
+  const fromText = origin.name ? ` from ${origin.name.split(',')[0]}` : '';
+  const text = `About ${rounded.toLocaleString('en-US')} km${fromText}`;
+
+  if (scores.distanceScore > CAVEAT_SCORE_THRESHOLD) {
+    reasons.push(text);
+  } else {
+    caveats.push(`${text}, far for your trip length`);
+  }
+  return { reasons, caveats };
+}
+
+/**
+ * Explains the collaborative score by naming the most similar destinations the user liked or disliked.
+ * @param {number} collabScore - The collaborative score of the candidate (0.5 = neutral).
+ * @param {object} userPreferences - The user's preference profile (for destinationRatings).
+ * @param {object} destination - The candidate destination.
+ * @param {Map<string, Map<string, number>>} neighbourIndex - Keyed similarity index (itemId -> neighbourId -> sim).
+ * @param {Map<string, object>} destinationsById - All destinations by ID (to name the rated ones).
+ */
+function collaborativeReasons(collabScore, userPreferences, destination, neighbourIndex, destinationsById) {
+  const reasons = [];
+  const caveats = [];
+  if (collabScore == null || !neighbourIndex) return { reasons, caveats };
+
+  const neighbours = neighbourIndex.get(destination.id);
+  const similarRated = rating => Object.entries(userPreferences.destinationRatings || {})
+    .filter(([id, r]) => r === rating && neighbours?.has(id))
+    .map(([id]) => ({ id, sim: neighbours.get(id) }))
+    .sort((a, b) => b.sim - a.sim)
+    .slice(0, 2)
+    .map(item => destinationsById.get(item.id)?.city)
+    .filter(Boolean);
+
+  const liked = similarRated('like');
+  const disliked = similarRated('dislike');
+
+  if (collabScore > NEUTRAL_COLLAB_SCORE && liked.length > 0) {
+    reasons.push(`Similar to ${joinWithAnd(liked)}, which you liked`);
+  }
+  if (collabScore < NEUTRAL_COLLAB_SCORE && disliked.length > 0) {
+    caveats.push(`Similar to ${joinWithAnd(disliked)}, which you disliked`);
+  }
+  return { reasons, caveats };
+}
+
+// ==========================
+// Explanation Logic
+// ==========================
+
+/**
+ * Builds the structured explanation for one scored destination.
+ * @param {object} scored - The combined score object from Step 8 (factor scores, contentScore, collabScore, hybridScore).
+ * @param {object} context
+ * @param {object} context.userPreferences - The (adjusted) user preference profile.
+ * @param {number[]} context.userThemeVector - The theme vector used for scoring.
+ * @param {object} context.destination - The destination being explained.
+ * @param {number} context.contentWeight - Weight of the content score in the hybrid score.
+ * @param {number} context.collabWeight - Weight of the collaborative score in the hybrid score.
+ * @param {Map<string, Map<string, number>>} [context.itemSimilarity] - Keyed neighbour index used for collaborative reasons.
+ * @param {Map<string, object>} [context.destinationsById] - All destinations by ID.
+ * @param {object} [context.contentWeights=CONTENT_WEIGHTS] - Weights of the content factors.
+ * @returns {{hybridScore: number, factors: object[], reasons: string[], caveats: string[]}} The explanation.
+ */
+function explainRecommendation(scored, context) {
+  const {
+    userPreferences,
+    userThemeVector,
+    destination,
+    contentWeight,
+    collabWeight,
+    itemSimilarity = null,
+    destinationsById = new Map(),
+    contentWeights = CONTENT_WEIGHTS
+  } = context;
+
+  // Content factors only count when they could be scored, so renormalise their weights
+  const isScored = value => typeof value === 'number' && !isNaN(value);
+  const contentWeightSum = Object.keys(contentWeights)
+    .filter(key => isScored(scored[`${key}Score`]))
+    .reduce((sum, key) => sum + contentWeights[key], 0);
+
+  const factors = Object.keys(contentWeights).map(key => {
+    const score = scored[`${key}Score`];
+    if (!isScored(score) || contentWeightSum === 0) {
+      return { factor: key, score: null, weight: 0, contribution: 0 };
+    }
+    const weight = contentWeight * contentWeights[key] / contentWeightSum;
+    return { factor: key, score, weight, contribution: weight * score };
+  });
+
+  factors.push({
+    factor: 'collaborative',
+    score: scored.collabScore ?? null,
+    weight: collabWeight,
+    contribution: collabWeight * (scored.collabScore ?? 0)
+  });
+
+  // Collect the sentences, ordered by how much each factor contributed
+  const builders = {
+    theme: () => themeReasons(scored, userThemeVector, destination),
+    climate: () => climateReasons(scored, userPreferences, destination),
+    budget: () => budgetReasons(scored, userPreferences, destination),
+    region: () => regionReasons(scored, userPreferences, destination),
+    durationMatch: () => durationReasons(scored, userPreferences, destination),
+    distance: () => distanceReasons(scored, userPreferences, destination),
+    collaborative: () => collabWeight > 0
+      ? collaborativeReasons(scored.collabScore, userPreferences, destination, itemSimilarity, destinationsById)
+      : { reasons: [], caveats: [] }
+  };
+
+  const reasons = [];
+  const caveats = [];
+  [...factors]
+    .sort((a, b) => b.contribution - a.contribution)
+    .forEach(({ factor }) => {
+      const built = builders[factor]();
+      reasons.push(...built.reasons);
+      caveats.push(...built.caveats);
+    });
+
+  const round = value => Math.round(value * 1000) / 1000;
+  return {
+    hybridScore: round(scored.hybridScore ?? 0),
+    factors: factors.map(f => ({
+      factor: f.factor,
+      score: f.score === null ? null : round(f.score),
+      weight: round(f.weight),
+      contribution: round(f.contribution)
+    })),
+    reasons,
+    caveats
+  };
+}
+
+// ==========================
+// Exports
+// ==========================
+module.exports = {
+  explainRecommendation
+};
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Offline evaluation command for Travolo
+ *
+ * Replays historical recommendation records through the recommendation algorithm
+ * (and any named variants) and prints a JSON or Markdown report.
+ *
+ * Usage:
+ *   npm run evaluate -- [options]
+ *
+ * Options:
+ *   --fixture <file>        Read records from a fixture (LOCAL_DATA_FILE shape) instead of the configured storage
+ *   --destinations <file>   Destination catalogue for fixtures without destinations (default LOCAL_DESTINATIONS_FILE)
+ *   --variants <a,b,...>    Variants to compare (default: current)
+ *   --variants-file <file>  JSON file with additional variants: { "name": { "description", "options" } }
+ *   --config <file>         Scoring configuration to evaluate (see services/scoringConfigService.js)
+ *   --k <n>                 Cut-off for hit rate, precision and NDCG (default 3)
+ *   --format <json|markdown> Report format (default json)
+ *   --out <file>            Write the report to a file instead of stdout
+ *   --verbose               Keep the algorithm's console logging
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const {
+  loadEvaluationData,
+  evaluateRecommendations,
+  renderMarkdownReport,
+  EVALUATION_VARIANTS
+} = require('../services/evaluationService');
+const { validateScoringConfig } = require('../services/scoringConfigService');
+
+const USAGE = `Usage: npm run evaluate -- [--fixture file] [--destinations file] [--variants a,b] [--variants-file file]
+                            [--config file] [--k n] [--format json|markdown] [--out file] [--verbose]
+Built-in variants: ${Object.keys(EVALUATION_VARIANTS).join(', ')}`;
+
+/**
+ * Parses the command line arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {object} The parsed options.
+ */
+function parseArgs(argv) {
+  const args = { variants: ['current'], k: undefined, format: 'json', verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}.`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--fixture': args.fixture = next(); break;
+      case '--destinations': args.destinations = next(); break;
+      case '--variants': args.variants = next().split(',').map(name => name.trim()).filter(Boolean); break;
+      case '--variants-file': args.variantsFile = next(); break;
+      case '--config': args.config = next(); break;
+      case '--k': args.k = Number(next()); break;
+      case '--format': args.format = next(); break;
+      case '--out': args.out = next(); break;
+      case '--verbose': args.verbose = true; break;
+      case '--help':
+      case '-h': args.help = true; break;
+      default: throw new Error(`Unknown option '${arg}'.`);
+    }
+  }
+  if (!['json', 'markdown'].includes(args.format)) {
+    throw new Error(`Unknown format '${args.format}'. Use 'json' or 'markdown'.`);
+  }
+  return args;
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // The algorithm logs every step; keep stdout for the report unless asked otherwise
+  if (!args.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const customVariants = args.variantsFile ? JSON.parse(fs.readFileSync(args.variantsFile, 'utf8')) : {};
+
+  let scoringConfig = null;
+  if (args.config) {
+    const validation = validateScoringConfig(JSON.parse(fs.readFileSync(args.config, 'utf8')));
+    if (!validation.valid) {
+      throw new Error(`Invalid scoring config: ${validation.errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    }
+    scoringConfig = validation.value;
+  }
+
+  const data = await loadEvaluationData({
+    fixture: args.fixture,
+    destinationsFile: args.destinations || process.env.LOCAL_DESTINATIONS_FILE || './ExampleDestination.json'
+  });
+  const report = await evaluateRecommendations(data, {
+    variants: args.variants,
+    customVariants,
+    k: args.k,
+    scoringConfig
+  });
+
+  const output = args.format === 'markdown' ? renderMarkdownReport(report) : JSON.stringify(report, null, 2) + '\n';
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+    process.stderr.write(`Evaluation report written to ${args.out}\n`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch(error => {
+  console.error('Evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -1,36 +1,243 @@
 require('dotenv').config();
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
 const cors = require('cors');
 const multer = require('multer');
-const { analyzeImagesWithOpenAI } = require('./services/imageService');
-const { generateRecommendations } = require('./services/recommendationService');
+const { analyzeImages, getCachedAnalysis, clearAnalysisCache, getAnalysisCacheStats } = require('./services/imageService');
+const { prepareImages } = require('./services/imageIngestionService');
+const { analyzeText, MAX_TEXT_LENGTH } = require('./services/textAnalysisService');
+const { getVisionProvider, getFallbackVisionProvider } = require('./services/vision');
+const { MAX_RECOMMENDATION_LIMIT } = require('./recommendationAlgorithm');
+const { generateRecommendations, LEGACY_DESTINATION_SLOTS } = require('./services/recommendationService');
+const { parseGroupRequest, generateGroupRecommendations } = require('./services/groupRecommendationService');
+const { parseItineraryRequest, generateItineraries } = require('./services/itineraryService');
+const { getStorage } = require('./services/storage');
+const { validatePreferences, validatePartialPreferences } = require('./services/preferenceValidation');
+const { loadExperiments, getExperiments, getExperimentResults } = require('./services/experimentService');
+const {
+  loadScoringConfig,
+  getScoringConfig,
+  getScoringConfigSource,
+  activateScoringConfig,
+  listScoringConfigVersions,
+  validateScoringConfig
+} = require('./services/scoringConfigService');
+const { createDestination, updateDestination, deleteDestination } = require('./services/destinationService');
+const { exportDestinations, importDestinations, TRANSFER_FORMATS } = require('./services/catalogTransferService');
+const { parseSearchQuery, searchDestinations } = require('./services/destinationSearchService');
+const { parseDeckQuery, getRatingDeck, getNextToRate, MAX_STABILITY_K } = require('./services/ratingDeckService');
+const {
+  createUserProfile,
+  getUserProfile,
+  updateUserProfile,
+  runRecommendationsForUser,
+  listUserRecommendations,
+  MAX_HISTORY_PAGE_SIZE
+} = require('./services/userProfileService');
+const { authenticateRequest, hasRole, isOwnerOrAdmin } = require('./services/authService');
+const { checkRateLimits, reserveBudget, settleBudget, getImageAnalysisUsage } = require('./services/usageLimitService');
+const {
+  refreshItemSimilarity,
+  applyRecommendationRecord,
+  getNeighbours,
+  getSimilarityEngine,
+  getSimilarityOptions
+} = require('./services/similarityService');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
-app.use(cors());
+const MAX_UPLOAD_IMAGES = 3;
+
+// Content types of the bulk catalog formats
+const TRANSFER_CONTENT_TYPES = {
+  csv: 'text/csv',
+  jsonl: 'application/x-ndjson'
+};
+
+// CORS_ORIGINS: comma-separated list of allowed origins; without it every origin is allowed (development)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (corsOrigins.length === 0) {
+  console.warn("CORS_ORIGINS is not set; allowing requests from any origin.");
+}
+
+// TRUST_PROXY: Express 'trust proxy' setting (e.g. 1 behind one load balancer), so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
+// X-Deck-Seed lets browser clients reproduce a rating deck; Retry-After tells them when a limit resets
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : true, exposedHeaders: ['X-Deck-Seed', 'Retry-After'] }));
 app.use(express.json());
+app.use(authenticate);
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+let storage;
+try {
+  storage = getStorage();
+} catch (storageError) {
+  console.error("Failed to initialise storage backend:", storageError.message);
+  process.exit(1);
+}
+
+try {
+  getVisionProvider();
+  getFallbackVisionProvider();
+} catch (visionError) {
+  console.error("Failed to initialise vision provider:", visionError.message);
+  process.exit(1);
+}
 
-if (!supabaseUrl || !supabaseKey) {
-  console.error("Supabase URL or Key not provided in .env file");
+try {
+  loadExperiments();
+} catch (experimentsError) {
+  console.error("Failed to load experiments:", experimentsError.message);
   process.exit(1);
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+if (!process.env.SUPABASE_JWT_SECRET) {
+  console.warn("SUPABASE_JWT_SECRET is not set; bearer tokens will be rejected and only anonymous and X-Admin-Key access works.");
+}
+
+/**
+ * Resolves the caller from the Authorization (Supabase JWT) or X-Admin-Key header into req.auth
+ * ({ role, userId, claims }). Requests without credentials are anonymous; invalid credentials are rejected.
+ */
+function authenticate(req, res, next) {
+  const { data, error } = authenticateRequest({
+    authorization: req.get('Authorization'),
+    adminKey: req.get('X-Admin-Key')
+  });
+  if (error) {
+    return res.status(401).json({ error: 'Authentication failed.', details: error.message });
+  }
+  req.auth = data;
+  next();
+}
+
+/**
+ * Restricts a route to callers with at least the given role (anonymous < user < admin).
+ * @param {'user' | 'admin'} role - The minimum role.
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.auth.role, role)) return next();
+    if (req.auth.role === 'anonymous') {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+    return res.status(403).json({ error: `This action requires the ${role} role.` });
+  };
+}
+
+const requireUser = requireRole('user');
+const requireAdmin = requireRole('admin');
+
+/**
+ * Restricts a /api/users/:userId route to that user (and admins).
+ */
+function requireProfileOwner(req, res, next) {
+  if (isOwnerOrAdmin(req.auth, req.params.userId)) return next();
+  return res.status(403).json({ error: 'You can only access your own profile.' });
+}
+
+/**
+ * Builds middleware applying the per-IP and per-user analysis rate limits before the request body is
+ * read (429 when hit). Image and text analyses call the same paid provider, so they share the limits.
+ * @param {string} kind - What is limited, for the error message (e.g. 'image analyses').
+ */
+function limitAnalyses(kind) {
+  return (req, res, next) => {
+    const limit = checkRateLimits({ ip: req.ip, userId: req.auth.userId, role: req.auth.role });
+    if (limit.allowed) return next();
+    res.set('Retry-After', String(limit.retryAfterSeconds));
+    return res.status(429).json({
+      error: `Too many ${kind}.`,
+      details: `At most ${limit.limit} analyses per ${limit.scope === 'user' ? 'user' : 'IP address'} are allowed in the rate limit window.`,
+      retryAfterSeconds: limit.retryAfterSeconds
+    });
+  };
+}
+
+/**
+ * Parses the paging and re-ranking query parameters of the recommendation routes.
+ * @param {object} query - The Express query object (limit, offset, diversity).
+ * @returns {{options: object | null, error: string | null}} The options, or the message for a 400 response.
+ */
+function parseRecommendationQuery(query) {
+  const limit = query.limit !== undefined ? Number(query.limit) : undefined;
+  const offset = query.offset !== undefined ? Number(query.offset) : undefined;
+  const diversity = query.diversity !== undefined ? Number(query.diversity) : undefined;
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_RECOMMENDATION_LIMIT)) {
+    return { options: null, error: `limit must be an integer between 1 and ${MAX_RECOMMENDATION_LIMIT}.` };
+  }
+  if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+    return { options: null, error: 'offset must be a non-negative integer.' };
+  }
+  if (diversity !== undefined && (!Number.isFinite(diversity) || diversity < 0 || diversity > 1)) {
+    return { options: null, error: 'diversity must be a number between 0 and 1.' };
+  }
+  return { options: { limit, offset, diversity }, error: null };
+}
+
+/**
+ * Returns the client or session id used for sticky A/B assignment.
+ * @param {object} req - The Express request.
+ * @returns {string | null} The id, or null for requests without one.
+ */
+function getClientId(req) {
+  return req.get('X-Client-Id') || req.get('X-Session-Id') || req.query.clientId || null;
+}
 
-const storage = multer.memoryStorage();
+const uploadStorage = multer.memoryStorage();
 const upload = multer({
-  storage: storage,
+  storage: uploadStorage,
   limits: { fileSize: 10 * 1024 * 1024 }
 });
 
+/**
+ * Reads the `images` upload, answering upload errors (too large, too many files) with JSON instead of the default error page.
+ */
+function receiveImages(req, res, next) {
+  upload.array('images', MAX_UPLOAD_IMAGES)(req, res, err => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: `File upload error: ${err.message}`, details: `Upload at most ${MAX_UPLOAD_IMAGES} images of up to 10 MB each.` });
+    }
+    next(err);
+  });
+}
+
+app.get('/api/destinations', async (req, res) => {
+  try {
+    const { filters, errors } = parseSearchQuery(req.query);
+    if (!filters) {
+      return res.status(400).json({ error: 'Invalid query parameters.', fieldErrors: errors });
+    }
+
+    const { data, error } = await searchDestinations(filters);
+
+    if (error) {
+      console.error('Error searching destinations:', error);
+      return res.status(500).json({ error: 'Failed to search destinations', details: error.message });
+    }
+
+    res.status(200).json(data);
+
+  } catch (err) {
+    console.error('Server error searching destinations:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.get('/api/destinations/random', async (req, res) => {
   try {
-    const { data, error } = await supabase.rpc('get_random_destinations', { limit_count: 10 });
+    const { options, errors } = parseDeckQuery(req.query);
+    if (!options) {
+      return res.status(400).json({ error: 'Invalid query parameters.', fieldErrors: errors });
+    }
+
+    const { data, error } = await getRatingDeck(options);
 
     if (error) {
       console.error('Error fetching random destinations:', error);
@@ -41,6 +248,8 @@ app.get('/api/destinations/random', async (req, res) => {
       return res.status(404).json({ message: 'No destinations found.' });
     }
 
+    // The seed reproduces this deck (pass it back as ?seed=)
+    res.set('X-Deck-Seed', options.seed);
     res.json(data);
 
   } catch (err) {
@@ -49,12 +258,40 @@ app.get('/api/destinations/random', async (req, res) => {
   }
 });
 
-app.post('/api/preferences/analyze-images', upload.array('images', 3), async (req, res) => {
+app.post('/api/destinations/next-to-rate', async (req, res) => {
   try {
-    const files = req.files;
+    // The body is the partial preference profile with the ratings so far; missing theme scores count as neutral
+    const validation = validatePartialPreferences(req.body ?? {});
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid preference profile.', fieldErrors: validation.errors });
+    }
+
+    const k = req.query.k !== undefined ? Number(req.query.k) : undefined;
+    if (k !== undefined && (!Number.isInteger(k) || k < 1 || k > MAX_STABILITY_K)) {
+      return res.status(400).json({ error: `k must be an integer between 1 and ${MAX_STABILITY_K}.` });
+    }
+
+    const { data, error } = await getNextToRate(validation.value, { k });
+
+    if (error) {
+      console.error('Error selecting the next destination to rate:', error);
+      return res.status(500).json({ error: 'Failed to select the next destination to rate', details: error.message });
+    }
+
+    res.status(200).json(data);
+
+  } catch (err) {
+    console.error('Server error selecting the next destination to rate:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/preferences/analyze-images', limitAnalyses('image analyses'), receiveImages, async (req, res) => {
+  try {
+    const uploadedFiles = req.files;
     const preferencesString = req.body.preferences;
 
-    if (!files || files.length === 0) {
+    if (!uploadedFiles || uploadedFiles.length === 0) {
       return res.status(400).json({ error: 'No image files uploaded.' });
     }
 
@@ -62,7 +299,7 @@ app.post('/api/preferences/analyze-images', upload.array('images', 3), async (re
       return res.status(400).json({ error: 'Preferences data missing in the request.' });
     }
 
-    console.log(`Received ${files.length} images for analysis.`);
+    console.log(`Received ${uploadedFiles.length} images for analysis.`);
 
     let currentPreferences;
     try {
@@ -72,33 +309,181 @@ app.post('/api/preferences/analyze-images', upload.array('images', 3), async (re
       return res.status(400).json({ error: 'Invalid preferences JSON format.' });
     }
 
-    const analysisResult = await analyzeImagesWithOpenAI(files, currentPreferences);
+    const validation = validatePreferences(currentPreferences, { normalize: req.query.normalize !== 'false' });
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid preferences.', fieldErrors: validation.errors });
+    }
+    currentPreferences = validation.value;
+
+    // Only real JPEG/PNG/WebP/HEIC images leave the server, downscaled and without EXIF metadata
+    const { accepted: files, rejected } = await prepareImages(uploadedFiles);
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'None of the uploaded images can be analyzed.', rejected });
+    }
+
+    // Re-uploads of the same photos with the same theme scores are answered from the cache, free of charge
+    const cachedAnalysis = getCachedAnalysis(files, currentPreferences);
+    if (cachedAnalysis) {
+      return res.status(200).json({
+        message: `Successfully received and analyzed ${files.length} images.`,
+        ...cachedAnalysis,
+        rejected
+      });
+    }
+
+    // Reserve the worst-case cost against the daily budget, then charge what OpenAI actually billed
+    const { data: reservation, error: budgetError } = reserveBudget(files);
+    if (budgetError) {
+      res.set('Retry-After', String(budgetError.retryAfterSeconds));
+      return res.status(503).json({ error: budgetError.message, retryAfterSeconds: budgetError.retryAfterSeconds });
+    }
+
+    let billedUsage = null;
+    let result;
+    try {
+      result = await analyzeImages(files, currentPreferences, {
+        onUsage: reportedUsage => { billedUsage = reportedUsage; }
+      });
+    } finally {
+      settleBudget(reservation.id, { usage: billedUsage, files, succeeded: Boolean(result?.data) });
+    }
 
+    if (result.error) {
+      return res.status(503).json({ error: 'Image analysis is currently unavailable.', details: result.error.message });
+    }
+
+    // fallback: why the configured provider did not answer (null when it did)
     const responsePayload = {
       message: `Successfully received and analyzed ${files.length} images.`,
-      analysis: analysisResult
+      analysis: result.data.analysis,
+      provider: result.data.provider,
+      fallback: result.data.fallback,
+      cached: result.data.cached,
+      rejected
     };
 
     res.status(200).json(responsePayload);
 
   } catch (err) {
     console.error('Error analyzing images:', err);
-    if (err instanceof multer.MulterError) {
-      return res.status(400).json({ error: `File upload error: ${err.message}` });
-    }
     res.status(500).json({ error: 'Internal server error during image analysis' });
   }
 });
 
+app.post('/api/preferences/analyze-text', limitAnalyses('text analyses'), async (req, res) => {
+  try {
+    const { text, preferences } = req.body || {};
+
+    if (typeof text !== 'string' || text.trim() === '') {
+      return res.status(400).json({ error: 'Text is required and cannot be empty.' });
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ error: `Text must be at most ${MAX_TEXT_LENGTH} characters long.` });
+    }
+
+    // The profile is optional; without it the theme deltas are relative to neutral scores
+    let currentPreferences = null;
+    if (preferences !== undefined && preferences !== null) {
+      const validation = validatePreferences(preferences, { normalize: req.query.normalize !== 'false' });
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid preferences.', fieldErrors: validation.errors });
+      }
+      currentPreferences = validation.value;
+    }
+
+    // Text analyses are billed against the same daily budget as image analyses (without image tokens)
+    const { data: reservation, error: budgetError } = reserveBudget([]);
+    if (budgetError) {
+      res.set('Retry-After', String(budgetError.retryAfterSeconds));
+      return res.status(503).json({ error: budgetError.message, retryAfterSeconds: budgetError.retryAfterSeconds });
+    }
+
+    let billedUsage = null;
+    let result;
+    try {
+      result = await analyzeText(text.trim(), currentPreferences, {
+        onUsage: reportedUsage => { billedUsage = reportedUsage; }
+      });
+    } finally {
+      settleBudget(reservation.id, { usage: billedUsage, files: [], succeeded: Boolean(result?.data) });
+    }
+
+    if (result.error) {
+      return res.status(503).json({ error: 'Text analysis is currently unavailable.', details: result.error.message });
+    }
+
+    // preferences: validated trip details to merge into the profile; discarded: details that failed validation
+    res.status(200).json({
+      message: 'Successfully analyzed the trip description.',
+      analysis: result.data.analysis,
+      preferences: result.data.preferences,
+      discarded: result.data.discarded,
+      provider: result.data.provider,
+      fallback: result.data.fallback
+    });
+
+  } catch (err) {
+    console.error('Error analyzing text:', err);
+    res.status(500).json({ error: 'Internal server error during text analysis' });
+  }
+});
+
 app.post('/api/recommendations', async (req, res) => {
   try {
-    const userPreferences = req.body;
+    // Paging: ?limit=N&offset=M, plus ?recommendationId= to append a "show more" page to an existing record
+    // Re-ranking: ?diversity=0..1 trades relevance against country/region/theme diversity
+    const { options, error: queryError } = parseRecommendationQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
 
-    if (!userPreferences || typeof userPreferences !== 'object' || Object.keys(userPreferences).length === 0) {
-      return res.status(400).json({ error: 'User preferences object is missing or empty in request body.' });
+    // "Show more" appends to an existing record, which only its creator may change.
+    // It is ranked from the record's stored preferences, so no request body is needed.
+    const recommendationId = req.query.recommendationId || null;
+    if (recommendationId) {
+      const { data: record, error: recordError } = await storage.getRecommendation(recommendationId);
+      if (recordError?.code === 'PGRST116' || (!recordError && !record)) {
+        return res.status(404).json({ error: `Recommendation record with ID ${recommendationId} not found.` });
+      }
+      if (recordError) {
+        console.error('Error fetching recommendation record to append to:', recordError);
+        return res.status(500).json({ error: 'Failed to fetch the recommendation record', details: recordError.message });
+      }
+      if (!isOwnerOrAdmin(req.auth, record.user_id)) {
+        return res.status(403).json({ error: 'Only the creator of a recommendation record can extend it.' });
+      }
     }
 
-    const result = await generateRecommendations(userPreferences);
+    let userPreferences = null;
+    if (!recommendationId) {
+      if (!req.body || typeof req.body !== 'object' || Object.keys(req.body).length === 0) {
+        return res.status(400).json({ error: 'User preferences object is missing or empty in request body.' });
+      }
+
+      // Validate against the preference profile schema; ?normalize=false keeps the values as sent
+      const validation = validatePreferences(req.body, { normalize: req.query.normalize !== 'false' });
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid preference profile.', fieldErrors: validation.errors });
+      }
+      userPreferences = validation.value;
+    }
+
+    const result = await generateRecommendations(userPreferences, {
+      ...options,
+      recommendationId,
+      // A/B assignment is sticky per client (or session) id
+      clientId: getClientId(req),
+      // Signed-in users get the run in their history
+      userId: req.auth.userId,
+    });
+
+    // "Show more" could not continue the record: gone, no longer reproducible, or a storage failure
+    if (result.code) {
+      const status = result.code === 'PGRST116' ? 404
+        : ['SCORING_CONFIG_NOT_FOUND', 'EXPERIMENT_VARIANT_NOT_FOUND'].includes(result.code) ? 409
+        : 500;
+      return res.status(status).json({ error: result.error, details: result.details });
+    }
 
     res.status(200).json(result);
 
@@ -108,7 +493,53 @@ app.post('/api/recommendations', async (req, res) => {
   }
 });
 
-app.post('/api/destinations/:destinationId/feedback', async (req, res) => {
+app.post('/api/group-recommendations', async (req, res) => {
+  try {
+    // Every member's profile is validated like the POST /api/recommendations body
+    const { options, errors } = parseGroupRequest(req.body, req.query);
+    if (!options) {
+      return res.status(400).json({ error: 'Invalid group recommendation request.', fieldErrors: errors });
+    }
+
+    const { data, error } = await generateGroupRecommendations(options);
+
+    if (error) {
+      console.error('Error generating group recommendations:', error);
+      return res.status(500).json({ error: 'Failed to generate group recommendations', details: error.message });
+    }
+
+    res.status(200).json(data);
+
+  } catch (err) {
+    console.error('Error generating group recommendations:', err);
+    res.status(500).json({ error: 'Internal server error during group recommendation generation' });
+  }
+});
+
+app.post('/api/itineraries', async (req, res) => {
+  try {
+    // The profile is validated like the POST /api/recommendations body
+    const { options, errors } = parseItineraryRequest(req.body);
+    if (!options) {
+      return res.status(400).json({ error: 'Invalid itinerary request.', fieldErrors: errors });
+    }
+
+    const { data, error } = await generateItineraries(options);
+
+    if (error) {
+      console.error('Error generating itineraries:', error);
+      return res.status(500).json({ error: 'Failed to generate itineraries', details: error.message });
+    }
+
+    res.status(200).json(data);
+
+  } catch (err) {
+    console.error('Error generating itineraries:', err);
+    res.status(500).json({ error: 'Internal server error during itinerary generation' });
+  }
+});
+
+app.post('/api/destinations/:destinationId/feedback', requireUser, async (req, res) => {
   try {
     const { destinationId } = req.params;
     const { feedback } = req.body;
@@ -120,12 +551,9 @@ app.post('/api/destinations/:destinationId/feedback', async (req, res) => {
       return res.status(400).json({ error: 'Feedback text is required and cannot be empty.' });
     }
 
-    const { data, error } = await supabase
-      .from('destination_feedback')
-      .insert([
-        { destination_id: destinationId, feedback_text: feedback.trim() },
-      ])
-      .select();
+    const { data, error } = await storage.insertDestinationFeedback(
+      { destination_id: destinationId, feedback_text: feedback.trim(), user_id: req.auth.userId }
+    );
 
     if (error) {
       console.error('Error inserting destination feedback:', error);
@@ -136,7 +564,7 @@ app.post('/api/destinations/:destinationId/feedback', async (req, res) => {
     }
 
     console.log(`Feedback submitted for destination ${destinationId}:`, data);
-    res.status(201).json({ message: 'Feedback submitted successfully.', feedback: data ? data[0] : null });
+    res.status(201).json({ message: 'Feedback submitted successfully.', feedback: data ?? null });
 
   } catch (err) {
     console.error('Server error submitting feedback:', err);
@@ -144,7 +572,7 @@ app.post('/api/destinations/:destinationId/feedback', async (req, res) => {
   }
 });
 
-app.post('/api/recommendations/:recommendationId/feedback', async (req, res) => {
+app.post('/api/recommendations/:recommendationId/feedback', requireUser, async (req, res) => {
   try {
     const { recommendationId } = req.params;
     const { destinationId, feedback } = req.body;
@@ -159,11 +587,7 @@ app.post('/api/recommendations/:recommendationId/feedback', async (req, res) =>
       return res.status(400).json({ error: 'Feedback must be either "like" or "dislike".' });
     }
 
-    const { data: recommendation, error: fetchError } = await supabase
-      .from('recommendations')
-      .select('destination_1_id, destination_2_id, destination_3_id')
-      .eq('id', recommendationId)
-      .single();
+    const { data: recommendation, error: fetchError } = await storage.getRecommendation(recommendationId);
 
     if (fetchError) {
       console.error('Error fetching recommendation record:', fetchError);
@@ -177,33 +601,69 @@ app.post('/api/recommendations/:recommendationId/feedback', async (req, res) =>
       return res.status(404).json({ error: `Recommendation record with ID ${recommendationId} not found.` });
     }
 
-    let feedbackFieldToUpdate = null;
-    if (recommendation.destination_1_id === destinationId) {
-      feedbackFieldToUpdate = 'destination_1_feedback';
-    } else if (recommendation.destination_2_id === destinationId) {
-      feedbackFieldToUpdate = 'destination_2_feedback';
-    } else if (recommendation.destination_3_id === destinationId) {
-      feedbackFieldToUpdate = 'destination_3_feedback';
+    // Only the creator of the record (or an admin) may change its feedback
+    if (!isOwnerOrAdmin(req.auth, recommendation.user_id)) {
+      return res.status(403).json({ error: 'Only the creator of a recommendation record can change its feedback.' });
+    }
+
+    // Look the destination up in the normalized recommendation_items rows first
+    const { data: items, error: itemsError } = await storage.getRecommendationItems(recommendationId);
+
+    if (itemsError) {
+      console.error('Error fetching recommendation items:', itemsError);
+      return res.status(500).json({ error: 'Failed to fetch recommendation items', details: itemsError.message });
+    }
+
+    const item = (items || []).find(i => i.destination_id === destinationId);
+
+    // Older records only have the legacy destination_1..3 columns
+    let legacyFeedbackField = null;
+    for (let slot = 1; slot <= LEGACY_DESTINATION_SLOTS; slot++) {
+      if (recommendation[`destination_${slot}_id`] === destinationId) {
+        legacyFeedbackField = `destination_${slot}_feedback`;
+        break;
+      }
     }
 
-    if (!feedbackFieldToUpdate) {
+    if (!item && !legacyFeedbackField) {
       return res.status(400).json({ error: `Destination ID ${destinationId} does not match any destination in recommendation record ${recommendationId}.` });
     }
 
-    const updatePayload = { [feedbackFieldToUpdate]: feedback };
-    const { data: updateData, error: updateError } = await supabase
-      .from('recommendations')
-      .update(updatePayload)
-      .eq('id', recommendationId)
-      .select('id');
+    if (item) {
+      const { error: itemUpdateError } = await storage.updateRecommendationItem(item.id, { feedback });
+      if (itemUpdateError) {
+        console.error('Error updating recommendation item feedback:', itemUpdateError);
+        return res.status(500).json({ error: 'Failed to update feedback', details: itemUpdateError.message });
+      }
+    }
+
+    let updateData = null;
+    if (legacyFeedbackField) {
+      const updatePayload = { [legacyFeedbackField]: feedback };
+      const { data, error: updateError } = await storage.updateRecommendation(recommendationId, updatePayload);
 
-    if (updateError) {
-      console.error('Error updating recommendation feedback:', updateError);
-      return res.status(500).json({ error: 'Failed to update feedback', details: updateError.message });
+      if (updateError) {
+        console.error('Error updating recommendation feedback:', updateError);
+        return res.status(500).json({ error: 'Failed to update feedback', details: updateError.message });
+      }
+      updateData = data;
     }
 
     console.log(`Feedback '${feedback}' submitted for destination ${destinationId} in recommendation ${recommendationId}.`);
-    res.status(200).json({ message: 'Feedback submitted successfully.', updatedRecordId: updateData?.[0]?.id || recommendationId });
+
+    // The in-process engine updates the affected neighbour lists right away
+    if (getSimilarityEngine() === 'js') {
+      const { error: similarityError } = await applyRecommendationRecord(recommendationId);
+      if (similarityError) {
+        console.error('Error updating item similarity after feedback:', similarityError);
+      }
+    }
+
+    res.status(200).json({
+      message: 'Feedback submitted successfully.',
+      updatedRecordId: updateData?.id || recommendationId,
+      rank: item?.rank ?? null
+    });
 
   } catch (err) {
     console.error('Server error submitting recommendation feedback:', err);
@@ -211,6 +671,429 @@ app.post('/api/recommendations/:recommendationId/feedback', async (req, res) =>
   }
 });
 
-app.listen(port, () => {
-  console.log(`Server listening at http://localhost:${port}`);
-});
\ No newline at end of file
+app.get('/api/destinations/:destinationId/similar', async (req, res) => {
+  try {
+    const { destinationId } = req.params;
+    const { data, error } = await getNeighbours(destinationId);
+
+    if (error) {
+      console.error('Error fetching similar destinations:', error);
+      return res.status(500).json({ error: 'Failed to fetch similar destinations', details: error.message });
+    }
+
+    res.status(200).json({ destinationId, neighbours: data });
+
+  } catch (err) {
+    console.error('Server error fetching similar destinations:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/similarity/refresh', requireAdmin, async (req, res) => {
+  try {
+    const { metric, minSupport, topK } = req.body || {};
+
+    let options;
+    try {
+      options = getSimilarityOptions({ metric, minSupport, topK });
+    } catch (optionsError) {
+      return res.status(400).json({ error: optionsError.message });
+    }
+
+    const result = await refreshItemSimilarity(options);
+
+    if (result.error) {
+      console.error('Error refreshing item similarity:', result.error);
+      return res.status(500).json({ error: 'Failed to refresh item similarity', details: result.error.message });
+    }
+
+    res.status(200).json({ message: 'Item similarity refreshed successfully.', result: result.data });
+
+  } catch (err) {
+    console.error('Server error refreshing item similarity:', err);
+    res.status(500).json({ error: 'Internal server error during similarity refresh' });
+  }
+});
+
+app.get('/api/experiments', (req, res) => {
+  res.status(200).json({ experiments: getExperiments() });
+});
+
+app.get('/api/experiments/:experimentName/results', async (req, res) => {
+  try {
+    const { experimentName } = req.params;
+    const confidenceLevel = req.query.confidence !== undefined ? Number(req.query.confidence) : undefined;
+
+    if (confidenceLevel !== undefined && ![0.9, 0.95, 0.99].includes(confidenceLevel)) {
+      return res.status(400).json({ error: 'confidence must be one of 0.9, 0.95 or 0.99.' });
+    }
+
+    const { data, error } = await getExperimentResults(experimentName, { confidenceLevel });
+
+    if (error) {
+      console.error('Error calculating experiment results:', error);
+      return res.status(500).json({ error: 'Failed to calculate experiment results', details: error.message });
+    }
+    if (!data.defined && data.variants.length === 0) {
+      return res.status(404).json({ error: `Experiment '${experimentName}' not found.` });
+    }
+
+    res.status(200).json(data);
+
+  } catch (err) {
+    console.error('Server error calculating experiment results:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/admin/usage/image-analysis', requireAdmin, (req, res) => {
+  res.status(200).json({ ...getImageAnalysisUsage(), cache: getAnalysisCacheStats() });
+});
+
+app.delete('/api/admin/cache/image-analysis', requireAdmin, (req, res) => {
+  res.status(200).json({ message: 'Image analysis cache cleared.', cleared: clearAnalysisCache() });
+});
+
+app.get('/api/admin/scoring-config', requireAdmin, (req, res) => {
+  res.status(200).json({ source: getScoringConfigSource(), config: getScoringConfig() });
+});
+
+app.get('/api/admin/scoring-config/versions', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await listScoringConfigVersions();
+
+    if (error) {
+      console.error('Error listing scoring config versions:', error);
+      return res.status(500).json({ error: 'Failed to list scoring config versions', details: error.message });
+    }
+
+    res.status(200).json({ activeVersion: getScoringConfig().version, versions: data });
+
+  } catch (err) {
+    console.error('Server error listing scoring config versions:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/admin/scoring-config/validate', requireAdmin, (req, res) => {
+  const validation = validateScoringConfig(req.body);
+  res.status(200).json({
+    valid: validation.valid,
+    fieldErrors: validation.errors,
+    config: validation.valid ? validation.value : null
+  });
+});
+
+app.put('/api/admin/scoring-config', requireAdmin, async (req, res) => {
+  try {
+    const { data, errors, error } = await activateScoringConfig(req.body);
+
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid scoring config.', fieldErrors: errors });
+    }
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Scoring config version already exists. Use a new version.', details: error.message });
+      }
+      console.error('Error storing scoring config:', error);
+      return res.status(500).json({ error: 'Failed to store scoring config', details: error.message });
+    }
+
+    res.status(200).json({ message: `Scoring config version ${data.version} is now active.`, config: data });
+
+  } catch (err) {
+    console.error('Server error activating scoring config:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/admin/destinations/export', requireAdmin, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!TRANSFER_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${TRANSFER_FORMATS.join(', ')}.` });
+    }
+
+    const { data, error } = await exportDestinations(format);
+
+    if (error) {
+      console.error('Error exporting destinations:', error);
+      return res.status(500).json({ error: 'Failed to export destinations', details: error.message });
+    }
+
+    res.set('Content-Type', `${TRANSFER_CONTENT_TYPES[format]}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="destinations.${format}"`);
+    res.status(200).send(data);
+
+  } catch (err) {
+    console.error('Server error exporting destinations:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The import body is the raw file: text/csv or application/x-ndjson (JSON Lines)
+app.post('/api/admin/destinations/import', requireAdmin,
+  express.text({ type: ['text/csv', 'application/x-ndjson', 'application/jsonl', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const format = req.query.format || (req.is('text/csv') ? 'csv' : req.is(['application/x-ndjson', 'application/jsonl']) ? 'jsonl' : null);
+      if (!TRANSFER_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Set ?format= to one of: ${TRANSFER_FORMATS.join(', ')} (or send a text/csv or application/x-ndjson body).` });
+      }
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({ error: 'The request body must contain the file to import.' });
+      }
+
+      const dryRun = req.query.dryRun === 'true';
+      const { data, error } = await importDestinations(req.body, { format, dryRun });
+
+      if (error) {
+        if (error.code === 'INVALID_FILE') {
+          return res.status(400).json({ error: 'Invalid import file.', details: error.message });
+        }
+        console.error('Error importing destinations:', error);
+        return res.status(500).json({ error: 'Failed to import destinations', details: error.message });
+      }
+      if (!data.valid && !dryRun) {
+        return res.status(400).json({ error: 'Import rejected: some rows are invalid. Nothing was imported.', report: data });
+      }
+
+      res.status(200).json({ message: dryRun ? 'Dry run completed.' : 'Import completed.', report: data });
+
+    } catch (err) {
+      console.error('Server error importing destinations:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+app.post('/api/admin/destinations', requireAdmin, async (req, res) => {
+  try {
+    const { data, errors, error } = await createDestination(req.body);
+
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid destination.', fieldErrors: errors });
+    }
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A destination with this ID already exists.', details: error.message });
+      }
+      console.error('Error creating destination:', error);
+      return res.status(500).json({ error: 'Failed to create destination', details: error.message });
+    }
+
+    res.status(201).json({ message: 'Destination created successfully.', destination: data });
+
+  } catch (err) {
+    console.error('Server error creating destination:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/admin/destinations/:destinationId', requireAdmin, async (req, res) => {
+  try {
+    const { destinationId } = req.params;
+    if (!req.body || typeof req.body !== 'object' || Object.keys(req.body).length === 0) {
+      return res.status(400).json({ error: 'Request body with the fields to update is required.' });
+    }
+
+    const { data, errors, error } = await updateDestination(destinationId, req.body);
+
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid destination.', fieldErrors: errors });
+    }
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: `Destination with ID ${destinationId} not found.` });
+      }
+      console.error('Error updating destination:', error);
+      return res.status(500).json({ error: 'Failed to update destination', details: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ error: `Destination with ID ${destinationId} not found.` });
+    }
+
+    res.status(200).json({ message: 'Destination updated successfully.', destination: data });
+
+  } catch (err) {
+    console.error('Server error updating destination:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/admin/destinations/:destinationId', requireAdmin, async (req, res) => {
+  try {
+    const { destinationId } = req.params;
+    const { data, error } = await deleteDestination(destinationId);
+
+    if (error) {
+      if (error.code === '23503') {
+        return res.status(409).json({ error: 'Destination is still referenced by recommendations or feedback.', details: error.message });
+      }
+      console.error('Error deleting destination:', error);
+      return res.status(500).json({ error: 'Failed to delete destination', details: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ error: `Destination with ID ${destinationId} not found.` });
+    }
+
+    res.status(200).json({ message: 'Destination deleted successfully.', destinationId });
+
+  } catch (err) {
+    console.error('Server error deleting destination:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/users', requireUser, async (req, res) => {
+  try {
+    // Users create their own profile (its id is their user ID); admins may create any
+    const body = { ...req.body };
+    if (req.auth.role !== 'admin') {
+      if (body.id !== undefined && body.id !== req.auth.userId) {
+        return res.status(403).json({ error: 'You can only create your own profile.' });
+      }
+      body.id = req.auth.userId;
+    }
+
+    const { data, errors, error } = await createUserProfile(body);
+
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid user profile.', fieldErrors: errors });
+    }
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'A user with this ID already exists.', details: error.message });
+      }
+      console.error('Error creating user profile:', error);
+      return res.status(500).json({ error: 'Failed to create user profile', details: error.message });
+    }
+
+    res.status(201).json({ user: data });
+
+  } catch (err) {
+    console.error('Server error creating user profile:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/api/users/:userId', requireUser, requireProfileOwner, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { data, error } = await getUserProfile(userId);
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: `User with ID ${userId} not found.` });
+      }
+      console.error('Error fetching user profile:', error);
+      return res.status(500).json({ error: 'Failed to fetch user profile', details: error.message });
+    }
+
+    res.status(200).json({ user: data });
+
+  } catch (err) {
+    console.error('Server error fetching user profile:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.patch('/api/users/:userId', requireUser, requireProfileOwner, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { data, errors, error } = await updateUserProfile(userId, req.body);
+
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid user profile.', fieldErrors: errors });
+    }
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: `User with ID ${userId} not found.` });
+      }
+      console.error('Error updating user profile:', error);
+      return res.status(500).json({ error: 'Failed to update user profile', details: error.message });
+    }
+    if (!data) {
+      return res.status(404).json({ error: `User with ID ${userId} not found.` });
+    }
+
+    res.status(200).json({ user: data });
+
+  } catch (err) {
+    console.error('Server error updating user profile:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/users/:userId/recommendations', requireUser, requireProfileOwner, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { options, error: queryError } = parseRecommendationQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
+    }
+
+    const { data, error } = await runRecommendationsForUser(userId, {
+      ...options,
+      clientId: getClientId(req) || userId
+    });
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: `User with ID ${userId} not found.` });
+      }
+      if (error.code === 'NO_PREFERENCES') {
+        return res.status(409).json({ error: 'Save a preference profile before requesting recommendations.', details: error.message });
+      }
+      console.error('Error generating recommendations for user:', error);
+      return res.status(500).json({ error: 'Failed to generate recommendations', details: error.message });
+    }
+
+    res.status(200).json(data);
+
+  } catch (err) {
+    console.error('Error generating recommendations for user:', err);
+    res.status(500).json({ error: 'Internal server error during recommendation generation' });
+  }
+});
+
+app.get('/api/users/:userId/recommendations', requireUser, requireProfileOwner, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : undefined;
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE)) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_HISTORY_PAGE_SIZE}.` });
+    }
+    if (offset !== undefined && (!Number.isInteger(offset) || offset < 0)) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer.' });
+    }
+
+    const { data, error } = await listUserRecommendations(userId, { limit, offset });
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({ error: `User with ID ${userId} not found.` });
+      }
+      console.error('Error listing user recommendations:', error);
+      return res.status(500).json({ error: 'Failed to list recommendations', details: error.message });
+    }
+
+    res.status(200).json(data);
+
+  } catch (err) {
+    console.error('Server error listing user recommendations:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+loadScoringConfig()
+  .then(() => {
+    app.listen(port, () => {
+      console.log(`Server listening at http://localhost:${port}`);
+    });
+  })
+  .catch(configError => {
+    console.error("Failed to load scoring config:", configError.message);
+    process.exit(1);
+  });
\ No newline at end of file
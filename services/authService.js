@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Authentication Service for Travolo
+ *
+ * Verifies Supabase-issued access tokens offline and maps them to the API roles:
+ * - anonymous: no token, or a token without a user (e.g. the public anon key)
+ * - user:      a signed-in user (including Supabase anonymous sign-ins); `sub` is the user ID
+ * - admin:     the service role key, a user whose app_metadata grants the 'admin' role,
+ *              or a request with the X-Admin-Key header matching ADMIN_API_KEY
+ *
+ * Tokens are HS256 JWTs signed with the project's JWT secret, so no call to Supabase is needed.
+ * The signature, algorithm, expiry and not-before time are always checked; audience and issuer
+ * only when configured.
+ *
+ * Environment variables:
+ * - SUPABASE_JWT_SECRET: the project's JWT secret (without it, bearer tokens are rejected)
+ * - JWT_AUDIENCE:        expected `aud` claim (optional, Supabase uses 'authenticated')
+ * - JWT_ISSUER:          expected `iss` claim (optional, e.g. https://<project>.supabase.co/auth/v1)
+ * - ADMIN_API_KEY:       static admin key for scripts and operators (optional)
+ */
+
+const crypto = require('crypto');
+
+// ====================
+// Constants
+// ====================
+
+const ROLES = ['anonymous', 'user', 'admin'];
+
+// Seconds of clock skew accepted for exp / nbf / iat
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+const ANONYMOUS = Object.freeze({ role: 'anonymous', userId: null, claims: null });
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Decodes one base64url segment of a JWT as JSON.
+ * @param {string} segment - The segment.
+ * @returns {object | null} The parsed object, or null if it is not valid JSON.
+ */
+function decodeSegment(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    return value !== null && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compares two strings in constant time.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} True if they are equal.
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Builds an authentication error.
+ * @param {string} message - What is wrong with the token.
+ * @param {string} [code='INVALID_TOKEN'] - 'INVALID_TOKEN', 'TOKEN_EXPIRED' or 'AUTH_NOT_CONFIGURED'.
+ * @returns {{message: string, code: string}}
+ */
+function authError(message, code = 'INVALID_TOKEN') {
+  return { message, code };
+}
+
+/**
+ * Maps verified claims to an API role.
+ * @param {object} claims - The token claims.
+ * @returns {'anonymous' | 'user' | 'admin'} The role.
+ */
+function roleFromClaims(claims) {
+  const appMetadata = claims.app_metadata || {};
+  const appRoles = [].concat(appMetadata.roles || [], appMetadata.role || []);
+  if (claims.role === 'service_role' || appRoles.includes('admin')) return 'admin';
+  if (typeof claims.sub === 'string' && claims.sub !== '') return 'user';
+  return 'anonymous';
+}
+
+// ==========================
+// Token Verification
+// ==========================
+
+/**
+ * Verifies an HS256 JWT and returns its claims.
+ * @param {string} token - The compact JWT.
+ * @param {object} [options]
+ * @param {string} [options.secret=process.env.SUPABASE_JWT_SECRET] - The signing secret.
+ * @param {string} [options.audience=process.env.JWT_AUDIENCE] - Expected audience, if any.
+ * @param {string} [options.issuer=process.env.JWT_ISSUER] - Expected issuer, if any.
+ * @param {number} [options.now] - Current time in seconds (for tests and replays).
+ * @returns {{data: object | null, error: {message: string, code: string} | null}} The claims or the reason.
+ */
+function verifyToken(token, options = {}) {
+  const {
+    secret = process.env.SUPABASE_JWT_SECRET,
+    audience = process.env.JWT_AUDIENCE,
+    issuer = process.env.JWT_ISSUER,
+    now = Math.floor(Date.now() / 1000)
+  } = options;
+
+  if (!secret) {
+    return { data: null, error: authError('Token verification is not configured (SUPABASE_JWT_SECRET).', 'AUTH_NOT_CONFIGURED') };
+  }
+
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return { data: null, error: authError('Token is not a JWT.') };
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+  if (!header || !claims) return { data: null, error: authError('Token is malformed.') };
+
+  // Only the algorithm Supabase signs with; never trust 'none' or an algorithm chosen by the token
+  if (header.alg !== 'HS256') {
+    return { data: null, error: authError(`Unsupported token algorithm '${header.alg}'.`) };
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest('base64url');
+  if (!safeEqual(signature, expected)) return { data: null, error: authError('Token signature is invalid.') };
+
+  if (typeof claims.exp !== 'number') return { data: null, error: authError('Token has no expiry.') };
+  if (now > claims.exp + CLOCK_TOLERANCE_SECONDS) return { data: null, error: authError('Token has expired.', 'TOKEN_EXPIRED') };
+  if (typeof claims.nbf === 'number' && now + CLOCK_TOLERANCE_SECONDS < claims.nbf) {
+    return { data: null, error: authError('Token is not valid yet.') };
+  }
+
+  if (audience && ![].concat(claims.aud ?? []).includes(audience)) {
+    return { data: null, error: authError('Token audience does not match.') };
+  }
+  if (issuer && claims.iss !== issuer) {
+    return { data: null, error: authError('Token issuer does not match.') };
+  }
+
+  return { data: claims, error: null };
+}
+
+// ==========================
+// Request Authentication
+// ==========================
+
+/**
+ * Resolves who is making a request from its Authorization and X-Admin-Key headers.
+ * @param {{authorization?: string, adminKey?: string}} credentials - The raw header values.
+ * @returns {{data: {role: string, userId: string | null, claims: object | null} | null, error: object | null}}
+ *          The caller (anonymous without credentials) or why the credentials were rejected.
+ */
+function authenticateRequest({ authorization, adminKey } = {}) {
+  if (adminKey !== undefined) {
+    const configuredKey = process.env.ADMIN_API_KEY;
+    if (!configuredKey || !safeEqual(adminKey, configuredKey)) {
+      return { data: null, error: authError('Invalid admin key.') };
+    }
+    return { data: { role: 'admin', userId: null, claims: null }, error: null };
+  }
+
+  if (!authorization) return { data: ANONYMOUS, error: null };
+
+  const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+  if (!match) return { data: null, error: authError("Authorization header must be 'Bearer <token>'.") };
+
+  const { data: claims, error } = verifyToken(match[1]);
+  if (error) return { data: null, error };
+
+  const role = roleFromClaims(claims);
+  return { data: { role, userId: role === 'anonymous' ? null : claims.sub ?? null, claims }, error: null };
+}
+
+/**
+ * Checks whether a role grants at least the required role (anonymous < user < admin).
+ * @param {string} role - The caller's role.
+ * @param {string} required - The minimum role.
+ * @returns {boolean} True if the role is sufficient.
+ */
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Checks whether the caller may act on a resource owned by `ownerId`.
+ * Admins may act on everything; resources without an owner belong to nobody else.
+ * @param {{role: string, userId: string | null}} auth - The caller.
+ * @param {string | null} ownerId - The owner's user ID.
+ * @returns {boolean} True if the caller is the owner or an admin.
+ */
+function isOwnerOrAdmin(auth, ownerId) {
+  if (auth.role === 'admin') return true;
+  return auth.role === 'user' && ownerId != null && auth.userId === ownerId;
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  verifyToken,
+  authenticateRequest,
+  hasRole,
+  isOwnerOrAdmin,
+  ROLES,
+};
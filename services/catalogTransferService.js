@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Catalog Import/Export Service for Travolo
+ *
+ * Converts destination records between the catalog shape (ExampleDestination.json) and
+ * two bulk formats:
+ * - 'csv':   one row per destination; avg_temp_monthly is flattened into the columns
+ *            `avg_temp_monthly.<month>.<avg|min|max>` and ideal_durations is joined with '|'
+ * - 'jsonl': JSON Lines, one destination object per line (nested or flattened keys)
+ *
+ * Imports are validated as a whole before anything is written:
+ * - every row is checked with the destination schema (see destinationService.js)
+ * - duplicates are detected by city and country, within the file and against the catalog
+ * - rows with an id that exists are updated (upsert by id), all other rows are created
+ * If any row has errors nothing is imported; a dry run reports the same result without writing.
+ * Valid files are written in a single storage call: either every row is imported or none is.
+ */
+
+const crypto = require('crypto');
+const { validateDestination } = require('./destinationService');
+const { invalidateSimilarityCache } = require('../collaborativeFiltering');
+const { THEME_KEYS } = require('./preferenceValidation');
+const { getStorage } = require('./storage');
+
+// ====================
+// Constants
+// ====================
+
+const TRANSFER_FORMATS = ['csv', 'jsonl'];
+const DURATION_SEPARATOR = '|';
+const MONTH_KEYS = Array.from({ length: 12 }, (_, i) => String(i + 1));
+const TEMPERATURE_KEYS = ['avg', 'min', 'max'];
+
+const CSV_COLUMNS = [
+  'id', 'city', 'country', 'region', 'short_description',
+  ...THEME_KEYS,
+  ...MONTH_KEYS.flatMap(month => TEMPERATURE_KEYS.map(key => `avg_temp_monthly.${month}.${key}`)),
+  'ideal_durations', 'budget_level', 'latitude', 'longitude'
+];
+
+const NUMERIC_COLUMNS = new Set([
+  ...THEME_KEYS,
+  'latitude',
+  'longitude',
+  ...CSV_COLUMNS.filter(column => column.startsWith('avg_temp_monthly.'))
+]);
+
+// ====================
+// CSV Helpers
+// ====================
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, escaped quotes, line breaks inside quotes).
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The rows, including the header row. Blank lines are skipped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
+
+/**
+ * Quotes a CSV field if needed.
+ * @param {any} value - The field value.
+ * @returns {string} The CSV field.
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ====================
+// Record Conversion
+// ====================
+
+/**
+ * Flattens a destination into CSV columns.
+ * @param {object} destination - The destination.
+ * @returns {Record<string, any>} Column -> value.
+ */
+function flattenDestination(destination) {
+  const flat = {};
+  for (const column of CSV_COLUMNS) {
+    if (column.startsWith('avg_temp_monthly.')) {
+      const [, month, key] = column.split('.');
+      flat[column] = destination.avg_temp_monthly?.[month]?.[key];
+    } else if (column === 'ideal_durations') {
+      flat[column] = (destination.ideal_durations || []).join(DURATION_SEPARATOR);
+    } else {
+      flat[column] = destination[column];
+    }
+  }
+  return flat;
+}
+
+/**
+ * Builds a destination from flattened columns (CSV cells or flattened JSON keys).
+ * Empty cells are left out so the validation reports required fields as missing.
+ * @param {Record<string, any>} flat - Column -> value.
+ * @returns {object} The destination.
+ */
+function unflattenDestination(flat) {
+  const destination = {};
+  for (const [column, rawValue] of Object.entries(flat)) {
+    if (column === '' || rawValue === undefined || rawValue === null || rawValue === '') continue;
+    let value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    if (value === '') continue;
+
+    if (NUMERIC_COLUMNS.has(column) && typeof value === 'string') {
+      // Keep unparsable values as text so the validation error shows them
+      value = Number.isFinite(Number(value)) ? Number(value) : value;
+    }
+
+    if (column.startsWith('avg_temp_monthly.')) {
+      const [, month, key] = column.split('.');
+      destination.avg_temp_monthly = destination.avg_temp_monthly || {};
+      destination.avg_temp_monthly[month] = destination.avg_temp_monthly[month] || {};
+      destination.avg_temp_monthly[month][key] = value;
+    } else if (column === 'ideal_durations' && typeof value === 'string') {
+      destination.ideal_durations = value.split(DURATION_SEPARATOR).map(label => label.trim()).filter(Boolean);
+    } else {
+      destination[column] = value;
+    }
+  }
+  return destination;
+}
+
+/**
+ * Parses an import file into destination records.
+ * @param {string} text - The file content.
+ * @param {'csv' | 'jsonl'} format - The file format.
+ * @returns {{rows: {row: number, destination: object | null, parseError: string | null}[], error: string | null}}
+ *          `row` is the 1-based line (CSV: data row) number used in error reports.
+ */
+function parseImport(text, format) {
+  if (format === 'csv') {
+    const [header, ...dataRows] = parseCsv(text);
+    if (!header) return { rows: [], error: 'The CSV file is empty.' };
+
+    const columns = header.map(column => column.trim());
+    const unknown = columns.filter(column => column !== '' && !CSV_COLUMNS.includes(column) && column !== 'image_url');
+    if (unknown.length > 0) {
+      return { rows: [], error: `Unknown CSV column(s): ${unknown.join(', ')}.` };
+    }
+
+    const rows = dataRows.map((cells, i) => {
+      if (cells.length !== columns.length) {
+        return { row: i + 1, destination: null, parseError: `expected ${columns.length} columns, got ${cells.length}` };
+      }
+      const flat = Object.fromEntries(columns.map((column, c) => [column, cells[c]]));
+      return { row: i + 1, destination: unflattenDestination(flat), parseError: null };
+    });
+    return { rows, error: null };
+  }
+
+  const rows = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === '') return;
+    try {
+      const parsed = JSON.parse(line);
+      if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        rows.push({ row: i + 1, destination: null, parseError: 'line is not a JSON object' });
+        return;
+      }
+      // Accept flattened keys as well as the nested avg_temp_monthly object
+      const flattenedKeys = Object.keys(parsed).filter(key => key.startsWith('avg_temp_monthly.'));
+      rows.push({ row: i + 1, destination: flattenedKeys.length > 0 ? unflattenDestination(parsed) : parsed, parseError: null });
+    } catch (parseError) {
+      rows.push({ row: i + 1, destination: null, parseError: `invalid JSON (${parseError.message})` });
+    }
+  });
+  return { rows, error: null };
+}
+
+/**
+ * Builds the duplicate detection key of a destination.
+ * @param {object} destination - The destination.
+ * @returns {string} "city|country", case- and whitespace-insensitive.
+ */
+function cityCountryKey(destination) {
+  const normalize = value => String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return `${normalize(destination.city)}|${normalize(destination.country)}`;
+}
+
+// ==========================
+// Export
+// ==========================
+
+/**
+ * Exports the destination catalog.
+ * @param {'csv' | 'jsonl'} format - The export format.
+ * @returns {Promise<{data: string | null, error: object | null}>} The file content or the storage error.
+ */
+async function exportDestinations(format) {
+  const { data: destinations, error } = await getStorage().getDestinations();
+  if (error) return { data: null, error };
+
+  const rows = destinations || [];
+  if (format === 'csv') {
+    const lines = [
+      CSV_COLUMNS.join(','),
+      ...rows.map(destination => {
+        const flat = flattenDestination(destination);
+        return CSV_COLUMNS.map(column => toCsvField(flat[column])).join(',');
+      })
+    ];
+    return { data: lines.join('\r\n') + '\r\n', error: null };
+  }
+
+  const lines = rows.map(destination => {
+    const { images, created_at, feature_vector, ...record } = destination;
+    return JSON.stringify(record);
+  });
+  return { data: lines.length > 0 ? lines.join('\n') + '\n' : '', error: null };
+}
+
+// ==========================
+// Import
+// ==========================
+
+/**
+ * Validates an import file and, unless it is a dry run, writes it to the catalog.
+ * @param {string} text - The file content.
+ * @param {object} options
+ * @param {'csv' | 'jsonl'} options.format - The file format.
+ * @param {boolean} [options.dryRun=false] - Only report what would happen.
+ * @returns {Promise<{data: object | null, error: object | null}>}
+ *          The import report, or the storage/format error (code 'INVALID_FILE' for unreadable files).
+ */
+async function importDestinations(text, { format, dryRun = false }) {
+  const parsed = parseImport(text, format);
+  if (parsed.error) return { data: null, error: { message: parsed.error, code: 'INVALID_FILE' } };
+
+  const storage = getStorage();
+  const { data: catalog, error: catalogError } = await storage.getDestinations();
+  if (catalogError) return { data: null, error: catalogError };
+
+  const existingById = new Map((catalog || []).map(d => [d.id, d]));
+  const existingByCityCountry = new Map((catalog || []).map(d => [cityCountryKey(d), d]));
+  const seenIds = new Map();
+  const seenCityCountry = new Map();
+
+  const rowErrors = [];
+  const actions = [];
+
+  for (const { row, destination, parseError } of parsed.rows) {
+    if (parseError) {
+      rowErrors.push({ row, errors: [{ path: '', message: parseError }] });
+      continue;
+    }
+
+    const validation = validateDestination(destination);
+    const errors = [...validation.errors];
+    const id = destination.id ?? null;
+    const key = cityCountryKey(destination);
+
+    if (id && seenIds.has(id)) {
+      errors.push({ path: 'id', message: `duplicates the id of row ${seenIds.get(id)}` });
+    }
+    if (seenCityCountry.has(key)) {
+      errors.push({ path: 'city', message: `duplicates ${destination.city}, ${destination.country} in row ${seenCityCountry.get(key)}` });
+    }
+    const sameCityCountry = existingByCityCountry.get(key);
+    if (sameCityCountry && sameCityCountry.id !== id) {
+      errors.push({
+        path: 'city',
+        message: `${destination.city}, ${destination.country} already exists as destination ${sameCityCountry.id}; include its id to update it`
+      });
+    }
+
+    if (id) seenIds.set(id, row);
+    seenCityCountry.set(key, row);
+
+    if (errors.length > 0) {
+      rowErrors.push({ row, id, city: destination.city ?? null, country: destination.country ?? null, errors });
+      continue;
+    }
+    actions.push({ row, action: id && existingById.has(id) ? 'update' : 'create', id, destination: validation.value });
+  }
+
+  const report = {
+    format,
+    dryRun,
+    rows: parsed.rows.length,
+    valid: rowErrors.length === 0,
+    created: actions.filter(a => a.action === 'create').length,
+    updated: actions.filter(a => a.action === 'update').length,
+    errors: rowErrors,
+    actions: actions.map(({ row, action, id, destination }) => ({
+      row, action, id, city: destination.city, country: destination.country
+    })),
+    imported: false
+  };
+
+  if (dryRun || rowErrors.length > 0) return { data: report, error: null };
+
+  // All rows are valid: write them in one call, so a storage error leaves the catalog unchanged.
+  // New rows get their id here to match the written rows back to the report.
+  const records = actions.map(action => ({ ...action.destination, id: action.id ?? crypto.randomUUID() }));
+  const { error } = await storage.upsertDestinations(records);
+  if (error) {
+    console.error('Import failed, nothing was written:', error);
+    return { data: null, error };
+  }
+  report.actions.forEach((action, i) => { action.id = records[i].id; });
+
+  invalidateSimilarityCache();
+  report.imported = true;
+  console.log(`Imported ${report.created} new and ${report.updated} updated destinations (${format}).`);
+  return { data: report, error: null };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  exportDestinations,
+  importDestinations,
+  parseCsv,
+  flattenDestination,
+  unflattenDestination,
+  TRANSFER_FORMATS,
+  CSV_COLUMNS,
+};
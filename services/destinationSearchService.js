@@ -0,0 +1,306 @@
+/**
+ * @fileoverview Destination Search Service for Travolo
+ *
+ * Filters, searches, sorts and pages the destination catalog for GET /api/destinations:
+ * - region, country, budget level and ideal duration (any of several comma-separated values)
+ * - minimum theme scores (minCulture, minBeaches, ...)
+ * - "comfortable in month X for temperature range Y": the destination's average temperature
+ *   (avg_temp_monthly, read with the contentFiltering helpers) lies within [tempMin, tempMax]
+ *   in every requested month
+ * - free-text search over city, country and short_description (every term must match)
+ * - sorting by city, country, region or a theme score, with opaque cursor pagination
+ *
+ * The cursor encodes the sort and the last returned (value, id) pair, so pages stay stable
+ * while destinations are added or removed.
+ */
+
+const { getMonthIndex, getAverageTemperature } = require('../contentFiltering');
+const { THEME_KEYS, normalizeDurationLabel, normalizeBudgetLabel, normalizeMonthName } = require('./preferenceValidation');
+const { getStorage } = require('./storage');
+
+// ====================
+// Constants
+// ====================
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const TEXT_SORT_FIELDS = ['city', 'country', 'region'];
+const SORT_FIELDS = [...TEXT_SORT_FIELDS, ...THEME_KEYS];
+
+// Query parameter for each theme minimum, e.g. minCulture
+const THEME_MINIMUM_PARAMS = Object.fromEntries(
+  THEME_KEYS.map(key => [`min${key[0].toUpperCase()}${key.slice(1)}`, key])
+);
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Splits a comma-separated query value.
+ * @param {string | string[] | undefined} value - The query value (repeated parameters arrive as arrays).
+ * @returns {string[]} The trimmed, non-empty parts.
+ */
+function splitList(value) {
+  if (value === undefined) return [];
+  return [].concat(value).flatMap(part => String(part).split(',')).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Encodes a pagination cursor.
+ * @param {object} payload - Sort, order, last value and last id.
+ * @returns {string} The opaque cursor.
+ */
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decodes a pagination cursor.
+ * @param {string} cursor - The opaque cursor.
+ * @returns {object | null} The payload, or null if the cursor is malformed.
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' && typeof payload.id === 'string' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the value a destination is sorted by.
+ * @param {object} destination - The destination.
+ * @param {string} sort - The sort field.
+ * @returns {string | number} The sort value.
+ */
+function sortValue(destination, sort) {
+  return TEXT_SORT_FIELDS.includes(sort)
+    ? String(destination[sort] ?? '').toLowerCase()
+    : Number(destination[sort] ?? 0);
+}
+
+/**
+ * Compares two destinations by sort value, then id (so the order is total).
+ * @returns {number} Negative, zero or positive.
+ */
+function compareBy(sort, direction) {
+  return (a, b) => {
+    const valueA = sortValue(a, sort);
+    const valueB = sortValue(b, sort);
+    if (valueA < valueB) return -direction;
+    if (valueA > valueB) return direction;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  };
+}
+
+/**
+ * Shapes a destination for the API: image URL instead of the images relation.
+ * @param {object} destination - The stored destination.
+ * @returns {object} The destination with image_url.
+ */
+function toListItem(destination) {
+  const { images, ...details } = destination;
+  const imageUrl = Array.isArray(images) ? images[0]?.public_url ?? null : images?.public_url ?? null;
+  return { ...details, image_url: details.image_url ?? imageUrl };
+}
+
+// ==========================
+// Query Parsing
+// ==========================
+
+/**
+ * Parses and validates the query parameters of GET /api/destinations.
+ * @param {object} query - The Express query object.
+ * @returns {{filters: object | null, errors: {path: string, message: string}[]}} The filters or the errors.
+ */
+function parseSearchQuery(query) {
+  const errors = [];
+  const filters = {
+    regions: splitList(query.region).map(r => r.toLowerCase()),
+    countries: splitList(query.country).map(c => c.toLowerCase()),
+    budgets: [],
+    durations: [],
+    themeMinimums: {},
+    months: [],
+    temperatureRange: null,
+    terms: splitList(query.q === undefined ? undefined : String(query.q).replace(/\s+/g, ',')).map(t => t.toLowerCase()),
+    sort: query.sort || 'city',
+    order: query.order || 'asc',
+    limit: DEFAULT_PAGE_SIZE,
+    cursor: null
+  };
+
+  splitList(query.budget).forEach(value => {
+    const budget = normalizeBudgetLabel(value);
+    if (budget) filters.budgets.push(budget);
+    else errors.push({ path: 'budget', message: `unknown budget level '${value}'` });
+  });
+
+  splitList(query.duration).forEach(value => {
+    const duration = normalizeDurationLabel(value);
+    if (duration) filters.durations.push(duration);
+    else errors.push({ path: 'duration', message: `unknown duration '${value}'` });
+  });
+
+  for (const [param, theme] of Object.entries(THEME_MINIMUM_PARAMS)) {
+    if (query[param] === undefined) continue;
+    const minimum = Number(query[param]);
+    if (!Number.isFinite(minimum) || minimum < 1 || minimum > 5) {
+      errors.push({ path: param, message: 'must be a number between 1 and 5' });
+    } else {
+      filters.themeMinimums[theme] = minimum;
+    }
+  }
+
+  splitList(query.month).forEach(value => {
+    const month = normalizeMonthName(value);
+    if (month) filters.months.push(month);
+    else errors.push({ path: 'month', message: `unknown month '${value}'` });
+  });
+
+  const hasTemperature = query.tempMin !== undefined || query.tempMax !== undefined;
+  if (hasTemperature) {
+    const tempMin = query.tempMin !== undefined ? Number(query.tempMin) : -Infinity;
+    const tempMax = query.tempMax !== undefined ? Number(query.tempMax) : Infinity;
+    if (Number.isNaN(tempMin) || Number.isNaN(tempMax)) {
+      errors.push({ path: 'tempMin', message: 'tempMin and tempMax must be numbers' });
+    } else if (tempMin > tempMax) {
+      errors.push({ path: 'tempMin', message: 'tempMin must not be greater than tempMax' });
+    } else {
+      filters.temperatureRange = [tempMin, tempMax];
+    }
+    if (query.month === undefined) {
+      errors.push({ path: 'month', message: 'is required with tempMin/tempMax' });
+    }
+  } else if (query.month !== undefined) {
+    errors.push({ path: 'tempMin', message: 'tempMin and/or tempMax are required with month' });
+  }
+
+  if (!SORT_FIELDS.includes(filters.sort)) {
+    errors.push({ path: 'sort', message: `must be one of ${SORT_FIELDS.join(', ')}` });
+  }
+  if (!['asc', 'desc'].includes(filters.order)) {
+    errors.push({ path: 'order', message: "must be 'asc' or 'desc'" });
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push({ path: 'limit', message: `must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    } else {
+      filters.limit = limit;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(String(query.cursor));
+    if (!cursor) {
+      errors.push({ path: 'cursor', message: 'is malformed' });
+    } else if (cursor.sort !== filters.sort || cursor.order !== filters.order) {
+      errors.push({ path: 'cursor', message: 'was issued for a different sort order' });
+    } else {
+      filters.cursor = cursor;
+    }
+  }
+
+  return { filters: errors.length === 0 ? filters : null, errors };
+}
+
+// ==========================
+// Filtering Logic
+// ==========================
+
+/**
+ * Checks whether a destination matches the filters.
+ * @param {object} destination - The destination.
+ * @param {object} filters - Parsed filters (see parseSearchQuery).
+ * @returns {boolean} True if it matches.
+ */
+function matchesFilters(destination, filters) {
+  if (filters.regions.length > 0 && !filters.regions.includes(String(destination.region ?? '').toLowerCase())) {
+    return false;
+  }
+  if (filters.countries.length > 0 && !filters.countries.includes(String(destination.country ?? '').toLowerCase())) {
+    return false;
+  }
+  if (filters.budgets.length > 0 && !filters.budgets.includes(normalizeBudgetLabel(destination.budget_level))) {
+    return false;
+  }
+  if (filters.durations.length > 0) {
+    const destinationDurations = (destination.ideal_durations || []).map(normalizeDurationLabel);
+    if (!filters.durations.some(duration => destinationDurations.includes(duration))) return false;
+  }
+
+  for (const [theme, minimum] of Object.entries(filters.themeMinimums)) {
+    if ((destination[theme] ?? 0) < minimum) return false;
+  }
+
+  // Comfortable in every requested month: average temperature within the range
+  if (filters.temperatureRange) {
+    const [tempMin, tempMax] = filters.temperatureRange;
+    const comfortable = filters.months.every(month => {
+      const avgTemp = getAverageTemperature(destination, getMonthIndex(month));
+      return avgTemp !== null && avgTemp >= tempMin && avgTemp <= tempMax;
+    });
+    if (!comfortable) return false;
+  }
+
+  if (filters.terms.length > 0) {
+    const haystack = [destination.city, destination.country, destination.short_description]
+      .map(value => String(value ?? '').toLowerCase())
+      .join(' ');
+    if (!filters.terms.every(term => haystack.includes(term))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Searches the destination catalog.
+ * @param {object} filters - Parsed filters (see parseSearchQuery).
+ * @returns {Promise<{data: object | null, error: object | null}>}
+ *          `{ destinations, total, nextCursor }` or the storage error.
+ */
+async function searchDestinations(filters) {
+  const { data: catalog, error } = await getStorage().getDestinations();
+  if (error) return { data: null, error };
+
+  const direction = filters.order === 'desc' ? -1 : 1;
+  const compare = compareBy(filters.sort, direction);
+  const matches = (catalog || []).filter(destination => matchesFilters(destination, filters)).sort(compare);
+
+  // Resume after the last destination of the previous page
+  let start = 0;
+  if (filters.cursor) {
+    const last = { id: filters.cursor.id, [filters.sort]: filters.cursor.value };
+    start = matches.findIndex(destination => compare(destination, last) > 0);
+    if (start === -1) start = matches.length;
+  }
+
+  const page = matches.slice(start, start + filters.limit);
+  const hasMore = start + filters.limit < matches.length;
+  const lastItem = page[page.length - 1];
+
+  return {
+    data: {
+      destinations: page.map(toListItem),
+      total: matches.length,
+      nextCursor: hasMore && lastItem
+        ? encodeCursor({ sort: filters.sort, order: filters.order, value: lastItem[filters.sort] ?? null, id: lastItem.id })
+        : null
+    },
+    error: null
+  };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  parseSearchQuery,
+  searchDestinations,
+  matchesFilters,
+  splitList,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+};
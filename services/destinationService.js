@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Destination Catalog Service for Travolo
+ *
+ * Validates and writes destination records for the admin API:
+ * 1. Checks the record against the destination schema (ExampleDestination.json shape):
+ *    nine theme scores (1-5), all 12 months of avg_temp_monthly, coordinates,
+ *    budget_level and ideal_durations labels
+ * 2. Normalizes labels to the catalog's display form ('short' -> 'Short trip', 'mid range' -> 'Mid-range')
+ * 3. Recomputes feature_vector (the L2-normalized theme vector) on every write
+ * 4. Invalidates the cached similarity index after every change
+ *
+ * Server-managed fields (id on create, created_at, feature_vector, images) are ignored in request bodies.
+ */
+
+const { validateSchema, rules, THEME_KEYS, normalizeDurationLabel, normalizeBudgetLabel } = require('./preferenceValidation');
+const { invalidateSimilarityCache } = require('../collaborativeFiltering');
+const { getStorage } = require('./storage');
+
+const { numberInRange, label, nonEmptyString, arrayOf, required } = rules;
+
+// ====================
+// Constants
+// ====================
+
+// Canonical label key -> label as stored in the destinations table
+const DURATION_DISPLAY_LABELS = {
+  'day-trip': 'Day trip',
+  'weekend': 'Weekend',
+  'short-trip': 'Short trip',
+  'one-week': 'One week',
+  'long-trip': 'Long trip'
+};
+
+const BUDGET_DISPLAY_LABELS = {
+  'budget': 'Budget',
+  'mid-range': 'Mid-range',
+  'luxury': 'Luxury'
+};
+
+const SERVER_MANAGED_FIELDS = ['created_at', 'feature_vector', 'images'];
+const MONTH_KEYS = Array.from({ length: 12 }, (_, i) => String(i + 1));
+const TEMPERATURE_LIMITS = [-60, 60];
+
+// ====================
+// Schema Rules
+// ====================
+
+/**
+ * Monthly temperatures: { "1": { avg, min, max }, ..., "12": {...} } with all 12 months.
+ */
+function monthlyTemperatures() {
+  const temperatureRule = numberInRange(TEMPERATURE_LIMITS);
+  return (value, path, ctx) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      ctx.errors.push({ path, message: 'must be an object keyed by month number (1-12)' });
+      return value;
+    }
+
+    MONTH_KEYS.filter(month => value[month] === undefined)
+      .forEach(month => ctx.errors.push({ path: `${path}.${month}`, message: 'is required (all 12 months must be present)' }));
+    Object.keys(value).filter(month => !MONTH_KEYS.includes(month))
+      .forEach(month => ctx.errors.push({ path: `${path}.${month}`, message: 'is not a month number (1-12)' }));
+
+    const result = {};
+    for (const month of MONTH_KEYS) {
+      const entry = value[month];
+      if (entry === undefined) continue;
+      const monthPath = `${path}.${month}`;
+      if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+        ctx.errors.push({ path: monthPath, message: 'must be an object with avg, min and max' });
+        continue;
+      }
+      ['avg', 'min', 'max'].forEach(key => {
+        if (entry[key] === undefined || entry[key] === null) {
+          ctx.errors.push({ path: `${monthPath}.${key}`, message: 'is required' });
+        } else {
+          temperatureRule(entry[key], `${monthPath}.${key}`, ctx);
+        }
+      });
+      if (entry.min > entry.avg || entry.avg > entry.max) {
+        ctx.errors.push({ path: monthPath, message: `must satisfy min <= avg <= max (got ${entry.min}, ${entry.avg}, ${entry.max})` });
+      }
+      result[month] = { avg: entry.avg, max: entry.max, min: entry.min };
+    }
+    return ctx.normalize ? result : value;
+  };
+}
+
+/**
+ * A free-form string (may be empty).
+ */
+function optionalString() {
+  return (value, path, ctx) => {
+    if (typeof value !== 'string') ctx.errors.push({ path, message: 'must be a string' });
+    return value;
+  };
+}
+
+const toDurationDisplay = value => DURATION_DISPLAY_LABELS[normalizeDurationLabel(value)] ?? null;
+const toBudgetDisplay = value => BUDGET_DISPLAY_LABELS[normalizeBudgetLabel(value)] ?? null;
+
+const DESTINATION_SCHEMA = {
+  id: nonEmptyString(),
+  city: required(nonEmptyString()),
+  country: required(nonEmptyString()),
+  region: required(nonEmptyString()),
+  short_description: optionalString(),
+  ...Object.fromEntries(THEME_KEYS.map(key => [key, required(numberInRange([1, 5]))])),
+  avg_temp_monthly: required(monthlyTemperatures()),
+  ideal_durations: required(arrayOf(
+    label(toDurationDisplay, `one of ${Object.values(DURATION_DISPLAY_LABELS).join(', ')}`),
+    { minItems: 1 }
+  )),
+  budget_level: required(label(toBudgetDisplay, `one of ${Object.values(BUDGET_DISPLAY_LABELS).join(', ')}`)),
+  latitude: required(numberInRange([-90, 90])),
+  longitude: required(numberInRange([-180, 180])),
+  image_url: nonEmptyString()
+};
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Computes the feature vector of a destination: its nine theme scores, L2-normalized.
+ * @param {object} destination - The destination with theme scores.
+ * @returns {number[]} The feature vector (rounded to 6 decimals).
+ */
+function computeFeatureVector(destination) {
+  const themes = THEME_KEYS.map(key => destination[key] ?? 0);
+  const magnitude = Math.sqrt(themes.reduce((sum, value) => sum + value * value, 0));
+  return themes.map(value => (magnitude > 0 ? Math.round((value / magnitude) * 1e6) / 1e6 : 0));
+}
+
+/**
+ * Removes server-managed fields from a request body.
+ * @param {object} body - The request body.
+ * @returns {object} The body without server-managed fields.
+ */
+function stripServerManagedFields(body) {
+  const result = { ...body };
+  SERVER_MANAGED_FIELDS.forEach(field => delete result[field]);
+  return result;
+}
+
+/**
+ * Validates and normalizes a complete destination record and adds its feature vector.
+ * @param {object} destination - The destination (ExampleDestination.json shape).
+ * @returns {{valid: boolean, errors: {path: string, message: string}[], value: object}}
+ */
+function validateDestination(destination) {
+  if (destination === null || typeof destination !== 'object' || Array.isArray(destination)) {
+    return { valid: false, errors: [{ path: '', message: 'destination must be an object' }], value: destination };
+  }
+  const result = validateSchema(DESTINATION_SCHEMA, stripServerManagedFields(destination), { strict: true });
+  if (!result.valid) return result;
+  return { ...result, value: { ...result.value, feature_vector: computeFeatureVector(result.value) } };
+}
+
+// ==========================
+// Catalog Changes
+// ==========================
+
+/**
+ * Validates and creates a destination.
+ * @param {object} body - The destination fields (an id may be supplied).
+ * @returns {Promise<{data: object | null, errors: object[] | null, error: object | null}>}
+ *          The created destination, the validation errors, or the storage error.
+ */
+async function createDestination(body) {
+  const validation = validateDestination(body);
+  if (!validation.valid) return { data: null, errors: validation.errors, error: null };
+
+  const { data, error } = await getStorage().insertDestination(validation.value);
+  if (error) return { data: null, errors: null, error };
+
+  invalidateSimilarityCache();
+  console.log(`Created destination ${data.id} (${data.city}, ${data.country}).`);
+  return { data, errors: null, error: null };
+}
+
+/**
+ * Validates and applies a partial update to a destination.
+ * The patch is merged into the stored record and the result is validated as a whole.
+ * @param {string} id - The destination ID.
+ * @param {object} patch - The fields to change.
+ * @returns {Promise<{data: object | null, errors: object[] | null, error: object | null}>}
+ *          The updated destination (null if it does not exist), the validation errors, or the storage error.
+ */
+async function updateDestination(id, patch) {
+  const storage = getStorage();
+  const { data: existing, error: fetchError } = await storage.getDestination(id);
+  if (fetchError) return { data: null, errors: null, error: fetchError };
+
+  if (patch?.id !== undefined && patch.id !== id) {
+    return { data: null, errors: [{ path: 'id', message: 'cannot be changed' }], error: null };
+  }
+
+  const validation = validateDestination({ ...existing, ...stripServerManagedFields(patch), id });
+  if (!validation.valid) return { data: null, errors: validation.errors, error: null };
+
+  const { id: _id, ...changes } = validation.value;
+  const { data, error } = await storage.updateDestination(id, changes);
+  if (error) return { data: null, errors: null, error };
+
+  invalidateSimilarityCache();
+  console.log(`Updated destination ${id}.`);
+  return { data, errors: null, error: null };
+}
+
+/**
+ * Deletes a destination.
+ * Destinations that were recommended or rated are still referenced (error code '23503').
+ * @param {string} id - The destination ID.
+ * @returns {Promise<{data: object | null, error: object | null}>} `{ id }` of the deleted row, null if none matched.
+ */
+async function deleteDestination(id) {
+  const { data, error } = await getStorage().deleteDestination(id);
+  if (error) return { data: null, error };
+
+  if (data) {
+    // Similarity rows of the destination are no longer used and disappear with the next full rebuild
+    invalidateSimilarityCache();
+    console.log(`Deleted destination ${id}.`);
+  }
+  return { data, error: null };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  createDestination,
+  updateDestination,
+  deleteDestination,
+  validateDestination,
+  computeFeatureVector,
+  DESTINATION_SCHEMA,
+  DURATION_DISPLAY_LABELS,
+  BUDGET_DISPLAY_LABELS,
+};
@@ -0,0 +1,416 @@
+/**
+ * @fileoverview Offline Evaluation Service for Travolo
+ *
+ * Replays historical recommendation records through the recommendation algorithm and
+ * measures how well the replayed ranking agrees with the feedback users actually gave:
+ * 1. Loads records, their recommendation_items and the destination catalogue
+ *    (from the configured storage backend or from a fixture file)
+ * 2. Rebuilds each record's preference profile from its stored columns
+ * 3. Re-ranks the catalogue with the current algorithm or a named variant
+ * 4. Scores the top-k against the record's likes and dislikes
+ *
+ * Metrics (averaged over records with at least one like, unless noted):
+ * - hitRate:        share of records with a liked destination in the top-k
+ * - precisionAtK:   liked destinations in the top-k / k
+ * - ndcgAtK:        binary-relevance NDCG of the top-k
+ * - dislikeRateAtK: disliked destinations in the top-k / k (all records with feedback)
+ * - coverage:       distinct destinations recommended across all records / catalogue size
+ * - calibration:    confidence of replayed destinations with known feedback vs. their observed
+ *                   like rate, as 10-point bins plus expected calibration error and Brier score
+ *
+ * Collaborative scores are trained leave-one-out: the item similarity used to replay a record is
+ * built in-process (itemSimilarity.js) from all other records, so a record is never ranked with
+ * similarities learnt from its own likes and dislikes.
+ *
+ * Only destinations that were shown to the user carry feedback, so the metrics reward
+ * variants that rank the originally liked destinations higher; they cannot credit a
+ * variant for surfacing good destinations the user never saw.
+ */
+
+const fs = require('fs');
+const { calculateRecommendations, DEFAULT_RECOMMENDATION_LIMIT } = require('../recommendationAlgorithm');
+const { buildNeighbourIndex } = require('../collaborativeFiltering');
+const { buildSimilarityModel, extractRecordFeedback, extractRecordRatings } = require('../itemSimilarity');
+const { getSimilarityOptions } = require('./similarityService');
+const { recordToPreferences } = require('./recommendationService');
+const { getStorage, createLocalStorage } = require('./storage');
+
+// ====================
+// Constants
+// ====================
+
+/**
+ * Built-in variants. `options` are passed to calculateRecommendations on top of the defaults.
+ */
+const EVALUATION_VARIANTS = {
+  current: {
+    description: 'Production defaults',
+    options: {}
+  },
+  'content-only': {
+    description: 'Content-based scores only, collaborative filtering switched off',
+    options: { hybridWeights: { content: 1.0, collaborative: 0.0 } }
+  },
+  'collab-heavy': {
+    description: 'Even content/collaborative blend',
+    options: { hybridWeights: { content: 0.5, collaborative: 0.5 } }
+  },
+  diverse: {
+    description: 'Diversity re-ranking at 0.3',
+    options: { diversity: 0.3 }
+  }
+};
+
+const CALIBRATION_BINS = 10;
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Rounds a metric for the report.
+ * @param {number | null} value - The value.
+ * @returns {number | null} The value rounded to 4 decimals.
+ */
+function round(value) {
+  return value === null || value === undefined || isNaN(value) ? null : Math.round(value * 1e4) / 1e4;
+}
+
+/**
+ * Averages an array of numbers.
+ * @param {number[]} values - The values.
+ * @returns {number | null} The mean, or null for an empty array.
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Resolves variant names against the built-in variants and any custom ones.
+ * @param {string[]} names - Variant names to run.
+ * @param {object} [customVariants={}] - Additional variants ({ name: { description, options } }).
+ * @returns {{name: string, description: string, options: object}[]} The variants.
+ */
+function resolveVariants(names, customVariants = {}) {
+  const available = { ...EVALUATION_VARIANTS, ...customVariants };
+  return names.map(name => {
+    const variant = available[name];
+    if (!variant) {
+      throw new Error(`Unknown variant '${name}'. Available variants: ${Object.keys(available).join(', ')}.`);
+    }
+    return { name, description: variant.description || '', options: variant.options || {} };
+  });
+}
+
+// ====================
+// Metrics
+// ====================
+
+/**
+ * Calculates the ranking metrics of one replayed record.
+ * @param {string[]} rankedIds - Replayed top-k destination IDs.
+ * @param {Map<string, string>} feedback - Destination ID -> 'like' | 'dislike'.
+ * @param {number} k - The cut-off.
+ * @returns {{likes: number, hit: number, precision: number, ndcg: number | null, dislikeRate: number}}
+ */
+function scoreRanking(rankedIds, feedback, k) {
+  const likes = [...feedback.values()].filter(value => value === 'like').length;
+  let likedInTopK = 0;
+  let dislikedInTopK = 0;
+  let dcg = 0;
+
+  rankedIds.slice(0, k).forEach((id, index) => {
+    if (feedback.get(id) === 'like') {
+      likedInTopK++;
+      dcg += 1 / Math.log2(index + 2);
+    } else if (feedback.get(id) === 'dislike') {
+      dislikedInTopK++;
+    }
+  });
+
+  let idcg = 0;
+  for (let index = 0; index < Math.min(k, likes); index++) {
+    idcg += 1 / Math.log2(index + 2);
+  }
+
+  return {
+    likes,
+    hit: likedInTopK > 0 ? 1 : 0,
+    precision: likedInTopK / k,
+    ndcg: idcg > 0 ? dcg / idcg : null,
+    dislikeRate: dislikedInTopK / k
+  };
+}
+
+/**
+ * Compares predicted confidence with observed like rates.
+ * @param {{confidence: number, liked: boolean}[]} pairs - Replayed confidences with known feedback.
+ * @returns {object} Expected calibration error, Brier score and per-bin statistics.
+ */
+function calculateCalibration(pairs) {
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    range: [i * (100 / CALIBRATION_BINS), (i + 1) * (100 / CALIBRATION_BINS)],
+    count: 0,
+    confidenceSum: 0,
+    likes: 0
+  }));
+
+  let brierSum = 0;
+  for (const { confidence, liked } of pairs) {
+    const probability = confidence / 100;
+    brierSum += (probability - (liked ? 1 : 0)) ** 2;
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(probability * CALIBRATION_BINS))];
+    bin.count++;
+    bin.confidenceSum += probability;
+    if (liked) bin.likes++;
+  }
+
+  let ece = 0;
+  const binStats = bins.filter(bin => bin.count > 0).map(bin => {
+    const meanConfidence = bin.confidenceSum / bin.count;
+    const likeRate = bin.likes / bin.count;
+    ece += (bin.count / pairs.length) * Math.abs(meanConfidence - likeRate);
+    return {
+      range: bin.range,
+      count: bin.count,
+      meanConfidence: round(meanConfidence),
+      observedLikeRate: round(likeRate)
+    };
+  });
+
+  return {
+    pairs: pairs.length,
+    expectedCalibrationError: pairs.length > 0 ? round(ece) : null,
+    brierScore: pairs.length > 0 ? round(brierSum / pairs.length) : null,
+    bins: binStats
+  };
+}
+
+// ==========================
+// Data Loading
+// ==========================
+
+/**
+ * Loads the evaluation data from a fixture file or the configured storage backend.
+ *
+ * A fixture has the shape of a LOCAL_DATA_FILE: { destinations, recommendations, recommendation_items }.
+ * It is loaded into a separate local storage that is never written back to disk. Stored item_similarity
+ * rows are not used (see evaluateRecommendations).
+ *
+ * @param {object} [options]
+ * @param {string} [options.fixture] - Path to a fixture file; the active storage is used when omitted.
+ * @param {string} [options.destinationsFile] - Destination catalogue for fixtures without destinations.
+ * @returns {Promise<{source: string, destinations: object[], records: object[], items: object[]}>}
+ */
+async function loadEvaluationData({ fixture, destinationsFile } = {}) {
+  let storage;
+  let source;
+
+  if (fixture) {
+    const initialData = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+    storage = createLocalStorage({ destinationsFile, initialData });
+    source = `fixture:${fixture}`;
+  } else {
+    storage = getStorage();
+    source = `storage:${storage.name}`;
+  }
+
+  const { data: destinations, error: destinationsError } = await storage.getDestinations();
+  if (destinationsError) throw new Error(`Failed to load destinations: ${destinationsError.message}`);
+
+  const { data: records, error: recordsError } = await storage.listRecommendations();
+  if (recordsError) throw new Error(`Failed to load recommendation records: ${recordsError.message}`);
+
+  const { data: items, error: itemsError } = await storage.listRecommendationItems({ feedbackOnly: true });
+  if (itemsError) throw new Error(`Failed to load recommendation items: ${itemsError.message}`);
+
+  return { source, destinations: destinations || [], records: records || [], items: items || [] };
+}
+
+// ==========================
+// Main Evaluation Logic
+// ==========================
+
+/**
+ * Builds the item similarity index a record is replayed with: trained on every record except this one.
+ * The record is taken out of the model for the build and put back afterwards.
+ * @param {object} model - Similarity model of all records (see buildSimilarityModel).
+ * @param {object} record - The record being replayed.
+ * @param {object[]} recordItems - The record's recommendation_items (with feedback).
+ * @param {object} similarityOptions - metric, minSupport and topK.
+ * @returns {Map<string, Map<string, number>>} The neighbour index without the record.
+ */
+function buildHeldOutNeighbourIndex(model, record, recordItems, similarityOptions) {
+  model.removeUser(record.id);
+  const index = buildNeighbourIndex(model.getSimilarityRows(similarityOptions));
+  model.upsertUser(record.id, extractRecordRatings(record, recordItems));
+  return index;
+}
+
+/**
+ * Replays the records through each variant and computes the evaluation report.
+ * @param {object} data - The output of loadEvaluationData.
+ * @param {object} [options]
+ * @param {string[]} [options.variants=['current']] - Names of the variants to evaluate.
+ * @param {object} [options.customVariants] - Additional variants ({ name: { description, options } }).
+ * @param {number} [options.k=3] - Cut-off for the ranking metrics.
+ * @param {object} [options.scoringConfig] - Scoring configuration the variants build on (built-in defaults if omitted).
+ * @returns {Promise<object>} The evaluation report.
+ */
+async function evaluateRecommendations(data, options = {}) {
+  const {
+    variants: variantNames = ['current'],
+    customVariants = {},
+    k = DEFAULT_RECOMMENDATION_LIMIT,
+    scoringConfig = null
+  } = options;
+  if (!Number.isInteger(k) || k < 1) throw new Error('k must be a positive integer.');
+  const variants = resolveVariants(variantNames, customVariants);
+  const { destinations, records, items } = data;
+
+  const itemsByRecord = new Map();
+  for (const item of items) {
+    if (!itemsByRecord.has(item.recommendation_id)) itemsByRecord.set(item.recommendation_id, []);
+    itemsByRecord.get(item.recommendation_id).push(item);
+  }
+
+  // Only records with feedback on their recommendations can be scored
+  const cases = records
+    .map(record => ({ record, feedback: extractRecordFeedback(record, itemsByRecord.get(record.id)) }))
+    .filter(({ feedback }) => feedback.size > 0);
+  const casesWithLikes = cases.filter(({ feedback }) => [...feedback.values()].includes('like')).length;
+
+  console.log(`Evaluating ${variants.length} variant(s) on ${cases.length} of ${records.length} records (k=${k}).`);
+
+  // Leave-one-out collaborative training: one similarity model of all records, each record held out in turn
+  const similarityOptions = getSimilarityOptions();
+  const similarityModel = buildSimilarityModel(records, items);
+
+  const results = variants.map(() => ({ perRecord: [], calibrationPairs: [], recommendedIds: new Set() }));
+  for (const { record, feedback } of cases) {
+    const neighbourIndex = buildHeldOutNeighbourIndex(similarityModel, record, itemsByRecord.get(record.id), similarityOptions);
+
+    for (const [v, variant] of variants.entries()) {
+      const { perRecord, calibrationPairs, recommendedIds } = results[v];
+      const ranked = await calculateRecommendations(recordToPreferences(record), destinations, {
+        scoringConfig,
+        ...variant.options,
+        neighbourIndex,
+        limit: k,
+        offset: 0
+      });
+
+      ranked.forEach(rec => {
+        recommendedIds.add(rec.id);
+        if (feedback.has(rec.id)) {
+          calibrationPairs.push({ confidence: rec.confidence, liked: feedback.get(rec.id) === 'like' });
+        }
+      });
+      perRecord.push(scoreRanking(ranked.map(rec => rec.id), feedback, k));
+    }
+  }
+
+  const variantReports = [];
+  for (const [v, variant] of variants.entries()) {
+    const { perRecord, calibrationPairs, recommendedIds } = results[v];
+    const withLikes = perRecord.filter(result => result.likes > 0);
+    variantReports.push({
+      name: variant.name,
+      description: variant.description,
+      options: variant.options,
+      metrics: {
+        hitRate: round(mean(withLikes.map(result => result.hit))),
+        precisionAtK: round(mean(withLikes.map(result => result.precision))),
+        ndcgAtK: round(mean(withLikes.map(result => result.ndcg))),
+        dislikeRateAtK: round(mean(perRecord.map(result => result.dislikeRate))),
+        coverage: destinations.length > 0 ? round(recommendedIds.size / destinations.length) : null,
+        calibration: calculateCalibration(calibrationPairs)
+      }
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    source: data.source,
+    scoringConfigVersion: scoringConfig?.version ?? 'default',
+    similarity: { training: 'leave-one-out', ...similarityOptions },
+    k,
+    catalogueSize: destinations.length,
+    records: {
+      total: records.length,
+      withFeedback: cases.length,
+      withLikes: casesWithLikes
+    },
+    variants: variantReports
+  };
+}
+
+// ==========================
+// Report Rendering
+// ==========================
+
+/**
+ * Formats a metric for the Markdown report.
+ * @param {number | null} value - The metric.
+ * @returns {string} The formatted value.
+ */
+function formatMetric(value) {
+  return value === null || value === undefined ? 'n/a' : value.toFixed(3);
+}
+
+/**
+ * Renders an evaluation report as Markdown.
+ * @param {object} report - The output of evaluateRecommendations.
+ * @returns {string} The Markdown report.
+ */
+function renderMarkdownReport(report) {
+  const k = report.k;
+  const lines = [
+    '# Recommendation Evaluation',
+    '',
+    `- Source: ${report.source}`,
+    `- Generated: ${report.generatedAt}`,
+    `- Scoring config: ${report.scoringConfigVersion}`,
+    `- Item similarity: ${report.similarity.metric}, trained ${report.similarity.training}`,
+    `- Catalogue: ${report.catalogueSize} destinations`,
+    `- Records: ${report.records.total} total, ${report.records.withFeedback} with feedback, ${report.records.withLikes} with likes`,
+    '',
+    '## Ranking Metrics',
+    '',
+    `| Variant | Hit rate@${k} | Precision@${k} | NDCG@${k} | Dislike rate@${k} | Coverage | ECE | Brier |`,
+    '|---|---|---|---|---|---|---|---|'
+  ];
+
+  for (const variant of report.variants) {
+    const m = variant.metrics;
+    lines.push(`| ${variant.name} | ${formatMetric(m.hitRate)} | ${formatMetric(m.precisionAtK)} | ${formatMetric(m.ndcgAtK)} | ` +
+      `${formatMetric(m.dislikeRateAtK)} | ${formatMetric(m.coverage)} | ${formatMetric(m.calibration.expectedCalibrationError)} | ` +
+      `${formatMetric(m.calibration.brierScore)} |`);
+  }
+
+  lines.push('', '## Confidence Calibration');
+  for (const variant of report.variants) {
+    const { calibration } = variant.metrics;
+    lines.push('', `### ${variant.name}${variant.description ? ` - ${variant.description}` : ''}`, '');
+    if (calibration.pairs === 0) {
+      lines.push('No replayed recommendation had known feedback.');
+      continue;
+    }
+    lines.push('| Confidence | Count | Mean confidence | Observed like rate |', '|---|---|---|---|');
+    calibration.bins.forEach(bin => {
+      lines.push(`| ${bin.range[0]}-${bin.range[1]}% | ${bin.count} | ${formatMetric(bin.meanConfidence)} | ${formatMetric(bin.observedLikeRate)} |`);
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  loadEvaluationData,
+  evaluateRecommendations,
+  renderMarkdownReport,
+  scoreRanking,
+  calculateCalibration,
+  EVALUATION_VARIANTS,
+};
@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Experiment Service for Travolo
+ *
+ * Runs A/B experiments on the scoring parameters of calculateRecommendations:
+ * 1. Loads named experiments with weighted variants from EXPERIMENTS_FILE
+ *    (see ExampleExperiments.json)
+ * 2. Assigns a client or session id to a variant of the active experiment by hashing
+ *    it, so the same id always gets the same variant
+ * 3. Reports like rates per variant with Wilson confidence intervals from the
+ *    feedback stored on the recommendation records
+ *
+ * A variant's `options` may override `contentWeights` (theme, climate, budget, region,
+ * durationMatch, distance) and `hybridWeights` (content and collaborative, both required). At most one
+ * experiment can be active at a time, so variants never compete for the same parameters.
+ *
+ * Content weight overrides are applied on top of the active scoring configuration, so whether they
+ * still sum to 1 depends on it: scoringConfigService re-checks the experiments whenever a
+ * configuration is loaded or activated (see checkExperimentWeights).
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { CONTENT_WEIGHTS } = require('../contentFiltering');
+const { extractRecordFeedback } = require('../itemSimilarity');
+const { getStorage } = require('./storage');
+
+// ====================
+// Constants
+// ====================
+
+const HYBRID_WEIGHT_KEYS = ['content', 'collaborative'];
+const DEFAULT_CONFIDENCE_LEVEL = 0.95;
+const Z_SCORES = { 0.9: 1.645, 0.95: 1.96, 0.99: 2.576 };
+
+let experiments = null; // Loaded experiment definitions
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Validates a map of weights against the allowed keys.
+ * @param {object} weights - The weights.
+ * @param {string[]} allowedKeys - Allowed weight names.
+ * @param {string} path - Path used in error messages.
+ * @returns {string[]} Error messages.
+ */
+function validateWeights(weights, allowedKeys, path) {
+  if (weights === null || typeof weights !== 'object' || Array.isArray(weights)) {
+    return [`${path} must be an object`];
+  }
+  const errors = [];
+  for (const [key, value] of Object.entries(weights)) {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`${path}.${key} is not a known weight (use ${allowedKeys.join(', ')})`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+      errors.push(`${path}.${key} must be a number between 0 and 1`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates a list of experiment definitions.
+ * @param {object[]} definitions - The experiments.
+ * @param {object} [options]
+ * @param {object} [options.scoringConfig] - Scoring configuration the variants' content weights are applied to;
+ *        without it the merged content weights are not checked.
+ * @returns {string[]} Error messages (empty if valid).
+ */
+function validateExperiments(definitions, { scoringConfig = null } = {}) {
+  if (!Array.isArray(definitions)) return ['experiments must be an array'];
+
+  const errors = [];
+  const names = new Set();
+  definitions.forEach((experiment, i) => {
+    const path = `experiments[${i}]`;
+    if (!experiment || typeof experiment.name !== 'string' || experiment.name.trim() === '') {
+      errors.push(`${path}.name must be a non-empty string`);
+    } else if (names.has(experiment.name)) {
+      errors.push(`${path}.name '${experiment.name}' is used more than once`);
+    } else {
+      names.add(experiment.name);
+    }
+
+    if (!Array.isArray(experiment?.variants) || experiment.variants.length === 0) {
+      errors.push(`${path}.variants must be a non-empty array`);
+      return;
+    }
+
+    const variantNames = new Set();
+    experiment.variants.forEach((variant, j) => {
+      const variantPath = `${path}.variants[${j}]`;
+      if (!variant || typeof variant.name !== 'string' || variant.name.trim() === '') {
+        errors.push(`${variantPath}.name must be a non-empty string`);
+      } else if (variantNames.has(variant.name)) {
+        errors.push(`${variantPath}.name '${variant.name}' is used more than once`);
+      } else {
+        variantNames.add(variant.name);
+      }
+      if (typeof variant?.weight !== 'number' || !Number.isFinite(variant.weight) || variant.weight <= 0) {
+        errors.push(`${variantPath}.weight must be a positive number`);
+      }
+
+      const options = variant?.options ?? {};
+      if (options.contentWeights !== undefined) {
+        const contentErrors = validateWeights(options.contentWeights, Object.keys(CONTENT_WEIGHTS), `${variantPath}.options.contentWeights`);
+        errors.push(...contentErrors);
+        // Overrides are merged into the scoring config's weights, and the merged weights must still sum to 1
+        if (contentErrors.length === 0 && scoringConfig) {
+          const merged = { ...scoringConfig.content.weights, ...options.contentWeights };
+          const total = Object.values(merged).reduce((sum, weight) => sum + weight, 0);
+          if (Math.abs(total - 1) > 1e-6) {
+            errors.push(`${variantPath}.options.contentWeights must sum to 1 together with the weights of scoring config ` +
+              `${scoringConfig.version} (got ${Math.round(total * 1e4) / 1e4})`);
+          }
+        }
+      }
+      if (options.hybridWeights !== undefined) {
+        const hybridErrors = validateWeights(options.hybridWeights, HYBRID_WEIGHT_KEYS, `${variantPath}.options.hybridWeights`);
+        errors.push(...hybridErrors);
+        // Both weights are required, so the blend never depends on the scoring config
+        const missing = HYBRID_WEIGHT_KEYS.filter(key => options.hybridWeights?.[key] === undefined);
+        if (hybridErrors.length === 0 && missing.length > 0) {
+          errors.push(`${variantPath}.options.hybridWeights must set ${HYBRID_WEIGHT_KEYS.join(' and ')} (missing ${missing.join(', ')})`);
+        } else if (hybridErrors.length === 0 &&
+            Math.abs(options.hybridWeights.content + options.hybridWeights.collaborative - 1) > 1e-6) {
+          errors.push(`${variantPath}.options.hybridWeights must sum to 1`);
+        }
+      }
+      const unknownOptions = Object.keys(options).filter(key => !['contentWeights', 'hybridWeights'].includes(key));
+      unknownOptions.forEach(key => errors.push(`${variantPath}.options.${key} is not a supported option`));
+    });
+  });
+
+  const active = definitions.filter(experiment => experiment?.active);
+  if (active.length > 1) {
+    errors.push(`only one experiment can be active (found ${active.map(e => e.name).join(', ')})`);
+  }
+  return errors;
+}
+
+/**
+ * Checks the loaded experiments against a scoring configuration that is about to be used.
+ * @param {object} scoringConfig - The complete scoring configuration.
+ * @returns {string[]} Error messages (empty if every variant's weights still sum to 1).
+ */
+function checkExperimentWeights(scoringConfig) {
+  return validateExperiments(getExperiments(), { scoringConfig });
+}
+
+/**
+ * Maps a subject to a number in [0, 1) that is stable per experiment.
+ * @param {string} experimentName - The experiment name (salts the hash).
+ * @param {string} subjectId - Client or session id.
+ * @returns {number} The bucket position.
+ */
+function hashToUnitInterval(experimentName, subjectId) {
+  const digest = crypto.createHash('sha256').update(`${experimentName}:${subjectId}`).digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Calculates the Wilson score interval of a proportion.
+ * @param {number} successes - Number of successes (likes).
+ * @param {number} trials - Number of trials (likes + dislikes).
+ * @param {number} [confidenceLevel=0.95] - 0.9, 0.95 or 0.99.
+ * @returns {{lower: number, upper: number} | null} The interval, or null without trials.
+ */
+function wilsonInterval(successes, trials, confidenceLevel = DEFAULT_CONFIDENCE_LEVEL) {
+  if (trials === 0) return null;
+  const z = Z_SCORES[confidenceLevel] ?? Z_SCORES[DEFAULT_CONFIDENCE_LEVEL];
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const centre = (p + (z * z) / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+  return {
+    lower: Math.round(Math.max(0, centre - margin) * 1e4) / 1e4,
+    upper: Math.round(Math.min(1, centre + margin) * 1e4) / 1e4
+  };
+}
+
+// ==========================
+// Experiment Definitions
+// ==========================
+
+/**
+ * Loads and validates the experiment definitions. The merged content weights are checked when the
+ * scoring configuration is loaded (see checkExperimentWeights).
+ * @param {string} [filePath=process.env.EXPERIMENTS_FILE] - JSON file with an array of experiments.
+ * @returns {object[]} The experiments (empty if no file is configured).
+ * @throws {Error} If the file cannot be read or is invalid.
+ */
+function loadExperiments(filePath = process.env.EXPERIMENTS_FILE) {
+  if (!filePath) {
+    experiments = [];
+    return experiments;
+  }
+
+  const definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateExperiments(definitions);
+  if (errors.length > 0) {
+    throw new Error(`Invalid experiments file ${filePath}: ${errors.join('; ')}`);
+  }
+
+  experiments = definitions;
+  const active = experiments.find(experiment => experiment.active);
+  console.log(`Loaded ${experiments.length} experiment(s) from ${filePath}${active ? `, active: ${active.name}` : ''}.`);
+  return experiments;
+}
+
+/**
+ * Returns the loaded experiments, loading them on first use.
+ * @returns {object[]} The experiments.
+ */
+function getExperiments() {
+  return experiments ?? loadExperiments();
+}
+
+/**
+ * Returns one experiment by name.
+ * @param {string} name - The experiment name.
+ * @returns {object | null} The experiment or null.
+ */
+function getExperiment(name) {
+  return getExperiments().find(experiment => experiment.name === name) ?? null;
+}
+
+/**
+ * Assigns a client or session to a variant of the active experiment.
+ * @param {string} subjectId - Client or session id.
+ * @returns {{experiment: string, variant: string, options: object} | null}
+ *          The assignment, or null without an id or active experiment.
+ */
+function assignVariant(subjectId) {
+  if (!subjectId) return null;
+  const experiment = getExperiments().find(e => e.active);
+  if (!experiment) return null;
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const position = hashToUnitInterval(experiment.name, String(subjectId)) * totalWeight;
+
+  let cumulative = 0;
+  let assigned = experiment.variants[experiment.variants.length - 1];
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight;
+    if (position < cumulative) {
+      assigned = variant;
+      break;
+    }
+  }
+  return { experiment: experiment.name, variant: assigned.name, options: assigned.options ?? {} };
+}
+
+/**
+ * Returns the assignment to a given variant, e.g. the one a stored recommendation record was scored under.
+ * @param {string} experimentName - The experiment name.
+ * @param {string} variantName - The variant name.
+ * @returns {{experiment: string, variant: string, options: object} | null}
+ *          The assignment, or null if the experiment or variant no longer exists.
+ */
+function getVariantAssignment(experimentName, variantName) {
+  const variant = getExperiment(experimentName)?.variants.find(v => v.name === variantName);
+  if (!variant) return null;
+  return { experiment: experimentName, variant: variant.name, options: variant.options ?? {} };
+}
+
+// ==========================
+// Experiment Results
+// ==========================
+
+/**
+ * Calculates like rates per variant of an experiment from the stored feedback.
+ * Every like or dislike on a recommended destination counts as one trial.
+ * @param {string} name - The experiment name.
+ * @param {object} [options]
+ * @param {number} [options.confidenceLevel=0.95] - Confidence level of the intervals (0.9, 0.95 or 0.99).
+ * @returns {Promise<{data: object | null, error: object | null}>} The results or the storage error.
+ */
+async function getExperimentResults(name, { confidenceLevel = DEFAULT_CONFIDENCE_LEVEL } = {}) {
+  const experiment = getExperiment(name);
+  const storage = getStorage();
+
+  const { data: records, error: recordsError } = await storage.listRecommendations();
+  if (recordsError) return { data: null, error: recordsError };
+
+  const { data: items, error: itemsError } = await storage.listRecommendationItems({ feedbackOnly: true });
+  if (itemsError) return { data: null, error: itemsError };
+
+  const itemsByRecord = new Map();
+  for (const item of items || []) {
+    if (!itemsByRecord.has(item.recommendation_id)) itemsByRecord.set(item.recommendation_id, []);
+    itemsByRecord.get(item.recommendation_id).push(item);
+  }
+
+  // Start from the defined variants so variants without traffic are reported too
+  const stats = new Map((experiment?.variants || []).map(v => [v.name, { records: 0, likes: 0, dislikes: 0 }]));
+  for (const record of records || []) {
+    if (record.experiment_name !== name || !record.experiment_variant) continue;
+    if (!stats.has(record.experiment_variant)) stats.set(record.experiment_variant, { records: 0, likes: 0, dislikes: 0 });
+    const variantStats = stats.get(record.experiment_variant);
+    variantStats.records++;
+    extractRecordFeedback(record, itemsByRecord.get(record.id)).forEach(value => {
+      if (value === 'like') variantStats.likes++;
+      else variantStats.dislikes++;
+    });
+  }
+
+  const variants = [...stats.entries()].map(([variant, { records: recordCount, likes, dislikes }]) => {
+    const trials = likes + dislikes;
+    return {
+      variant,
+      records: recordCount,
+      likes,
+      dislikes,
+      likeRate: trials > 0 ? Math.round((likes / trials) * 1e4) / 1e4 : null,
+      confidenceInterval: wilsonInterval(likes, trials, confidenceLevel)
+    };
+  });
+
+  return {
+    data: {
+      experiment: name,
+      defined: Boolean(experiment),
+      active: Boolean(experiment?.active),
+      confidenceLevel: Z_SCORES[confidenceLevel] ? confidenceLevel : DEFAULT_CONFIDENCE_LEVEL,
+      variants
+    },
+    error: null
+  };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  loadExperiments,
+  getExperiments,
+  getExperiment,
+  assignVariant,
+  getVariantAssignment,
+  getExperimentResults,
+  validateExperiments,
+  checkExperimentWeights,
+  wilsonInterval,
+};
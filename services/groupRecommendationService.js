@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Group Recommendation Service for Travolo
+ *
+ * Recommends destinations to a group of travellers planning a trip together
+ * (POST /api/group-recommendations). Every member brings their own preference profile,
+ * including their own origin and destination ratings; the catalog is scored for each member and
+ * the scores are combined by the chosen aggregation strategy and fairness constraints
+ * (see groupRecommendation.js). Each pick lists how well it matches every member.
+ *
+ * Group runs are not stored: they belong to no single user's history and their ratings are
+ * already part of the members' own profiles.
+ */
+
+const { calculateGroupRecommendations, AGGREGATION_STRATEGIES, DEFAULT_STRATEGY } = require('../groupRecommendation');
+const { DEFAULT_RECOMMENDATION_LIMIT } = require('../recommendationAlgorithm');
+const { getItemSimilarity } = require('../collaborativeFiltering');
+const { validateSchema, rules, PREFERENCE_SCHEMA } = require('./preferenceValidation');
+const { withDestinationDetails } = require('./recommendationService');
+const { getScoringConfig } = require('./scoringConfigService');
+const { getStorage } = require('./storage');
+
+const { numberInRange, nonEmptyString, arrayOf, objectOf, oneOf, required } = rules;
+
+// ====================
+// Constants
+// ====================
+
+const MIN_GROUP_SIZE = 2;
+const MAX_GROUP_SIZE = 8;
+const MAX_MEMBER_NAME_LENGTH = 50;
+const MAX_GROUP_RECOMMENDATION_LIMIT = 50;
+
+const GROUP_REQUEST_SCHEMA = {
+  members: required(arrayOf(objectOf({
+    name: nonEmptyString(),
+    preferences: required(objectOf(PREFERENCE_SCHEMA))
+  }), { minItems: MIN_GROUP_SIZE })),
+  strategy: oneOf(Object.keys(AGGREGATION_STRATEGIES)),
+  fairness: numberInRange([0, 1]),
+  minMemberMatch: numberInRange([0, 100])
+};
+
+// ==========================
+// Request Parsing
+// ==========================
+
+/**
+ * Parses and validates a group recommendation request.
+ * @param {object} body - `{ members: [{ name?, preferences }], strategy?, fairness?, minMemberMatch? }`.
+ * @param {object} query - The Express query object (limit, offset).
+ * @returns {{options: object | null, errors: {path: string, message: string}[]}} The options for
+ *          generateGroupRecommendations, or the field errors.
+ */
+function parseGroupRequest(body, query) {
+  const validation = validateSchema(GROUP_REQUEST_SCHEMA, body, { strict: true });
+  const errors = [...validation.errors];
+  const members = Array.isArray(validation.value?.members) ? validation.value.members : [];
+
+  if (members.length > MAX_GROUP_SIZE) {
+    errors.push({ path: 'members', message: `must contain at most ${MAX_GROUP_SIZE} members` });
+  }
+
+  // Members without a name are numbered; names identify the members in the response, so they must be unique
+  const names = members.map((member, i) => (typeof member?.name === 'string' ? member.name : `Member ${i + 1}`));
+  names.forEach((name, i) => {
+    if (name.length > MAX_MEMBER_NAME_LENGTH) {
+      errors.push({ path: `members[${i}].name`, message: `must be at most ${MAX_MEMBER_NAME_LENGTH} characters` });
+    } else if (names.indexOf(name) !== i) {
+      errors.push({ path: `members[${i}].name`, message: `must be unique (got "${name}" twice)` });
+    }
+  });
+
+  const paging = { limit: DEFAULT_RECOMMENDATION_LIMIT, offset: 0 };
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_GROUP_RECOMMENDATION_LIMIT) {
+      errors.push({ path: 'limit', message: `must be an integer between 1 and ${MAX_GROUP_RECOMMENDATION_LIMIT}` });
+    }
+    paging.limit = limit;
+  }
+  if (query.offset !== undefined) {
+    const offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push({ path: 'offset', message: 'must be a non-negative integer' });
+    }
+    paging.offset = offset;
+  }
+
+  if (errors.length > 0) return { options: null, errors };
+
+  const { strategy = DEFAULT_STRATEGY, fairness = 0, minMemberMatch = 0 } = validation.value;
+  return {
+    options: {
+      members: members.map((member, i) => ({ name: names[i], preferences: member.preferences })),
+      strategy,
+      fairness,
+      minMemberMatch,
+      ...paging
+    },
+    errors: []
+  };
+}
+
+// ==========================
+// Recommendation
+// ==========================
+
+/**
+ * Generates recommendations for a group.
+ * @param {object} options - Parsed options (see parseGroupRequest).
+ * @param {{name: string, preferences: object}[]} options.members - The members and their profiles.
+ * @param {string} options.strategy - Aggregation strategy.
+ * @param {number} options.fairness - Fairness re-ranking weight (0-1).
+ * @param {number} options.minMemberMatch - Lowest member confidence (0-100) a pick may have.
+ * @param {number} options.limit - Number of recommendations to return.
+ * @param {number} options.offset - Number of top-ranked recommendations to skip.
+ * @returns {Promise<{data: object | null, error: object | null}>} `{ strategy, fairness, minMemberMatch, limit,
+ *          offset, hasMore, scoringConfigVersion, candidateCount, excludedByMinMemberMatch, members, recommendations }`
+ *          or the storage error.
+ */
+async function generateGroupRecommendations({ members, strategy, fairness, minMemberMatch, limit, offset }) {
+  const scoringConfig = getScoringConfig(); // Captured once so the whole request uses one version
+
+  const { data: allDestinations, error } = await getStorage().getDestinations();
+  if (error) return { data: null, error };
+
+  // Without item similarity the members are scored on content alone
+  let neighbourIndex = new Map();
+  try {
+    neighbourIndex = await getItemSimilarity();
+  } catch (similarityError) {
+    console.warn("Item similarity unavailable for group recommendations:", similarityError.message);
+  }
+
+  const result = calculateGroupRecommendations(members, allDestinations || [], {
+    strategy,
+    fairness,
+    minMemberMatch,
+    limit,
+    offset,
+    neighbourIndex,
+    scoringConfig
+  });
+
+  const destinationsById = new Map((allDestinations || []).map(d => [d.id, d]));
+  const recommendations = result.recommendations
+    .filter(rec => destinationsById.has(rec.id))
+    .map(rec => ({
+      ...withDestinationDetails(destinationsById.get(rec.id)),
+      rank: rec.rank,
+      confidence: rec.confidence,             // Match of the group score
+      group_score: rec.groupScore,
+      group_rank: rec.groupRank,              // Rank before fairness re-ranking
+      promoted_for_fairness: rec.promotedForFairness,
+      served_member: rec.servedMember,        // Least satisfied member the pick was moved up for
+      member_matches: rec.memberMatches       // How well the pick matches each member
+    }));
+
+  console.log(`Generated ${recommendations.length} group recommendations for ${members.length} members ('${strategy}', fairness ${fairness}).`);
+  return {
+    data: {
+      strategy,
+      fairness,
+      minMemberMatch,
+      limit,
+      offset,
+      hasMore: offset + limit < result.candidateCount,
+      scoringConfigVersion: scoringConfig.version,
+      candidateCount: result.candidateCount,
+      excludedByMinMemberMatch: result.excludedByMinMemberMatch,
+      members: result.members,
+      recommendations
+    },
+    error: null
+  };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  parseGroupRequest,
+  generateGroupRecommendations,
+  MIN_GROUP_SIZE,
+  MAX_GROUP_SIZE,
+};
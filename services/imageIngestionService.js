@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Image Ingestion Service for Travolo
+ *
+ * Prepares uploaded photos before they leave the server for analysis:
+ * 1. Identifies the format from the file's magic bytes (the client's Content-Type is ignored);
+ *    only JPEG, PNG, WebP and HEIC/HEIF are accepted
+ * 2. Rejects corrupt images and images above MAX_INPUT_PIXELS
+ * 3. Applies the EXIF orientation, then downscales to the resolution the vision model uses
+ *    (long side at most 2048px, short side at most 768px)
+ * 4. Re-encodes as JPEG without any metadata (EXIF location and camera data, XMP, IPTC)
+ *
+ * Each file is accepted or rejected on its own, with a reason the API passes back to the client.
+ * HEIC photos are decoded with libheif (WebAssembly) when sharp's own build cannot decode them.
+ */
+
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+
+// ====================
+// Constants
+// ====================
+
+// Bounds of the image OpenAI's vision models look at in high detail; larger images are scaled down by the API anyway
+const MAX_LONG_SIDE = 2048;
+const MAX_SHORT_SIDE = 768;
+
+// Larger images are rejected before decoding (a 10 MB upload can still be a decompression bomb)
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const OUTPUT_JPEG_QUALITY = 85;
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+const SUPPORTED_TYPES_LABEL = 'JPEG, PNG, WebP or HEIC';
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Identifies an image format from its first bytes.
+ * @param {Buffer} buffer - The file contents.
+ * @returns {'jpeg' | 'png' | 'webp' | 'heic' | null} The format, or null if it is not a supported image.
+ */
+function sniffImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('latin1', 4, 8) === 'ftyp' && HEIC_BRANDS.includes(buffer.toString('latin1', 8, 12))) return 'heic';
+  return null;
+}
+
+/**
+ * Builds a per-file rejection.
+ * @param {object} file - The multer file.
+ * @param {number} index - Position of the file in the upload.
+ * @param {string} code - 'UNSUPPORTED_TYPE', 'CORRUPT_IMAGE' or 'IMAGE_TOO_LARGE'.
+ * @param {string} reason - Human-readable reason.
+ * @returns {{index: number, file: string, code: string, reason: string}}
+ */
+function rejection(file, index, code, reason) {
+  return { index, file: file.originalname || `image ${index + 1}`, code, reason };
+}
+
+/**
+ * Calculates the output size: the input scaled down to fit MAX_LONG_SIDE x MAX_SHORT_SIDE, never enlarged.
+ * @param {number} width - Input width (after orientation).
+ * @param {number} height - Input height (after orientation).
+ * @returns {{width: number, height: number}} The output size.
+ */
+function targetSize(width, height) {
+  const scale = Math.min(1, MAX_LONG_SIDE / Math.max(width, height), MAX_SHORT_SIDE / Math.min(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+/**
+ * Returns the size of an image once its EXIF orientation is applied.
+ * @param {sharp.Metadata} metadata - The image metadata.
+ * @returns {{width: number, height: number}} The upright size.
+ */
+function orientedSize(metadata) {
+  // Orientations 5-8 rotate by 90 or 270 degrees
+  return metadata.orientation >= 5
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height };
+}
+
+/**
+ * Opens a HEIC image with libheif and hands the decoded pixels to sharp.
+ * @param {Buffer} buffer - The HEIC file.
+ * @returns {Promise<{pipeline: sharp.Sharp, width: number, height: number}>} A pipeline over the raw, upright pixels.
+ * @throws {Error} If the file cannot be decoded; `tooLarge` is set if it has too many pixels.
+ */
+async function openHeic(buffer) {
+  const [image] = await decodeHeic.all({ buffer });
+  if (!image) throw new Error('HEIF image not found');
+  if (image.width * image.height > MAX_INPUT_PIXELS) {
+    throw Object.assign(new Error('too many pixels'), { tooLarge: true, width: image.width, height: image.height });
+  }
+  const { width, height, data } = await image.decode();
+  const pipeline = sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } });
+  return { pipeline, width, height };
+}
+
+/**
+ * Opens an uploaded image for processing.
+ * @param {Buffer} buffer - The file contents.
+ * @param {string} sourceType - The sniffed format.
+ * @returns {Promise<{pipeline: sharp.Sharp, width: number, height: number}>} The pipeline and upright size.
+ * @throws {Error} If the image cannot be read; `tooLarge` is set if it has too many pixels.
+ */
+async function openImage(buffer, sourceType) {
+  let metadata = null;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (metadataError) {
+    if (sourceType !== 'heic') throw metadataError;
+  }
+
+  // sharp's prebuilt libheif only decodes AVIF; HEVC-coded HEIC goes through libheif-js
+  if (sourceType === 'heic' && metadata?.compression !== 'av1') return openHeic(buffer);
+
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    throw Object.assign(new Error('too many pixels'), { tooLarge: true, width: metadata.width, height: metadata.height });
+  }
+  const pipeline = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' });
+  return { pipeline, ...orientedSize(metadata) };
+}
+
+// ==========================
+// Ingestion
+// ==========================
+
+/**
+ * Validates, downsizes and strips one uploaded image.
+ * @param {object} file - The multer file (buffer, originalname).
+ * @param {number} index - Position of the file in the upload.
+ * @returns {Promise<{file: object | null, rejection: object | null}>} The prepared file
+ *          (`{ originalname, mimetype: 'image/jpeg', buffer, size, width, height, sourceType }`) or why it was rejected.
+ */
+async function prepareImage(file, index) {
+  const sourceType = sniffImageType(file.buffer);
+  if (!sourceType) {
+    return { file: null, rejection: rejection(file, index, 'UNSUPPORTED_TYPE', `Not a ${SUPPORTED_TYPES_LABEL} image.`) };
+  }
+
+  try {
+    const { pipeline, width, height } = await openImage(file.buffer, sourceType);
+    const size = targetSize(width, height);
+
+    // rotate() applies the EXIF orientation; sharp writes no metadata unless asked to,
+    // so the JPEG carries no EXIF (location, camera), XMP or IPTC data
+    const { data, info } = await pipeline
+      .rotate()
+      .resize(size.width, size.height, { fit: 'fill' })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: OUTPUT_JPEG_QUALITY, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      file: {
+        originalname: file.originalname,
+        mimetype: 'image/jpeg',
+        buffer: data,
+        size: data.length,
+        width: info.width,
+        height: info.height,
+        sourceType
+      },
+      rejection: null
+    };
+  } catch (imageError) {
+    if (imageError.tooLarge) {
+      return {
+        file: null,
+        rejection: rejection(file, index, 'IMAGE_TOO_LARGE',
+          `Image has ${imageError.width}x${imageError.height} pixels; at most ${MAX_INPUT_PIXELS / 1e6} megapixels are accepted.`)
+      };
+    }
+    console.warn(`Could not read uploaded image ${index + 1} (${sourceType}):`, imageError.message);
+    return { file: null, rejection: rejection(file, index, 'CORRUPT_IMAGE', `The ${sourceType.toUpperCase()} image is corrupt or truncated.`) };
+  }
+}
+
+/**
+ * Prepares every uploaded image for analysis (one at a time, to bound memory use).
+ * @param {object[]} files - The multer files.
+ * @returns {Promise<{accepted: object[], rejected: {index: number, file: string, code: string, reason: string}[]}>}
+ *          The prepared files (in upload order) and the per-file rejections.
+ */
+async function prepareImages(files) {
+  const accepted = [];
+  const rejected = [];
+  for (const [index, file] of files.entries()) {
+    const result = await prepareImage(file, index);
+    if (result.file) {
+      accepted.push(result.file);
+      console.log(`Prepared image ${index + 1}: ${result.file.sourceType} ${file.size} bytes -> jpeg ${result.file.width}x${result.file.height}, ${result.file.size} bytes.`);
+    } else {
+      rejected.push(result.rejection);
+      console.warn(`Rejected image ${index + 1}: ${result.rejection.reason}`);
+    }
+  }
+  return { accepted, rejected };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  prepareImages,
+  sniffImageType,
+  MAX_INPUT_PIXELS,
+  MAX_LONG_SIDE,
+  MAX_SHORT_SIDE,
+};
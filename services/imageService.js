@@ -1,209 +1,208 @@
-require('dotenv').config();
-const OpenAI = require('openai');
+/**
+ * @fileoverview Image Service for Travolo
+ *
+ * Turns uploaded travel photos into theme deltas for the user's preference profile using the
+ * configured vision provider (see ./vision). When the provider is not configured or fails and a
+ * fallback provider is set (VISION_FALLBACK_PROVIDER), the fallback answers instead and the
+ * result says so.
+ *
+ * Results are cached in memory by a hash of the image contents, the current theme scores and the
+ * provider (plus the file names for providers that read them, like 'mock'), so re-uploading the same
+ * photos does not cost another model call. Image order does not matter; fallback answers are not cached.
+ *
+ * Environment variables:
+ * - IMAGE_ANALYSIS_CACHE_TTL_SECONDS:  how long a result is reused (default 86400, 0 disables the cache)
+ * - IMAGE_ANALYSIS_CACHE_MAX_ENTRIES:  most results kept; the least recently used are evicted (default 500)
+ */
+
+const crypto = require('crypto');
+const { getVisionProvider, getFallbackVisionProvider, MAX_OUTPUT_TOKENS } = require('./vision');
+const { PREFERENCE_KEYS } = require('./vision/analysisFormat');
+
+// ====================
+// Constants
+// ====================
+
+const DEFAULT_CACHE_TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_CACHE_MAX_ENTRIES = 500;
+
+// ====================
+// Result Cache
+// ====================
 
-// Ensure the OpenAI API key is set in the environment variables
-if (!process.env.OPENAI_API_KEY) {
-  console.error("OPENAI_API_KEY not found in .env file.");
+// Cache key -> { analysis, provider, expiresAt }; Map order doubles as least-recently-used order
+const analysisCache = new Map();
+// Misses are counted when analyzeImages calls a provider, so a route checking the cache first does not count twice
+const cacheStats = { hits: 0, misses: 0 };
+
+// Content hash per uploaded file, so the route and analyzeImages hash each buffer only once
+const fileHashes = new WeakMap();
+
+/**
+ * Reads the cache settings.
+ * @returns {{ttlMs: number, maxEntries: number}} The TTL (0: disabled) and size limit.
+ */
+function getCacheSettings() {
+  const ttlSeconds = Number(process.env.IMAGE_ANALYSIS_CACHE_TTL_SECONDS ?? DEFAULT_CACHE_TTL_SECONDS);
+  const maxEntries = Number(process.env.IMAGE_ANALYSIS_CACHE_MAX_ENTRIES ?? DEFAULT_CACHE_MAX_ENTRIES);
+  return {
+    ttlMs: Number.isFinite(ttlSeconds) && ttlSeconds > 0 ? ttlSeconds * 1000 : 0,
+    maxEntries: Number.isInteger(maxEntries) && maxEntries > 0 ? maxEntries : 0
+  };
 }
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+/**
+ * Hashes an uploaded file's contents.
+ * @param {{buffer: Buffer}} file - The multer file.
+ * @returns {string} The SHA-256 hex digest.
+ */
+function hashFile(file) {
+  if (!fileHashes.has(file)) {
+    fileHashes.set(file, crypto.createHash('sha256').update(file.buffer).digest('hex'));
+  }
+  return fileHashes.get(file);
+}
 
-const PREFERENCE_KEYS = [
-  "culture", "adventure", "nature", "beaches", "nightlife",
-  "cuisine", "wellness", "urban", "seclusion"
-];
+/**
+ * Builds the cache key of an analysis: the provider, the image contents (in any order) and the theme scores.
+ * For providers that read the file names, each image's name is part of the key too.
+ * @param {object} provider - The vision provider.
+ * @param {object[]} imageFiles - The multer files.
+ * @param {object} currentPreferences - The preference profile.
+ * @returns {string} The key.
+ */
+function cacheKey(provider, imageFiles, currentPreferences) {
+  const imageHashes = imageFiles
+    .map(file => (provider.readsFileNames ? `${hashFile(file)}:${file.originalname ?? ''}` : hashFile(file)))
+    .sort();
+  const themeScores = PREFERENCE_KEYS.map(key => currentPreferences[key] ?? null);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([provider.name, provider.model, imageHashes, themeScores]))
+    .digest('hex');
+}
 
 /**
- * Analyzes uploaded images and updates user preferences using OpenAI's GPT-4 Vision model.
- * @param {Array<object>} imageFiles - Array of file objects from multer (containing buffer, mimetype).
+ * Returns a cached analysis for the images and preferences, if one has not expired.
+ * @param {object[]} imageFiles - The multer files.
+ * @param {object} currentPreferences - The preference profile.
+ * @returns {{analysis: object, provider: string, fallback: null, cached: true} | null} The cached result.
+ */
+function getCachedAnalysis(imageFiles, currentPreferences) {
+  const { ttlMs, maxEntries } = getCacheSettings();
+  if (ttlMs === 0 || maxEntries === 0) return null;
+
+  const key = cacheKey(getVisionProvider(), imageFiles, currentPreferences);
+  const entry = analysisCache.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    if (entry) analysisCache.delete(key);
+    return null;
+  }
+
+  // Move to the most recently used end
+  analysisCache.delete(key);
+  analysisCache.set(key, entry);
+  cacheStats.hits++;
+  console.log(`Image analysis cache hit (${imageFiles.length} images, provider '${entry.provider}').`);
+  return { analysis: entry.analysis, provider: entry.provider, fallback: null, cached: true };
+}
+
+/**
+ * Stores an analysis in the cache, evicting the least recently used entries beyond the size limit.
+ * @param {string} key - The cache key.
+ * @param {object} analysis - `{ imageAnalysis, imageSummary }`.
+ * @param {string} provider - The provider that produced it.
+ */
+function cacheAnalysis(key, analysis, provider) {
+  const { ttlMs, maxEntries } = getCacheSettings();
+  if (ttlMs === 0 || maxEntries === 0) return;
+
+  analysisCache.delete(key);
+  analysisCache.set(key, { analysis, provider, expiresAt: Date.now() + ttlMs });
+  while (analysisCache.size > maxEntries) {
+    analysisCache.delete(analysisCache.keys().next().value);
+  }
+}
+
+/**
+ * Empties the analysis cache.
+ * @returns {number} The number of removed entries.
+ */
+function clearAnalysisCache() {
+  const cleared = analysisCache.size;
+  analysisCache.clear();
+  console.log(`Cleared ${cleared} cached image analyses.`);
+  return cleared;
+}
+
+/**
+ * Returns the cache size, settings and hit counters (since startup).
+ * @returns {{entries: number, maxEntries: number, ttlSeconds: number, hits: number, misses: number}}
+ */
+function getAnalysisCacheStats() {
+  const { ttlMs, maxEntries } = getCacheSettings();
+  return { entries: analysisCache.size, maxEntries, ttlSeconds: ttlMs / 1000, hits: cacheStats.hits, misses: cacheStats.misses };
+}
+
+// ==========================
+// Analysis
+// ==========================
+
+/**
+ * Analyzes uploaded images and returns theme deltas for the user's preferences.
+ * @param {Array<object>} imageFiles - Array of file objects from multer (containing buffer, mimetype, originalname).
  * @param {Record<string, number>} currentPreferences - The user's current preference scores (1-5).
- * @returns {Promise<object>} - An object containing the updated preferences and a summary.
+ * @param {object} [options]
+ * @param {function({inputTokens: number, outputTokens: number}): void} [options.onUsage] - Receives the token
+ *        usage reported by the provider (used for the spend cap, see services/usageLimitService.js).
+ * @returns {Promise<{data: object | null, error: object | null}>} `{ analysis: { imageAnalysis, imageSummary },
+ *          provider, fallback, cached }` (fallback: why the primary provider did not answer, or null), or the
+ *          error ('VISION_PROVIDER_FAILED') when no provider could answer.
  */
-async function analyzeImagesWithOpenAI(imageFiles, currentPreferences) {
+async function analyzeImages(imageFiles, currentPreferences, { onUsage } = {}) {
   if (!imageFiles || imageFiles.length === 0) {
     throw new Error("No image files provided for analysis.");
   }
-  if (!currentPreferences) {
-    throw new Error("Current preferences not provided.");
-  }
-  // Basic validation for preference format (can be enhanced)
-  if (typeof currentPreferences !== 'object' || Object.keys(currentPreferences).length === 0) {
+  // Basic validation for preference format (the routes validate the full profile)
+  if (!currentPreferences || typeof currentPreferences !== 'object' || Object.keys(currentPreferences).length === 0) {
     throw new Error("Invalid current preferences format.");
   }
 
+  const cached = getCachedAnalysis(imageFiles, currentPreferences);
+  if (cached) return { data: cached, error: null };
+  cacheStats.misses++;
 
-  // --- Updated Prompt ---
-  const textPromptContent = `
-You are an image analysis assistant that adjusts a user's 9 travel preference scores (1–5) after seeing up to 3 photos.
-
-INPUT
-• user_profile – JSON: current scores for culture, adventure, nature, beaches, nightlife, cuisine, wellness, urban, seclusion  
-• images       – array of 1–3 photos
-
-MAPPING RULES
-• Surf / waves  -> beaches, adventure up
-• Ski / snow    -> adventure, nature up
-• Skyline night -> urban, nightlife up; beaches, seclusion down if very dense city
-• Forest cabin  -> nature, seclusion up; urban, nightlife down
-• Museum / ruins -> culture up
-• Spa / yoga    -> wellness up; adventure down (if spa like)
-• Street food   -> cuisine up
-
-DELTA LOGIC
-1. Detect cues per photo and assign raw deltas: strong ±3, moderate ±2, weak ±1, none 0.  
-2. Sum per feature across all photos; cap total at ±3.  
-3. If a cue clearly contradicts an existing score ≥ 4, apply a negative delta (max -3).  
-4. new_score = clamp(old + delta, 1, 5).  
-5. Features without cues -> delta 0.
-
-OUTPUT  
-Return **only** this JSON (no markdown):
-
-{
-  "deltas": {            // every feature present, value -3…+3
-    "culture": 0,
-    "adventure": 0,
-    "nature": 0,
-    "beaches": -3,
-    "nightlife": 0,
-    "cuisine": 0,
-    "wellness": 0,
-    "urban": 3,
-    "seclusion": -1
-  },
-  "summary": "Photos show a bustling Manhattan street at night with skyscrapers and taxis, indicating high urban and nightlife interest while reducing beach and seclusion relevance."
-}
-
-If a featur's delta is 0, still include it. If nothing changes, all deltas are 0 and summary states “No travel relevant cues detected.”
-
-  `.trim();
-
-  // --- Prepare input for OpenAI Responses API (using user-provided working structure) ---
-  const inputPayload = [
-    {
-      role: "system",
-      content: [
-        { type: "input_text", text: textPromptContent },
-      ],
-    },
-    {
-      role: "user",
-      content: [
-        // Map image files to input_image type
-        ...imageFiles.map(file => ({
-          type: "input_image",
-          image_url: `data:${file.mimetype};base64,${file.buffer.toString('base64')}`
-        })),
-        // Add current preferences as input_text
-        {
-          type: "input_text",
-          text: JSON.stringify(currentPreferences, null, 2) // Pass preferences as stringified JSON
-        },
-      ],
-    },
-  ];
+  const provider = getVisionProvider();
+  let failure;
+  try {
+    const analysis = await provider.analyzeImages(imageFiles, currentPreferences, { onUsage });
+    console.log(`Parsed analysis result from '${provider.name}':`, JSON.stringify(analysis, null, 2));
+    cacheAnalysis(cacheKey(provider, imageFiles, currentPreferences), analysis, provider.name);
+    return { data: { analysis, provider: provider.name, fallback: null, cached: false }, error: null };
+  } catch (providerError) {
+    console.error(`Vision provider '${provider.name}' failed:`, providerError.message);
+    failure = providerError;
+  }
 
+  const fallbackProvider = getFallbackVisionProvider();
+  if (!fallbackProvider || fallbackProvider === provider) {
+    return { data: null, error: { message: `Image analysis failed: ${failure.message}`, code: 'VISION_PROVIDER_FAILED' } };
+  }
 
   try {
-    // Log only the user preferences part of the input payload
-    const userMessageContent = inputPayload.find(msg => msg.role === 'user')?.content;
-    const preferencesText = userMessageContent?.find(item => item.type === 'input_text')?.text;
-    if (preferencesText) {
-      console.log("Sending request to OpenAI with User Preferences:", preferencesText);
-    } else {
-      console.log("Sending request to OpenAI (User preferences text not found in input structure for logging).");
-    }
-    // console.log("Sending request to OpenAI with input:" + JSON.stringify(inputPayload, null, 2)); // Original full log
-
-    const response = await openai.responses.create({
-      model: "gpt-4.1", // Using the user-specified model
-      input: inputPayload, // Passing combined text and image structure
-      text: { // Requesting JSON output via schema defining DELTAS
-        "format": {
-          "type": "json_schema",
-          "name": "image_analysis_result", // Updated schema name
-          "strict": true,
-          "schema": {
-            "type": "object",
-            "properties": {
-              "imageAnalysis": { // Renamed field
-                "type": "object",
-                "properties": {
-                  // Expecting deltas (-2 to +2)
-                  "culture": { "type": "integer" },
-                  "adventure": { "type": "integer" },
-                  "nature": { "type": "integer" },
-                  "beaches": { "type": "integer" },
-                  "nightlife": { "type": "integer" },
-                  "cuisine": { "type": "integer" },
-                  "wellness": { "type": "integer" },
-                  "urban": { "type": "integer" },
-                  "seclusion": { "type": "integer" }
-                },
-                "required": [
-                  "culture", "adventure", "nature", "beaches", "nightlife",
-                  "cuisine", "wellness", "urban", "seclusion"
-                ],
-                "additionalProperties": false
-              },
-              "imageSummary": { "type": "string" } // Renamed field
-            },
-            "required": ["imageAnalysis", "imageSummary"], // Updated required fields
-            "additionalProperties": false
-          }
-        }
-      },
-      temperature: 1,
-      max_output_tokens: 2048,
-      top_p: 1,
-      store: true // Added back based on user snippet
-    });
-
-    console.log("Received response from OpenAI (responses.create).");
-
-    // --- Adjust response parsing based on the documented structure for responses.create --- 
-    // Expected structure might be: response.content[0].text containing the JSON string.
-    let rawContent = null;
-    if (response.content && Array.isArray(response.content) && response.content.length > 0 && response.content[0].type === 'output_text') {
-      rawContent = response.content[0].text;
-    } else if (response.output_text) { // Fallback check for output_text helper field
-      rawContent = response.output_text;
-    }
-
-    if (!rawContent) {
-      throw new Error("OpenAI response (responses.create) did not contain expected text content.");
-    }
-
-    // Parse the JSON response content
-    let analysisResult;
-    try {
-      analysisResult = JSON.parse(rawContent);
-    } catch (parseError) {
-      console.error("Error parsing JSON response from OpenAI:", parseError);
-      console.error("Raw content that failed parsing:", rawContent);
-      throw new Error(`Failed to parse JSON response from OpenAI (responses.create): ${parseError.message}`);
-    }
-
-    // Optional: Add validation for the structure of analysisResult
-    if (!analysisResult.imageAnalysis || !analysisResult.imageSummary || Object.keys(analysisResult.imageAnalysis).length !== PREFERENCE_KEYS.length) {
-      console.error("Invalid JSON structure received:", JSON.stringify(analysisResult, null, 2));
-      throw new Error("Received invalid JSON structure from OpenAI.");
-    }
-
-    // Log the final parsed analysis result
-    console.log("Parsed Analysis Result from OpenAI:", JSON.stringify(analysisResult, null, 2));
-
-    return analysisResult; // Return the parsed JSON object { imageAnalysis, imageSummary }
-
-  } catch (error) {
-    console.error("Error calling OpenAI API:", error);
-    // Re-throw the error to be handled by the calling endpoint
-    throw new Error(`OpenAI API request failed: ${error.message}`);
+    const analysis = await fallbackProvider.analyzeImages(imageFiles, currentPreferences, { onUsage });
+    console.warn(`Image analysis answered by fallback provider '${fallbackProvider.name}'.`);
+    return { data: { analysis, provider: fallbackProvider.name, fallback: failure.message, cached: false }, error: null };
+  } catch (fallbackError) {
+    console.error(`Fallback vision provider '${fallbackProvider.name}' failed:`, fallbackError.message);
+    return { data: null, error: { message: `Image analysis failed: ${failure.message}`, code: 'VISION_PROVIDER_FAILED' } };
   }
 }
 
+// Use CommonJS exports for Node.js
 module.exports = {
-  analyzeImagesWithOpenAI,
-}; 
\ No newline at end of file
+  analyzeImages,
+  getCachedAnalysis,
+  clearAnalysisCache,
+  getAnalysisCacheStats,
+  MAX_OUTPUT_TOKENS,
+};
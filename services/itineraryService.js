@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Itinerary Service for Travolo
+ *
+ * Builds multi-stop routes for one-week and long trips (POST /api/itineraries): an ordered 2-4 stop
+ * itinerary whose stops are chained within a leg distance cap, start near the traveller's origin and
+ * share the trip days, plus alternative routes (see itineraryPlanner.js).
+ *
+ * Itineraries are not stored; the stops are scored from the profile in the request like
+ * POST /api/recommendations scores them.
+ */
+
+const {
+  planItineraries,
+  tripDaysForDurations,
+  ITINERARY_TRIP_DAYS,
+  MIN_STOPS,
+  MAX_STOPS,
+  MIN_DAYS_PER_STOP,
+  DEFAULT_MAX_LEG_KM,
+  MAX_ALTERNATIVES
+} = require('../itineraryPlanner');
+const { getItemSimilarity } = require('../collaborativeFiltering');
+const { validateSchema, rules, PREFERENCE_SCHEMA } = require('./preferenceValidation');
+const { withDestinationDetails } = require('./recommendationService');
+const { getScoringConfig } = require('./scoringConfigService');
+const { getStorage } = require('./storage');
+
+const { numberInRange, objectOf, required } = rules;
+
+// ====================
+// Constants
+// ====================
+
+const MAX_TRIP_DAYS = 30;
+const MAX_LEG_KM_RANGE = [100, 5000];
+
+const ITINERARY_REQUEST_SCHEMA = {
+  preferences: required(objectOf(PREFERENCE_SCHEMA)),
+  days: numberInRange([MIN_STOPS * MIN_DAYS_PER_STOP, MAX_TRIP_DAYS], { integer: true }),
+  stops: numberInRange([MIN_STOPS, MAX_STOPS], { integer: true }),
+  maxLegKm: numberInRange(MAX_LEG_KM_RANGE),
+  alternatives: numberInRange([0, MAX_ALTERNATIVES], { integer: true })
+};
+
+// ==========================
+// Request Parsing
+// ==========================
+
+/**
+ * Parses and validates an itinerary request.
+ * @param {object} body - `{ preferences, days?, stops?, maxLegKm?, alternatives? }`.
+ * @returns {{options: object | null, errors: {path: string, message: string}[]}} The options for
+ *          generateItineraries, or the field errors.
+ */
+function parseItineraryRequest(body) {
+  const validation = validateSchema(ITINERARY_REQUEST_SCHEMA, body, { strict: true });
+  if (!validation.valid) return { options: null, errors: validation.errors };
+
+  const { preferences, stops, maxLegKm = DEFAULT_MAX_LEG_KM, alternatives = MAX_ALTERNATIVES } = validation.value;
+  const errors = [];
+
+  // The trip length comes from `days`, or else from the profile's one-week or long-trip duration
+  const days = validation.value.days ?? tripDaysForDurations(preferences.travelDuration);
+  if (days === null) {
+    errors.push({
+      path: 'preferences.travelDuration',
+      message: `must include ${Object.keys(ITINERARY_TRIP_DAYS).join(' or ')} (or set days)`
+    });
+  } else if (stops !== undefined && days < stops * MIN_DAYS_PER_STOP) {
+    errors.push({ path: 'stops', message: `${stops} stops need at least ${stops * MIN_DAYS_PER_STOP} days (got ${days})` });
+  }
+
+  if (errors.length > 0) return { options: null, errors };
+  return { options: { preferences, days, stops, maxLegKm, alternatives }, errors: [] };
+}
+
+// ==========================
+// Itinerary Planning
+// ==========================
+
+/**
+ * Builds the best itinerary and its alternatives for a traveller.
+ * @param {object} options - Parsed options (see parseItineraryRequest).
+ * @param {object} options.preferences - The validated preference profile.
+ * @param {number} options.days - Trip length in days.
+ * @param {number} [options.stops] - Exact number of stops (default: as many as the days allow).
+ * @param {number} options.maxLegKm - Longest leg between two consecutive stops.
+ * @param {number} options.alternatives - Number of alternative routes.
+ * @returns {Promise<{data: object | null, error: object | null}>} `{ days, stops, maxLegKm, scoringConfigVersion,
+ *          candidateCount, itinerary, alternatives }` (itinerary is null when no route fits the leg cap)
+ *          or the storage error.
+ */
+async function generateItineraries({ preferences, days, stops, maxLegKm, alternatives }) {
+  const scoringConfig = getScoringConfig(); // Captured once so the whole request uses one version
+
+  const { data: allDestinations, error } = await getStorage().getDestinations();
+  if (error) return { data: null, error };
+
+  // Without item similarity the stops are scored on content alone
+  let neighbourIndex = new Map();
+  try {
+    neighbourIndex = await getItemSimilarity();
+  } catch (similarityError) {
+    console.warn("Item similarity unavailable for itineraries:", similarityError.message);
+  }
+
+  const result = planItineraries(preferences, allDestinations || [], {
+    tripDays: days,
+    stops,
+    maxLegKm,
+    alternatives,
+    neighbourIndex,
+    scoringConfig
+  });
+
+  const destinationsById = new Map((allDestinations || []).map(d => [d.id, d]));
+  const routes = result.routes.map(route => ({
+    rank: route.rank,
+    matchScore: route.matchScore,                 // Sum of the stops' hybrid scores
+    averageConfidence: route.averageConfidence,
+    totalDistanceKm: route.totalDistanceKm,       // Between the stops
+    startDistanceKm: route.startDistanceKm,       // From originLocation to the first stop
+    stops: route.stops.map(stop => ({
+      ...withDestinationDetails(destinationsById.get(stop.id)),
+      order: stop.order,
+      days: stop.days,
+      ideal_days: stop.idealDays,                 // Shortest of the destination's ideal durations
+      confidence: stop.confidence,
+      leg_distance_km: stop.legDistanceKm,        // From the previous stop (null for the first)
+      reasons: stop.reasons,
+      caveats: stop.caveats
+    }))
+  }));
+
+  console.log(`Generated ${routes.length} itineraries (${result.stopCount ?? 0} stops, ${days} days).`);
+  return {
+    data: {
+      days,
+      stops: result.stopCount,
+      maxLegKm,
+      scoringConfigVersion: scoringConfig.version,
+      candidateCount: result.candidateCount,
+      itinerary: routes[0] ?? null,
+      alternatives: routes.slice(1)
+    },
+    error: null
+  };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  parseItineraryRequest,
+  generateItineraries,
+};
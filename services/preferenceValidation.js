@@ -0,0 +1,408 @@
+/**
+ * @fileoverview Preference profile validation for Travolo
+ *
+ * Declarative schema for the user preference profile (see ExampleProfile.json) shared by
+ * POST /api/recommendations and the `preferences` field of /api/preferences/analyze-images.
+ *
+ * validatePreferences() checks every field, collects field-level errors with their path
+ * (e.g. `travelMonths[2]`, `originLocation.lat`) and, optionally, normalizes values:
+ * - month names are capitalized ('july' -> 'July')
+ * - duration labels are mapped to their canonical key ('Short trip', 'short' -> 'short-trip')
+ * - budget labels are mapped to their canonical key ('Mid range' -> 'mid-range')
+ * - regions are trimmed and lower-cased
+ *
+ * validatePartialPreferences() does the same for a profile still being built: theme scores may be
+ * missing and count as neutral.
+ *
+ * The rule builders and validateSchema() are exported so other request bodies
+ * (e.g. the scoring configuration) can be validated the same way.
+ */
+
+// ====================
+// Constants
+// ====================
+
+const THEME_KEYS = ['culture', 'adventure', 'nature', 'beaches', 'nightlife', 'cuisine', 'wellness', 'urban', 'seclusion'];
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+const THEME_SCORE_RANGE = [1, 5];
+// Theme score assumed where a partial profile has none (the middle of the scale)
+const NEUTRAL_THEME_SCORE = 3;
+const PHOTO_DELTA_RANGE = [-3, 3];
+const TEMPERATURE_LIMITS = [-30, 50];
+
+// Canonical duration keys (as used by contentFiltering) and the labels accepted for them
+const DURATION_ALIASES = {
+  'day-trip': ['day-trip', 'day trip', 'daytrip', 'day'],
+  'weekend': ['weekend'],
+  'short-trip': ['short-trip', 'short trip', 'short'],
+  'one-week': ['one-week', 'one week', 'week', '1 week'],
+  'long-trip': ['long-trip', 'long trip', 'long']
+};
+
+// Canonical budget keys (as used by contentFiltering) and the labels accepted for them
+const BUDGET_ALIASES = {
+  'budget': ['budget', 'low', 'cheap'],
+  'mid-range': ['mid-range', 'mid range', 'midrange', 'mid'],
+  'luxury': ['luxury', 'high']
+};
+
+const RATING_VALUES = ['like', 'dislike'];
+
+// ====================
+// Label Normalizers
+// ====================
+
+/**
+ * Builds a lookup from every accepted alias to its canonical key.
+ * @param {Record<string, string[]>} aliases - Canonical key -> accepted labels.
+ * @returns {Map<string, string>} Alias -> canonical key.
+ */
+function buildAliasLookup(aliases) {
+  const lookup = new Map();
+  for (const [canonical, labels] of Object.entries(aliases)) {
+    labels.forEach(label => lookup.set(label, canonical));
+  }
+  return lookup;
+}
+
+const DURATION_LOOKUP = buildAliasLookup(DURATION_ALIASES);
+const BUDGET_LOOKUP = buildAliasLookup(BUDGET_ALIASES);
+
+/**
+ * Maps a month name in any capitalization to its canonical form.
+ * @param {string} monthName - The month name (e.g. 'july').
+ * @returns {string | null} The canonical month name (e.g. 'July') or null if unknown.
+ */
+function normalizeMonthName(monthName) {
+  if (typeof monthName !== 'string') return null;
+  const lower = monthName.trim().toLowerCase();
+  return MONTH_NAMES.find(m => m.toLowerCase() === lower) ?? null;
+}
+
+/**
+ * Maps a duration label to its canonical key.
+ * @param {string} label - The duration label (e.g. 'Short trip', 'short').
+ * @returns {string | null} The canonical key (e.g. 'short-trip') or null if unknown.
+ */
+function normalizeDurationLabel(label) {
+  if (typeof label !== 'string') return null;
+  return DURATION_LOOKUP.get(label.trim().toLowerCase().replace(/_/g, '-')) ?? null;
+}
+
+/**
+ * Maps a budget label to its canonical key.
+ * @param {string} label - The budget label (e.g. 'Mid range').
+ * @returns {string | null} The canonical key (e.g. 'mid-range') or null if unknown.
+ */
+function normalizeBudgetLabel(label) {
+  if (typeof label !== 'string') return null;
+  return BUDGET_LOOKUP.get(label.trim().toLowerCase().replace(/_/g, '-')) ?? null;
+}
+
+// ====================
+// Schema Rules
+// ====================
+// Each rule validates one value, pushes `{ path, message }` errors and returns the
+// normalized value (or the original value when normalization is off).
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * A number within an inclusive range.
+ */
+function numberInRange([min, max], { integer = false } = {}) {
+  return (value, path, ctx) => {
+    if (!isNumber(value) || (integer && !Number.isInteger(value))) {
+      ctx.errors.push({ path, message: `must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}` });
+    } else if (value < min || value > max) {
+      ctx.errors.push({ path, message: `must be between ${min} and ${max} (got ${value})` });
+    }
+    return value;
+  };
+}
+
+/**
+ * A string matched against a set of labels through a normalizer function.
+ */
+function label(normalizer, description) {
+  return (value, path, ctx) => {
+    const normalized = normalizer(value);
+    if (normalized === null) {
+      ctx.errors.push({ path, message: `must be ${description} (got ${JSON.stringify(value)})` });
+      return value;
+    }
+    return ctx.normalize ? normalized : value;
+  };
+}
+
+/**
+ * A non-empty string.
+ */
+function nonEmptyString({ lowerCase = false } = {}) {
+  return (value, path, ctx) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+      ctx.errors.push({ path, message: 'must be a non-empty string' });
+      return value;
+    }
+    if (!ctx.normalize) return value;
+    return lowerCase ? value.trim().toLowerCase() : value.trim();
+  };
+}
+
+/**
+ * An array whose items all match `itemRule`. Duplicates are dropped when normalizing.
+ */
+function arrayOf(itemRule, { minItems = 0 } = {}) {
+  return (value, path, ctx) => {
+    if (!Array.isArray(value)) {
+      ctx.errors.push({ path, message: 'must be an array' });
+      return value;
+    }
+    if (value.length < minItems) {
+      ctx.errors.push({ path, message: `must contain at least ${minItems} item(s)` });
+    }
+    const items = value.map((item, i) => itemRule(item, `${path}[${i}]`, ctx));
+    return ctx.normalize ? [...new Set(items)] : items;
+  };
+}
+
+/**
+ * An object with known fields. Unknown fields are reported when `strict` is set.
+ */
+function objectOf(fields, { strict = false } = {}) {
+  return (value, path, ctx) => {
+    if (!isPlainObject(value)) {
+      ctx.errors.push({ path, message: 'must be an object' });
+      return value;
+    }
+    return validateFields(fields, value, path, ctx, { strict });
+  };
+}
+
+/**
+ * An object whose keys are free-form and whose values all match `valueRule`.
+ */
+function recordOf(valueRule) {
+  return (value, path, ctx) => {
+    if (!isPlainObject(value)) {
+      ctx.errors.push({ path, message: 'must be an object' });
+      return value;
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = valueRule(item, `${path}.${key}`, ctx);
+    }
+    return result;
+  };
+}
+
+/**
+ * The [min, max] temperature range in °C.
+ */
+function temperatureRange() {
+  const temperatureRule = numberInRange(TEMPERATURE_LIMITS);
+  return (value, path, ctx) => {
+    if (!Array.isArray(value) || value.length !== 2) {
+      ctx.errors.push({ path, message: 'must be an array of two numbers [min, max]' });
+      return value;
+    }
+    value.forEach((temp, i) => temperatureRule(temp, `${path}[${i}]`, ctx));
+    if (isNumber(value[0]) && isNumber(value[1]) && value[0] > value[1]) {
+      ctx.errors.push({ path, message: `min (${value[0]}) must not be greater than max (${value[1]})` });
+    }
+    return value;
+  };
+}
+
+/**
+ * A value from a fixed list.
+ */
+function oneOf(allowed) {
+  return (value, path, ctx) => {
+    if (!allowed.includes(value)) {
+      ctx.errors.push({ path, message: `must be one of ${allowed.map(a => `"${a}"`).join(', ')}` });
+    }
+    return value;
+  };
+}
+
+/**
+ * A boolean.
+ */
+function boolean() {
+  return (value, path, ctx) => {
+    if (typeof value !== 'boolean') {
+      ctx.errors.push({ path, message: 'must be a boolean' });
+    }
+    return value;
+  };
+}
+
+/**
+ * Marks a rule as required.
+ */
+function required(rule) {
+  rule.required = true;
+  return rule;
+}
+
+/**
+ * Builds the rules for the nine theme keys.
+ */
+function themeFields(ruleFactory) {
+  return Object.fromEntries(THEME_KEYS.map(key => [key, ruleFactory()]));
+}
+
+// ====================
+// Preference Schema
+// ====================
+
+const PREFERENCE_SCHEMA = {
+  ...themeFields(() => required(numberInRange(THEME_SCORE_RANGE))),
+  temperatureRange: temperatureRange(),
+  travelMonths: arrayOf(label(normalizeMonthName, 'a month name like "July"')),
+  travelDuration: arrayOf(label(normalizeDurationLabel, `one of ${Object.keys(DURATION_ALIASES).join(', ')}`)),
+  travelBudget: arrayOf(label(normalizeBudgetLabel, `one of ${Object.keys(BUDGET_ALIASES).join(', ')}`)),
+  preferredRegions: arrayOf(nonEmptyString({ lowerCase: true })),
+  originLocation: objectOf({
+    name: nonEmptyString(),
+    lat: required(numberInRange([-90, 90])),
+    lon: required(numberInRange([-180, 180]))
+  }),
+  destinationRatings: recordOf(oneOf(RATING_VALUES)),
+  photoAnalysis: objectOf({
+    imageCount: numberInRange([0, 3], { integer: true }),
+    imageSummary: (value, path, ctx) => {
+      if (typeof value !== 'string') ctx.errors.push({ path, message: 'must be a string' });
+      return value;
+    },
+    imageAnalysis: objectOf(themeFields(() => required(numberInRange(PHOTO_DELTA_RANGE, { integer: true }))), { strict: true }),
+    adjustmentSuccessful: boolean()
+  })
+};
+
+// A profile still being built (e.g. while rating destinations): theme scores are optional
+const PARTIAL_PREFERENCE_SCHEMA = {
+  ...PREFERENCE_SCHEMA,
+  ...themeFields(() => numberInRange(THEME_SCORE_RANGE))
+};
+
+// ==========================
+// Validation Logic
+// ==========================
+
+/**
+ * Validates the known fields of an object against a schema.
+ * Fields not in the schema are passed through unchanged unless `strict` is set.
+ * @returns {object} The (possibly normalized) object.
+ */
+function validateFields(fields, value, basePath, ctx, { strict = false } = {}) {
+  const result = { ...value };
+  const joinPath = key => (basePath ? `${basePath}.${key}` : key);
+
+  for (const [key, rule] of Object.entries(fields)) {
+    const fieldValue = value[key];
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) {
+        ctx.errors.push({ path: joinPath(key), message: 'is required' });
+      }
+      continue;
+    }
+    result[key] = rule(fieldValue, joinPath(key), ctx);
+  }
+
+  if (strict) {
+    Object.keys(value)
+      .filter(key => !(key in fields))
+      .forEach(key => ctx.errors.push({ path: joinPath(key), message: 'is not a known field' }));
+  }
+  return result;
+}
+
+/**
+ * Validates an object against a schema built from the rules above.
+ * @param {object} schema - Field name -> rule.
+ * @param {object} value - The object to validate.
+ * @param {object} [options]
+ * @param {boolean} [options.normalize=true] - Return normalized values.
+ * @param {boolean} [options.strict=false] - Report fields that are not in the schema.
+ * @returns {{valid: boolean, errors: {path: string, message: string}[], value: object}}
+ */
+function validateSchema(schema, value, { normalize = true, strict = false } = {}) {
+  const ctx = { errors: [], normalize };
+  if (!isPlainObject(value)) {
+    return { valid: false, errors: [{ path: '', message: 'must be an object' }], value };
+  }
+  const normalized = validateFields(schema, value, '', ctx, { strict });
+  return { valid: ctx.errors.length === 0, errors: ctx.errors, value: normalize ? normalized : value };
+}
+
+/**
+ * Validates (and optionally normalizes) a user preference profile.
+ * @param {object} preferences - The preference profile (ExampleProfile.json shape).
+ * @param {object} [options]
+ * @param {boolean} [options.normalize=true] - Return normalized values (month capitalization, canonical labels).
+ * @returns {{valid: boolean, errors: {path: string, message: string}[], value: object}}
+ *          `value` is the normalized profile (or the input when normalization is off).
+ */
+function validatePreferences(preferences, { normalize = true } = {}) {
+  const ctx = { errors: [], normalize };
+
+  if (!isPlainObject(preferences) || Object.keys(preferences).length === 0) {
+    return {
+      valid: false,
+      errors: [{ path: '', message: 'preference profile must be a non-empty object' }],
+      value: preferences
+    };
+  }
+
+  const normalized = validateFields(PREFERENCE_SCHEMA, preferences, '', ctx);
+  return {
+    valid: ctx.errors.length === 0,
+    errors: ctx.errors,
+    value: normalize ? normalized : preferences
+  };
+}
+
+/**
+ * Validates (and optionally normalizes) a partial preference profile: every field is optional, and
+ * missing theme scores are filled in with NEUTRAL_THEME_SCORE.
+ * @param {object} [preferences={}] - The partial preference profile.
+ * @param {object} [options]
+ * @param {boolean} [options.normalize=true] - Return normalized values.
+ * @returns {{valid: boolean, errors: {path: string, message: string}[], value: object}}
+ *          `value` is the profile with all nine theme scores.
+ */
+function validatePartialPreferences(preferences = {}, { normalize = true } = {}) {
+  const validation = validateSchema(PARTIAL_PREFERENCE_SCHEMA, preferences, { normalize });
+  if (!validation.valid) return validation;
+
+  const value = { ...validation.value };
+  THEME_KEYS.forEach(key => {
+    if (value[key] === undefined || value[key] === null) value[key] = NEUTRAL_THEME_SCORE;
+  });
+  return { ...validation, value };
+}
+
+// ==========================
+// Exports
+// ==========================
+module.exports = {
+  validatePreferences,
+  validatePartialPreferences,
+  validateSchema,
+  rules: { numberInRange, label, nonEmptyString, arrayOf, objectOf, recordOf, oneOf, boolean, required },
+  PREFERENCE_SCHEMA,
+  THEME_KEYS,
+  NEUTRAL_THEME_SCORE,
+  MONTH_NAMES,
+  DURATION_ALIASES,
+  BUDGET_ALIASES,
+  normalizeMonthName,
+  normalizeDurationLabel,
+  normalizeBudgetLabel
+};
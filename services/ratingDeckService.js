@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Rating Deck Service for Travolo
+ *
+ * Chooses the destinations the user rates before the first recommendations:
+ * - GET /api/destinations/random: a fixed deck sampled to cover the catalog's theme space and
+ *   regions (see destinationSampling.js). It skips destinations the client has already rated and is
+ *   reproducible: the same seed and catalog always produce the same deck.
+ * - POST /api/destinations/next-to-rate: one destination at a time, chosen adaptively from the
+ *   ratings so far (see ratingSelection.js), plus whether the recommendations have stabilized.
+ */
+
+const crypto = require('crypto');
+const { sampleCoverageDeck } = require('../destinationSampling');
+const { selectNextToRate } = require('../ratingSelection');
+const { getItemSimilarity } = require('../collaborativeFiltering');
+const { splitList } = require('./destinationSearchService');
+const { getScoringConfig } = require('./scoringConfigService');
+const { getStorage } = require('./storage');
+
+// ====================
+// Constants
+// ====================
+
+const DEFAULT_DECK_SIZE = 10;
+const MAX_DECK_SIZE = 50;
+const MAX_SEED_LENGTH = 64;
+const MAX_STABILITY_K = 10;
+
+// ==========================
+// Query Parsing
+// ==========================
+
+/**
+ * Parses and validates the query parameters of GET /api/destinations/random.
+ * Without a seed a new one is generated, so the response can still be reproduced.
+ * @param {object} query - The Express query object (limit, exclude, seed).
+ * @returns {{options: object | null, errors: {path: string, message: string}[]}} The deck options or the errors.
+ */
+function parseDeckQuery(query) {
+  const errors = [];
+  const options = {
+    limit: DEFAULT_DECK_SIZE,
+    excludeIds: splitList(query.exclude),
+    seed: query.seed === undefined ? crypto.randomBytes(8).toString('hex') : String(query.seed)
+  };
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DECK_SIZE) {
+      errors.push({ path: 'limit', message: `must be an integer between 1 and ${MAX_DECK_SIZE}` });
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  if (options.seed.length === 0 || options.seed.length > MAX_SEED_LENGTH) {
+    errors.push({ path: 'seed', message: `must be between 1 and ${MAX_SEED_LENGTH} characters` });
+  }
+
+  return { options: errors.length === 0 ? options : null, errors };
+}
+
+// ==========================
+// Deck Building
+// ==========================
+
+/**
+ * Builds a coverage-maximizing rating deck.
+ * @param {object} options - Parsed options (see parseDeckQuery).
+ * @param {number} options.limit - Number of destinations.
+ * @param {string[]} options.excludeIds - Destinations the client has already rated.
+ * @param {string} options.seed - Seed of the sampler.
+ * @returns {Promise<{data: object[] | null, error: object | null}>} The deck or the storage error.
+ */
+async function getRatingDeck({ limit, excludeIds, seed }) {
+  const { data: destinations, error } = await getStorage().getDestinations();
+  if (error) return { data: null, error };
+
+  return { data: sampleCoverageDeck(destinations || [], { limit, excludeIds, seed }), error: null };
+}
+
+/**
+ * Selects the next destination to rate for a partial profile.
+ * @param {object} userPreferences - Validated preference profile with the ratings so far.
+ * @param {object} [options]
+ * @param {number} [options.k] - Size of the top list whose stability is measured (1-10).
+ * @returns {Promise<{data: object | null, error: object | null}>} The selection (see selectNextToRate)
+ *          or the storage error.
+ */
+async function getNextToRate(userPreferences, { k } = {}) {
+  const { data: destinations, error } = await getStorage().getDestinations();
+  if (error) return { data: null, error };
+
+  // Without item similarity the selection still works on the theme adjustment alone
+  let neighbourIndex = new Map();
+  try {
+    neighbourIndex = await getItemSimilarity();
+  } catch (similarityError) {
+    console.warn("Item similarity unavailable for next-to-rate selection:", similarityError.message);
+  }
+
+  const selection = selectNextToRate(userPreferences, destinations || [], {
+    k,
+    neighbourIndex,
+    scoringConfig: getScoringConfig()
+  });
+  return { data: selection, error: null };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  parseDeckQuery,
+  getRatingDeck,
+  getNextToRate,
+  DEFAULT_DECK_SIZE,
+  MAX_DECK_SIZE,
+  MAX_STABILITY_K,
+};
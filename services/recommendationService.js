@@ -10,27 +10,17 @@
  * 6. Triggers the similarity matrix refresh when appropriate
  */
 
-require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
-const { calculateRecommendations } = require('../recommendationAlgorithm'); // Import the algorithm
-const { invalidateSimilarityCache } = require('../collaborativeFiltering'); // Adjust path if necessary
-
-// Ensure Supabase connection details are available
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY; // <-- Add service role key
-
-if (!supabaseUrl || !supabaseKey) {
-  console.error("Supabase URL or Public Key not found in .env file.");
-  process.exit(1); // Exit if Supabase connection isn't possible
-}
-
-if (!supabaseServiceRoleKey) {
-  console.warn("Supabase Service Role Key not found in .env file. Similarity matrix refresh will fail.");
-}
+const { calculateRecommendations, DEFAULT_RECOMMENDATION_LIMIT } = require('../recommendationAlgorithm'); // Import the algorithm
+const { applyRecommendationRecord } = require('./similarityService');
+const { assignVariant, getVariantAssignment } = require('./experimentService');
+const { getScoringConfig, getScoringConfigVersion } = require('./scoringConfigService');
+const { THEME_KEYS } = require('./preferenceValidation');
+const { getStorage } = require('./storage');
 
-/** @type {import('@supabase/supabase-js').SupabaseClient} */
-const supabase = createClient(supabaseUrl, supabaseKey);
+/**
+ * Number of ranks mirrored into the legacy destination_N_* columns of the recommendations table.
+ */
+const LEGACY_DESTINATION_SLOTS = 3;
 
 /**
  * Generates destination recommendations based on user preferences,
@@ -38,19 +28,101 @@ const supabase = createClient(supabaseUrl, supabaseKey);
  * and returns detailed recommendation info to the frontend.
  * 
  * @param {object} userPreferences - The user's preference profile.
+ * @param {object} [options] - Paging options.
+ * @param {number} [options.limit=3] - Number of recommendations to return.
+ * @param {number} [options.offset=0] - Number of top-ranked recommendations to skip.
+ * @param {number} [options.diversity=0] - Relevance/diversity trade-off (0-1) for re-ranking; 0 disables it.
+ * @param {string} [options.recommendationId] - Existing record to append this page to ("show more")
+ *                                              instead of creating a new recommendation record. The page is
+ *                                              ranked from the record's stored preferences, experiment variant
+ *                                              and scoring config version, not userPreferences and clientId.
+ * @param {string} [options.clientId] - Client or session id used to assign an experiment variant.
+ * @param {string} [options.userId] - User profile the new record belongs to (its recommendation history).
  * @returns {Promise<object>} - An object containing the DB record ID and detailed recommendations.
+ *          "Show more" errors carry a `code`: the storage error code of the record lookup ('PGRST116' if it
+ *          does not exist), or 'SCORING_CONFIG_NOT_FOUND' / 'EXPERIMENT_VARIANT_NOT_FOUND' if the record's
+ *          config version or variant no longer exists.
  */
-async function generateRecommendations(userPreferences) {
+async function generateRecommendations(userPreferences, options = {}) {
+  const {
+    limit = DEFAULT_RECOMMENDATION_LIMIT,
+    offset = 0,
+    diversity = 0,
+    recommendationId = null,
+    clientId = null,
+    userId = null
+  } = options;
   console.log("Received user preferences for recommendation");
 
+  const storage = getStorage();
+
+  let assignment = null;
+  let scoringConfig = null;
+
+  // "Show more" continues the ranking of the stored record, so its pages line up with the ones already shown:
+  // same preferences, same experiment variant and same scoring config version
+  let existingItems = [];
+  if (recommendationId) {
+    const { data: record, error: fetchRecordError } = await storage.getRecommendation(recommendationId);
+    if (fetchRecordError || !record) {
+      console.error("Error fetching recommendation record to append to:", fetchRecordError);
+      return {
+        error: "Failed to find recommendation record to append to.",
+        details: fetchRecordError?.message ?? `No recommendation record with ID ${recommendationId}.`,
+        code: fetchRecordError?.code ?? 'PGRST116',
+        recommendations: []
+      };
+    }
+    userPreferences = recordToPreferences(record);
+
+    if (record.experiment_name) {
+      assignment = getVariantAssignment(record.experiment_name, record.experiment_variant);
+      if (!assignment) {
+        return {
+          error: "The experiment variant of this recommendation record no longer exists.",
+          details: `Variant '${record.experiment_variant}' of experiment '${record.experiment_name}' is not configured.`,
+          code: 'EXPERIMENT_VARIANT_NOT_FOUND',
+          recommendations: []
+        };
+      }
+    }
+
+    // Records from before config versioning are scored with the active configuration
+    if (record.scoring_config_version) {
+      const { data: storedConfig, error: configError } = await getScoringConfigVersion(record.scoring_config_version);
+      if (configError || !storedConfig) {
+        if (configError) console.error("Error loading the record's scoring config:", configError);
+        return {
+          error: configError
+            ? "Failed to load the scoring config of this recommendation record."
+            : "The scoring config version of this recommendation record no longer exists.",
+          details: configError?.message ?? `Scoring config version '${record.scoring_config_version}' was not found.`,
+          code: configError ? (configError.code ?? 'STORAGE_ERROR') : 'SCORING_CONFIG_NOT_FOUND',
+          recommendations: []
+        };
+      }
+      scoringConfig = storedConfig;
+    }
+
+    const { data: items, error: itemsFetchError } = await storage.getRecommendationItems(recommendationId);
+    if (itemsFetchError) {
+      console.error("Error fetching existing recommendation items:", itemsFetchError);
+    }
+    existingItems = items || [];
+  } else {
+    // The same client or session always gets the same variant of the active experiment
+    assignment = assignVariant(clientId);
+  }
+
+  scoringConfig = scoringConfig ?? getScoringConfig(); // Captured once so the whole request uses one version
+  const experiment = assignment ? { name: assignment.experiment, variant: assignment.variant } : null;
+  if (assignment) {
+    console.log(`Scoring with experiment '${assignment.experiment}', variant '${assignment.variant}'.`);
+  }
+
   // --- Step 1: Fetch destinations from database --- 
-  console.log("Fetching all destinations from Supabase...");
-  const { data: allDestinations, error: fetchError } = await supabase
-    .from('destinations')
-    .select(`
-      *,
-      images ( public_url )
-    `);
+  console.log(`Fetching all destinations from ${storage.name} storage...`);
+  const { data: allDestinations, error: fetchError } = await storage.getDestinations();
 
   if (fetchError) {
     console.error("Error fetching destinations:", fetchError);
@@ -75,8 +147,15 @@ async function generateRecommendations(userPreferences) {
   console.log("Calculating recommendations...");
   // The calculateRecommendations function modifies userPreferences directly
   // and returns an array of recommendations with id and confidence.
-  const topRecommendationsScored = await calculateRecommendations(userPreferences, allDestinations);
-  console.log("Top 3 scored recommendations successfully calculated");
+  const topRecommendationsScored = await calculateRecommendations(userPreferences, allDestinations, {
+    scoringConfig,
+    ...assignment?.options, // Experiment overrides apply on top of the scoring config
+    limit,
+    offset,
+    diversity
+  });
+  console.log(`Top ${limit} scored recommendations (offset ${offset}) successfully calculated`);
+  const hasMore = offset + limit < allDestinations.length;
 
   // --- Step 3: Retrieve full destination details for top recommendations --- 
   // Create a map for quick lookup of destination details
@@ -90,30 +169,50 @@ async function generateRecommendations(userPreferences) {
       return null; // Handle case where ID might not be found
     }
 
-    // Extract image URL from the nested images relation
-    let imageUrl = null;
-    // Supabase returns related data as an array by default when using nested select
-    if (Array.isArray(fullDetails.images) && fullDetails.images.length > 0) {
-      imageUrl = fullDetails.images[0]?.public_url ?? null;
-    } else if (fullDetails.images && typeof fullDetails.images === 'object' && !Array.isArray(fullDetails.images)) {
-      // Fallback just in case it returns a single object
-      imageUrl = fullDetails.images.public_url ?? null;
-    }
-
-    // Create a copy without the 'images' property to avoid redundancy in output
-    const detailsWithoutImages = { ...fullDetails };
-    delete detailsWithoutImages.images;
-
     return {
-      ...detailsWithoutImages,          // Spread destination details
-      image_url: imageUrl,              // Add the image URL
+      ...withDestinationDetails(fullDetails), // Destination details and image URL
+      rank: scoredRec.rank,             // Add the absolute rank (1-based)
       confidence: scoredRec.confidence, // Add the confidence score
+      relevance_rank: scoredRec.relevanceRank,                // Rank before diversity re-ranking
+      promoted_for_diversity: scoredRec.promotedForDiversity, // Moved up to diversify the list
+      explanation: scoredRec.explanation,                     // Per-factor breakdown and reasons
     };
   }).filter(rec => rec !== null); // Filter out any nulls introduced by missing details
 
   console.log(`Retrieved full details for ${topRecommendationsDetailed.length} recommendations.`);
 
-  // --- Step 4: Prepare record for database storage --- 
+  const promotedForDiversity = topRecommendationsDetailed
+    .filter(rec => rec.promoted_for_diversity)
+    .map(rec => rec.id);
+
+  // --- Step 4a: "Show more" - append this page to an existing record ---
+  if (recommendationId) {
+    // Only store ranks and destinations that are not already part of the record
+    const existingRanks = new Set(existingItems.map(item => item.rank));
+    const existingDestinations = new Set(existingItems.map(item => item.destination_id));
+    const newItems = topRecommendationsDetailed.filter(rec =>
+      !existingRanks.has(rec.rank) && !existingDestinations.has(rec.id));
+    const itemsError = await saveRecommendationItems(storage, recommendationId, newItems);
+
+    return {
+      message: itemsError
+        ? "Recommendations generated, but saving the additional items failed."
+        : "Additional recommendations generated and saved successfully.",
+      recommendationRecordId: recommendationId,
+      limit,
+      offset,
+      hasMore,
+      diversity,
+      experiment,
+      scoringConfigVersion: scoringConfig.version,
+      promotedForDiversity,
+      themeVector: userPreferences.themeAdjustment?.final ?? null,
+      themeAdjustment: userPreferences.themeAdjustment ?? null,
+      recommendations: topRecommendationsDetailed
+    };
+  }
+
+  // --- Step 4b: Prepare record for database storage --- 
   // Map user preferences to database schema
   const recordToInsert = {
     // Travel Themes (Map from userPreferences)
@@ -151,29 +250,27 @@ async function generateRecommendations(userPreferences) {
     // Other feedback/metadata
     destination_ratings: userPreferences.destinationRatings,
     destination_analysis: userPreferences.destinationAnalysis, // Analysis added by the algorithm
+    theme_adjustment: userPreferences.themeAdjustment, // Base, photo, ratings and final theme vectors
 
-    // Top 3 Recommendations - Store IDs and Match Percentages
-    destination_1_id: topRecommendationsDetailed[0]?.id ?? null,
-    destination_1_confidence: topRecommendationsDetailed[0]?.confidence ?? null,
-    destination_1_feedback: null, // Keep feedback null initially
+    // A/B experiment the record was scored under (null when not enrolled)
+    experiment_name: assignment?.experiment ?? null,
+    experiment_variant: assignment?.variant ?? null,
 
-    destination_2_id: topRecommendationsDetailed[1]?.id ?? null,
-    destination_2_confidence: topRecommendationsDetailed[1]?.confidence ?? null,
-    destination_2_feedback: null,
+    // Version of the scoring configuration that produced this record
+    scoring_config_version: scoringConfig.version,
 
-    destination_3_id: topRecommendationsDetailed[2]?.id ?? null,
-    destination_3_confidence: topRecommendationsDetailed[2]?.confidence ?? null,
-    destination_3_feedback: null,
+    // User profile the run belongs to (null for anonymous runs)
+    user_id: userId,
+
+    // Legacy columns: the first three ranks are still mirrored here for existing consumers.
+    // The full list lives in the recommendation_items table.
+    ...buildLegacyDestinationColumns(topRecommendationsDetailed),
   };
 
   console.log("Attempting to insert into recommendations table");
 
-  // --- Step 5: Save recommendation record to database --- 
-  const { data: insertedData, error: insertError } = await supabase
-    .from('recommendations')
-    .insert([recordToInsert])
-    .select('id') // Select only the id of the newly inserted row
-    .single(); // Expecting a single row back
+  // --- Step 5: Save recommendation record and its items to database --- 
+  const { data: insertedData, error: insertError } = await storage.insertRecommendation(recordToInsert);
 
   if (insertError) {
     console.error("Error inserting recommendation record:", insertError);
@@ -189,34 +286,161 @@ async function generateRecommendations(userPreferences) {
   const newRecordId = insertedData ? insertedData.id : null;
   console.log("Successfully inserted recommendation record with ID:", newRecordId);
 
+  if (newRecordId) {
+    await saveRecommendationItems(storage, newRecordId, topRecommendationsDetailed);
+  }
+
   // --- Step 6: Refresh Item Similarity Matrix for collaborative filtering ---
-  if (newRecordId && supabaseServiceRoleKey) {
+  if (newRecordId) {
     console.log("Attempting to refresh item similarity matrix...");
-    // Create a separate client instance with the Service Role Key for the RPC call
-    const supabaseAdmin = createClient(supabaseUrl, supabaseServiceRoleKey);
-    const { error: rpcError } = await supabaseAdmin.rpc('refresh_item_similarity');
+    const { error: refreshError } = await applyRecommendationRecord(newRecordId);
 
-    if (rpcError) {
-      console.error("Error calling refresh_item_similarity RPC:", rpcError);
+    if (refreshError) {
+      console.error("Error refreshing item similarity matrix:", refreshError);
       // Log error but don't fail the request
     } else {
-      console.log("Successfully triggered refresh_item_similarity. Invalidating cache.");
-      // Invalidate the cache so next request will fetch fresh data
-      invalidateSimilarityCache();
+      console.log("Successfully refreshed item similarity.");
     }
-  } else if (!supabaseServiceRoleKey) {
-    console.warn("Skipping item similarity refresh because SUPABASE_SERVICE_ROLE_KEY is missing.");
   }
 
   // --- Step 7: Return results to frontend --- 
   return {
     message: "Recommendations generated and saved successfully.",
     recommendationRecordId: newRecordId, // ID of the row created in the DB
+    limit,
+    offset,
+    hasMore,
+    diversity,
+    experiment, // { name, variant } of the A/B experiment, or null
+    scoringConfigVersion: scoringConfig.version,
+    promotedForDiversity, // IDs of destinations moved up by the diversity re-ranking
+    themeVector: userPreferences.themeAdjustment?.final ?? null, // Theme scores the destinations were scored with
+    themeAdjustment: userPreferences.themeAdjustment ?? null, // Where each theme score came from
     recommendations: topRecommendationsDetailed // Return the detailed recommendations
   };
 }
 
+/**
+ * Rebuilds the preference profile a recommendation record was generated from.
+ * The stored theme scores already include the photo and feedback adjustments. Records with a
+ * theme_adjustment carry the base scores the algorithm started from; for older records (which had
+ * no photo adjustment) the feedback adjustment (destination_analysis) is subtracted again instead.
+ * Scores that were clamped at 1 or 5 can then only be restored approximately.
+ * @param {object} record - A recommendations row.
+ * @returns {object} The preference profile (ExampleProfile.json shape).
+ */
+function recordToPreferences(record) {
+  const preferences = {};
+  const analysis = record.destination_analysis || {};
+  const base = record.theme_adjustment?.base;
+
+  THEME_KEYS.forEach(key => {
+    if (typeof base?.[key] === 'number') {
+      preferences[key] = base[key];
+      return;
+    }
+    const stored = record[key] ?? 3;
+    preferences[key] = Math.max(1, Math.min(5, stored - (analysis[key] ?? 0)));
+  });
+
+  if (record.temp_min !== null && record.temp_min !== undefined &&
+      record.temp_max !== null && record.temp_max !== undefined) {
+    preferences.temperatureRange = [record.temp_min, record.temp_max];
+  }
+  preferences.travelMonths = record.travel_months || [];
+  preferences.travelDuration = record.ideal_durations || [];
+  preferences.travelBudget = record.budget_level || [];
+  preferences.preferredRegions = record.preferred_regions || [];
+
+  if (record.origin_lat !== null && record.origin_lat !== undefined &&
+      record.origin_lon !== null && record.origin_lon !== undefined) {
+    preferences.originLocation = { name: record.origin_name, lat: record.origin_lat, lon: record.origin_lon };
+  }
+  if (record.image_analysis) {
+    preferences.photoAnalysis = {
+      imageCount: record.image_count,
+      imageSummary: record.image_summary,
+      imageAnalysis: record.image_analysis,
+      adjustmentSuccessful: record.image_adjusted
+    };
+  }
+  preferences.destinationRatings = record.destination_ratings || {};
+  return preferences;
+}
+
+/**
+ * Returns a destination's details for an API response: the stored fields plus the URL of its first
+ * image (`image_url`) instead of the nested images relation.
+ * @param {object} fullDetails - The destination as returned by storage.getDestinations().
+ * @returns {object} The destination without `images`, with `image_url`.
+ */
+function withDestinationDetails(fullDetails) {
+  // Extract image URL from the nested images relation
+  let imageUrl = null;
+  // Supabase returns related data as an array by default when using nested select
+  if (Array.isArray(fullDetails.images) && fullDetails.images.length > 0) {
+    imageUrl = fullDetails.images[0]?.public_url ?? null;
+  } else if (fullDetails.images && typeof fullDetails.images === 'object' && !Array.isArray(fullDetails.images)) {
+    // Fallback just in case it returns a single object
+    imageUrl = fullDetails.images.public_url ?? null;
+  }
+
+  // Create a copy without the 'images' property to avoid redundancy in output
+  const detailsWithoutImages = { ...fullDetails };
+  delete detailsWithoutImages.images;
+
+  return { ...detailsWithoutImages, image_url: imageUrl };
+}
+
+/**
+ * Builds the legacy destination_N_id / _confidence / _feedback columns for ranks 1-3.
+ * Only recommendations whose absolute rank falls into those slots are mapped.
+ * @param {object[]} recommendations - Detailed recommendations with rank and confidence.
+ * @returns {object} The column values to spread into the recommendations record.
+ */
+function buildLegacyDestinationColumns(recommendations) {
+  const columns = {};
+  for (let slot = 1; slot <= LEGACY_DESTINATION_SLOTS; slot++) {
+    const rec = recommendations.find(r => r.rank === slot);
+    columns[`destination_${slot}_id`] = rec?.id ?? null;
+    columns[`destination_${slot}_confidence`] = rec?.confidence ?? null;
+    columns[`destination_${slot}_feedback`] = null; // Keep feedback null initially
+  }
+  return columns;
+}
+
+/**
+ * Stores one recommendation_items row per recommended destination.
+ * @param {object} storage - The storage backend.
+ * @param {string} recommendationId - The parent recommendation record ID.
+ * @param {object[]} recommendations - Detailed recommendations with rank and confidence.
+ * @returns {Promise<object | null>} The storage error, or null on success.
+ */
+async function saveRecommendationItems(storage, recommendationId, recommendations) {
+  if (recommendations.length === 0) return null;
+
+  const items = recommendations.map(rec => ({
+    recommendation_id: recommendationId,
+    destination_id: rec.id,
+    rank: rec.rank,
+    confidence: rec.confidence,
+    feedback: null,
+  }));
+
+  const { error } = await storage.insertRecommendationItems(items);
+  if (error) {
+    // Log error but don't fail the request, the legacy columns still hold the top 3
+    console.error("Error inserting recommendation items:", error);
+    return error;
+  }
+  console.log(`Saved ${items.length} recommendation items for record ${recommendationId}.`);
+  return null;
+}
+
 // Use CommonJS exports for Node.js
 module.exports = {
   generateRecommendations,
+  withDestinationDetails,
+  recordToPreferences,
+  LEGACY_DESTINATION_SLOTS,
 };
\ No newline at end of file
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Scoring Configuration Service for Travolo
+ *
+ * Holds the versioned scoring configuration used by calculateRecommendations:
+ * - content.weights:               weights of the content factors (must sum to 1)
+ * - content.climateSigma:          steepness of the Gaussian climate curve (°C)
+ * - content.distanceThresholds:    shortest trip length (days) -> km before distance penalties apply
+ * - content.regionMismatchScore:   region score of destinations outside the preferred regions
+ * - content.budgetDistancePenalty: budget score lost per budget level of difference
+ * - hybrid:                        content/collaborative blend (must sum to 1)
+ * - adjustments.photoWeight:       multiplier of the photo-analysis deltas (0 ignores photos)
+ * - adjustments.photoMaxDelta:     largest change the photos may make to one theme score
+ * - adjustments.ratingsWeight:     multiplier of the rating (feedback) adjustments
+ *
+ * At startup the active configuration is loaded from, in order of precedence:
+ * 1. the active row of the scoring_configs table (the last hot-swap)
+ * 2. the file in SCORING_CONFIG_FILE
+ * 3. the built-in defaults (version 'default')
+ *
+ * Hot-swapping validates the new configuration, stores it as the active version and
+ * replaces the in-memory copy, so the next request is scored with it without a restart.
+ * Partial configurations are merged into the built-in defaults before validation.
+ *
+ * A/B experiment variants override content weights on top of the active configuration, so a
+ * configuration is only loaded or activated if every variant's merged weights still sum to 1.
+ */
+
+const fs = require('fs');
+const { DEFAULT_CONTENT_CONFIG, CONTENT_WEIGHTS } = require('../contentFiltering');
+const { HYBRID_WEIGHTS, DEFAULT_ADJUSTMENT_CONFIG } = require('../recommendationAlgorithm');
+const { validateSchema, rules } = require('./preferenceValidation');
+const { checkExperimentWeights } = require('./experimentService');
+const { getStorage } = require('./storage');
+
+const { numberInRange, nonEmptyString, objectOf, recordOf, required } = rules;
+
+// ====================
+// Constants
+// ====================
+
+const DEFAULT_SCORING_CONFIG = {
+  version: 'default',
+  description: 'Built-in defaults',
+  content: DEFAULT_CONTENT_CONFIG,
+  hybrid: HYBRID_WEIGHTS,
+  adjustments: DEFAULT_ADJUSTMENT_CONFIG
+};
+
+const weight = () => required(numberInRange([0, 1]));
+
+const SCORING_CONFIG_SCHEMA = {
+  version: required(nonEmptyString()),
+  description: (value, path, ctx) => {
+    if (typeof value !== 'string') ctx.errors.push({ path, message: 'must be a string' });
+    return value;
+  },
+  content: required(objectOf({
+    weights: required(objectOf(
+      Object.fromEntries(Object.keys(CONTENT_WEIGHTS).map(key => [key, weight()])),
+      { strict: true }
+    )),
+    climateSigma: required(numberInRange([0.5, 30])),
+    distanceThresholds: required(recordOf(numberInRange([0, 40000]))),
+    regionMismatchScore: required(numberInRange([0, 1])),
+    budgetDistancePenalty: required(numberInRange([0, 1]))
+  }, { strict: true })),
+  hybrid: required(objectOf({
+    content: weight(),
+    collaborative: weight()
+  }, { strict: true })),
+  adjustments: required(objectOf({
+    photoWeight: required(numberInRange([0, 2])),
+    photoMaxDelta: required(numberInRange([0, 3])),
+    ratingsWeight: required(numberInRange([0, 2]))
+  }, { strict: true }))
+};
+
+let activeConfig = DEFAULT_SCORING_CONFIG;
+let activeSource = 'defaults';
+
+// ====================
+// Helper Functions
+// ====================
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merges a partial configuration into the built-in defaults (objects are merged, everything else replaced).
+ * @param {object} base - The defaults.
+ * @param {object} overrides - The partial configuration.
+ * @returns {object} The merged configuration.
+ */
+function mergeConfig(base, overrides) {
+  if (!isPlainObject(overrides)) return overrides;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    // Distance thresholds are replaced as a whole, so a config can drop trip lengths
+    merged[key] = isPlainObject(value) && isPlainObject(base?.[key]) && key !== 'distanceThresholds'
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Checks the constraints that span several fields.
+ * @param {object} config - A configuration that passed the schema.
+ * @returns {{path: string, message: string}[]} The errors.
+ */
+function checkConsistency(config) {
+  const errors = [];
+  const sum = values => Object.values(values).reduce((total, value) => total + value, 0);
+
+  const contentSum = sum(config.content.weights);
+  if (Math.abs(contentSum - 1) > 1e-6) {
+    errors.push({ path: 'content.weights', message: `must sum to 1 (got ${Math.round(contentSum * 1e4) / 1e4})` });
+  }
+  const hybridSum = sum(config.hybrid);
+  if (Math.abs(hybridSum - 1) > 1e-6) {
+    errors.push({ path: 'hybrid', message: `must sum to 1 (got ${Math.round(hybridSum * 1e4) / 1e4})` });
+  }
+
+  const thresholdKeys = Object.keys(config.content.distanceThresholds);
+  if (thresholdKeys.length === 0) {
+    errors.push({ path: 'content.distanceThresholds', message: 'must define at least one trip length' });
+  }
+  thresholdKeys
+    .filter(days => !/^[1-9]\d*$/.test(days))
+    .forEach(days => errors.push({ path: `content.distanceThresholds.${days}`, message: 'trip length must be a positive whole number of days' }));
+  return errors;
+}
+
+// ==========================
+// Validation
+// ==========================
+
+/**
+ * Validates a (partial) scoring configuration.
+ * @param {object} config - The configuration; missing fields are taken from the defaults.
+ * @returns {{valid: boolean, errors: {path: string, message: string}[], value: object}}
+ *          `value` is the complete configuration.
+ */
+function validateScoringConfig(config) {
+  if (!isPlainObject(config)) {
+    return { valid: false, errors: [{ path: '', message: 'scoring config must be an object' }], value: config };
+  }
+  if (config.version === undefined) {
+    return { valid: false, errors: [{ path: 'version', message: 'is required' }], value: config };
+  }
+
+  const merged = mergeConfig({ ...DEFAULT_SCORING_CONFIG, description: undefined }, config);
+  const result = validateSchema(SCORING_CONFIG_SCHEMA, merged, { strict: true });
+  if (!result.valid) return result;
+
+  const errors = checkConsistency(result.value);
+  return { valid: errors.length === 0, errors, value: result.value };
+}
+
+// ==========================
+// Active Configuration
+// ==========================
+
+/**
+ * Returns the active scoring configuration.
+ * @returns {object} The configuration.
+ */
+function getScoringConfig() {
+  return activeConfig;
+}
+
+/**
+ * Returns where the active configuration was loaded from.
+ * @returns {'defaults' | 'file' | 'storage'} The source.
+ */
+function getScoringConfigSource() {
+  return activeSource;
+}
+
+/**
+ * Loads the active configuration from storage, SCORING_CONFIG_FILE or the defaults.
+ * @param {string} [filePath=process.env.SCORING_CONFIG_FILE] - Configuration file.
+ * @returns {Promise<object>} The loaded configuration.
+ * @throws {Error} If the stored config or the file is invalid.
+ */
+async function loadScoringConfig(filePath = process.env.SCORING_CONFIG_FILE) {
+  const { data: stored, error } = await getStorage().getActiveScoringConfig();
+  if (error) {
+    console.error("Error loading the stored scoring config, falling back to the file/defaults:", error);
+  }
+
+  if (stored) {
+    const validation = validateScoringConfig({ ...stored.config, version: stored.version });
+    if (!validation.valid) {
+      throw new Error(`Stored scoring config ${stored.version} is invalid: ${formatErrors(validation.errors)}`);
+    }
+    activeConfig = validation.value;
+    activeSource = 'storage';
+  } else if (filePath) {
+    const validation = validateScoringConfig(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    if (!validation.valid) {
+      throw new Error(`Scoring config file ${filePath} is invalid: ${formatErrors(validation.errors)}`);
+    }
+    activeConfig = validation.value;
+    activeSource = 'file';
+  } else {
+    activeConfig = DEFAULT_SCORING_CONFIG;
+    activeSource = 'defaults';
+  }
+
+  const experimentErrors = checkExperimentWeights(activeConfig);
+  if (experimentErrors.length > 0) {
+    throw new Error(`Experiments do not fit scoring config ${activeConfig.version}: ${experimentErrors.join('; ')}`);
+  }
+
+  console.log(`Using scoring config version ${activeConfig.version} (${activeSource}).`);
+  return activeConfig;
+}
+
+/**
+ * Validates, stores and activates a new scoring configuration.
+ * @param {object} config - The (partial) configuration with a new version.
+ * @returns {Promise<{data: object | null, errors: object[] | null, error: object | null}>}
+ *          The active configuration, the validation errors, or the storage error.
+ */
+async function activateScoringConfig(config) {
+  const validation = validateScoringConfig(config);
+  if (!validation.valid) return { data: null, errors: validation.errors, error: null };
+
+  // The experiments' weight overrides must still produce valid weights with the new configuration
+  const experimentErrors = checkExperimentWeights(validation.value);
+  if (experimentErrors.length > 0) {
+    return { data: null, errors: experimentErrors.map(message => ({ path: 'experiments', message })), error: null };
+  }
+
+  const { version, ...rest } = validation.value;
+  const { error } = await getStorage().insertScoringConfig({ version, config: rest, active: true });
+  if (error) return { data: null, errors: null, error };
+
+  activeConfig = validation.value;
+  activeSource = 'storage';
+  console.log(`Hot-swapped scoring config to version ${version}.`);
+  return { data: activeConfig, errors: null, error: null };
+}
+
+/**
+ * Returns a configuration by version: the active one, the built-in defaults or a stored version.
+ * Used to score "show more" pages with the version that produced the record.
+ * @param {string} version - The version.
+ * @returns {Promise<{data: object | null, error: object | null}>} The configuration (null if the version
+ *          does not exist), or the storage error.
+ */
+async function getScoringConfigVersion(version) {
+  if (version === activeConfig.version) return { data: activeConfig, error: null };
+  if (version === DEFAULT_SCORING_CONFIG.version) return { data: DEFAULT_SCORING_CONFIG, error: null };
+
+  const { data: rows, error } = await getStorage().listScoringConfigs();
+  if (error) return { data: null, error };
+  const stored = (rows || []).find(row => row.version === version);
+  if (!stored) return { data: null, error: null };
+
+  const validation = validateScoringConfig({ ...stored.config, version: stored.version });
+  if (!validation.valid) {
+    return { data: null, error: { message: `Stored scoring config ${version} is invalid: ${formatErrors(validation.errors)}` } };
+  }
+  return { data: validation.value, error: null };
+}
+
+/**
+ * Lists the stored configuration versions.
+ * @returns {Promise<{data: object[] | null, error: object | null}>} Rows of { version, active, created_at, config }.
+ */
+async function listScoringConfigVersions() {
+  return getStorage().listScoringConfigs();
+}
+
+/**
+ * Formats validation errors for log and exception messages.
+ * @param {{path: string, message: string}[]} errors - The errors.
+ * @returns {string} The formatted errors.
+ */
+function formatErrors(errors) {
+  return errors.map(e => `${e.path || '(root)'} ${e.message}`).join('; ');
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  getScoringConfig,
+  getScoringConfigSource,
+  loadScoringConfig,
+  activateScoringConfig,
+  getScoringConfigVersion,
+  listScoringConfigVersions,
+  validateScoringConfig,
+  DEFAULT_SCORING_CONFIG,
+};
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Similarity Service for Travolo
+ *
+ * Keeps the item_similarity rows used by collaborative filtering up to date with one of two engines:
+ * - 'rpc': calls the `refresh_item_similarity` database function (Supabase only)
+ * - 'js':  computes the matrix in-process from stored ratings and feedback (itemSimilarity.js)
+ *          and writes the rows back through the storage layer
+ *
+ * With the 'js' engine the model is kept in memory after the first full build, so a new or
+ * updated recommendation record only recomputes the neighbour lists it affects.
+ *
+ * Environment variables:
+ * - SIMILARITY_ENGINE: 'js' or 'rpc' (default 'js' for local storage, 'rpc' for Supabase)
+ * - SIMILARITY_METRIC: 'cosine' (default), 'adjusted_cosine' or 'jaccard'
+ * - SIMILARITY_MIN_SUPPORT: minimum number of co-rating users per pair (default 2)
+ * - SIMILARITY_TOP_K: neighbours kept per destination (default 20, 0 = all)
+ */
+
+const { buildSimilarityModel, extractRecordRatings, resolveSimilarityOptions } = require('../itemSimilarity');
+const { invalidateSimilarityCache } = require('../collaborativeFiltering');
+const { getStorage } = require('./storage');
+
+let similarityModel = null; // In-memory model for incremental updates ('js' engine)
+let activeOptions = null;   // Options the stored rows were computed with
+
+/**
+ * Returns the engine used to refresh the similarity matrix.
+ * @param {object} storage - The storage backend.
+ * @returns {'js' | 'rpc'} The engine.
+ */
+function getSimilarityEngine(storage = getStorage()) {
+  return process.env.SIMILARITY_ENGINE || (storage.name === 'local' ? 'js' : 'rpc');
+}
+
+/**
+ * Reads the similarity options from the environment, applying any overrides.
+ * @param {object} [overrides] - metric, minSupport and/or topK.
+ * @returns {{metric: string, minSupport: number, topK: number}} The options.
+ */
+function getSimilarityOptions(overrides = {}) {
+  const fromEnv = {
+    metric: process.env.SIMILARITY_METRIC,
+    minSupport: process.env.SIMILARITY_MIN_SUPPORT !== undefined ? Number(process.env.SIMILARITY_MIN_SUPPORT) : undefined,
+    topK: process.env.SIMILARITY_TOP_K !== undefined ? Number(process.env.SIMILARITY_TOP_K) : undefined
+  };
+  return resolveSimilarityOptions({ ...fromEnv, ...overrides });
+}
+
+/**
+ * Rebuilds the whole similarity matrix in-process and replaces the stored rows.
+ * @param {object} [overrides] - metric, minSupport and/or topK for this build.
+ * @returns {Promise<{data: object | null, error: object | null}>} Build statistics or the error.
+ */
+async function rebuildItemSimilarity(overrides = {}) {
+  const storage = getStorage();
+  const options = getSimilarityOptions(overrides);
+
+  const { data: records, error: recordsError } = await storage.listRecommendations();
+  if (recordsError) return { data: null, error: recordsError };
+
+  const { data: items, error: itemsError } = await storage.listRecommendationItems({ feedbackOnly: true });
+  if (itemsError) return { data: null, error: itemsError };
+
+  const model = buildSimilarityModel(records || [], items || []);
+  const rows = model.getSimilarityRows(options);
+
+  const { error: replaceError } = await storage.replaceItemSimilarity(rows);
+  if (replaceError) return { data: null, error: replaceError };
+
+  similarityModel = model;
+  activeOptions = options;
+  invalidateSimilarityCache();
+
+  console.log(`Rebuilt item similarity (${options.metric}) from ${model.userCount} records: ${rows.length} rows for ${model.itemCount} destinations.`);
+  return {
+    data: { engine: 'js', ...options, records: model.userCount, destinations: model.itemCount, rows: rows.length },
+    error: null
+  };
+}
+
+/**
+ * Refreshes the similarity matrix with the configured engine.
+ * @param {object} [overrides] - metric, minSupport and/or topK (only used by the 'js' engine).
+ * @returns {Promise<{data: object | null, error: object | null}>} The result.
+ */
+async function refreshItemSimilarity(overrides = {}) {
+  const storage = getStorage();
+  if (getSimilarityEngine(storage) === 'rpc') {
+    const { error } = await storage.refreshItemSimilarity();
+    if (!error) invalidateSimilarityCache();
+    return { data: error ? null : { engine: 'rpc' }, error };
+  }
+  return rebuildItemSimilarity(overrides);
+}
+
+/**
+ * Applies a new or changed recommendation record (new ratings or feedback) to the similarity matrix.
+ * With the 'js' engine only the affected neighbour lists are recomputed and written.
+ * @param {string} recommendationId - The recommendation record ID.
+ * @returns {Promise<{data: object | null, error: object | null}>} The result.
+ */
+async function applyRecommendationRecord(recommendationId) {
+  const storage = getStorage();
+  if (getSimilarityEngine(storage) === 'rpc' || !similarityModel) {
+    // No model to update incrementally yet: do a full refresh
+    return refreshItemSimilarity();
+  }
+
+  const { data: record, error: recordError } = await storage.getRecommendation(recommendationId);
+  if (recordError) return { data: null, error: recordError };
+
+  const { data: items, error: itemsError } = await storage.getRecommendationItems(recommendationId);
+  if (itemsError) return { data: null, error: itemsError };
+
+  const affected = similarityModel.upsertUser(recommendationId, extractRecordRatings(record, items || []));
+  if (affected.size === 0) {
+    return { data: { engine: 'js', incremental: true, affectedDestinations: 0, rows: 0 }, error: null };
+  }
+
+  const rows = similarityModel.getSimilarityRows(activeOptions, affected);
+  const { error: replaceError } = await storage.replaceItemSimilarity(rows, { itemIds: affected });
+  if (replaceError) return { data: null, error: replaceError };
+
+  invalidateSimilarityCache();
+  console.log(`Incrementally updated item similarity for ${affected.size} destinations (${rows.length} rows).`);
+  return { data: { engine: 'js', incremental: true, affectedDestinations: affected.size, rows: rows.length }, error: null };
+}
+
+/**
+ * Returns the stored neighbours of one destination, most similar first.
+ * @param {string} destinationId - The destination ID.
+ * @returns {Promise<{data: object[] | null, error: object | null}>} Rows of { neighbour_id, sim }.
+ */
+async function getNeighbours(destinationId) {
+  const { data, error } = await getStorage().getItemSimilarity({ itemId: destinationId });
+  if (error) return { data: null, error };
+  const neighbours = (data || [])
+    .map(row => ({ neighbour_id: row.neighbour_id, sim: row.sim }))
+    .sort((a, b) => b.sim - a.sim);
+  return { data: neighbours, error: null };
+}
+
+module.exports = {
+  refreshItemSimilarity,
+  rebuildItemSimilarity,
+  applyRecommendationRecord,
+  getNeighbours,
+  getSimilarityEngine,
+  getSimilarityOptions,
+};
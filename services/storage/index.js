@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Storage layer entry point for Travolo
+ *
+ * Selects the storage backend from the environment and hands out a single shared
+ * instance. Every backend implements the same repository interface, and every
+ * method resolves to a Supabase-style `{ data, error }` pair:
+ *
+ * Destinations
+ * - getDestinations({ ids })          -> all destinations (or only those of `ids`), each with `images: [{ public_url }]`
+ * - getRandomDestinations(limit)      -> up to `limit` random destinations
+ * - getDestination(id)                -> one destination (error code 'PGRST116' if missing)
+ * - insertDestination(record)         -> the inserted row (error code '23505' if the id exists)
+ * - updateDestination(id, patch)      -> the updated row, or null if none matched
+ * - upsertDestinations(records)      -> the written rows; rows whose id exists are updated, the others inserted,
+ *                                        all in one write (nothing is written on error)
+ * - deleteDestination(id)             -> `{ id }` of the deleted row, or null if none matched
+ *                                        (error code '23503' while recommendations or feedback reference it)
+ * Destination feedback
+ * - insertDestinationFeedback(record) -> the inserted row
+ * Recommendations
+ * - insertRecommendation(record)      -> `{ id }` of the inserted row
+ * - getRecommendation(id)             -> the full row (error code 'PGRST116' if missing)
+ * - listRecommendations({ userId, limit, offset }) -> all rows (optionally only those of one user), oldest first;
+ *                                        with a limit one page of rows, newest first, and `count` (all matching rows)
+ * - updateRecommendation(id, patch)   -> `{ id }` of the updated row, or null if none matched
+ * Recommendation items (one row per recommended destination: rank, confidence, feedback)
+ * - insertRecommendationItems(items)  -> the inserted rows
+ * - getRecommendationItems(recId)     -> the rows of one recommendation record, ordered by rank
+ * - listRecommendationItems({ feedbackOnly, recommendationIds }) -> all rows (optionally only those with
+ *                                        feedback and/or of the given recommendation records)
+ * - updateRecommendationItem(id, patch) -> `{ id }` of the updated row, or null if none matched
+ * Item similarity
+ * - getItemSimilarity({ itemId })     -> rows of `{ item_id, neighbour_id, sim }` (optionally of one item)
+ * - replaceItemSimilarity(rows, { itemIds }) -> replaces all rows (or only those of `itemIds`); on error the
+ *                                        previous rows stay readable (one row per item_id/neighbour_id pair)
+ * - refreshItemSimilarity()           -> recomputes the rows with the database function (Supabase only)
+ * Scoring configurations (versioned; at most one row is active)
+ * - listScoringConfigs()              -> all rows of `{ id, version, config, active, created_at }`, oldest first
+ * - getActiveScoringConfig()          -> the active row, or null if none was stored
+ * - insertScoringConfig(record)       -> the inserted row; an active record deactivates all others (error code
+ *                                        '23505' if the version exists, in which case nothing changes)
+ * User profiles (a user or session identity with a stored preference profile)
+ * - insertUserProfile(record)         -> the inserted row (error code '23505' if the id exists)
+ * - getUserProfile(id)                -> one profile (error code 'PGRST116' if missing)
+ * - updateUserProfile(id, patch)      -> the updated row, or null if none matched
+ *
+ * Environment variables:
+ * - STORAGE_BACKEND: 'supabase' (default) or 'local'
+ * - SUPABASE_URL, SUPABASE_KEY, SUPABASE_SERVICE_ROLE_KEY: used by the Supabase backend
+ * - LOCAL_DESTINATIONS_FILE: destination seed file for the local backend (default ExampleDestination.json)
+ * - LOCAL_DATA_FILE: optional JSON file the local backend loads from and persists to
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { createSupabaseStorage } = require('./supabaseStorage');
+const { createLocalStorage } = require('./localStorage');
+
+let storageInstance = null;
+
+/**
+ * Creates a storage backend by name.
+ * @param {string} [backend='supabase'] - 'supabase' or 'local'.
+ * @returns {object} The storage backend.
+ */
+function createStorage(backend = 'supabase') {
+  switch (backend) {
+    case 'supabase':
+      return createSupabaseStorage({
+        url: process.env.SUPABASE_URL,
+        key: process.env.SUPABASE_KEY,
+        serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+      });
+    case 'local':
+      return createLocalStorage({
+        destinationsFile: process.env.LOCAL_DESTINATIONS_FILE || path.join(__dirname, '..', '..', 'ExampleDestination.json'),
+        dataFile: process.env.LOCAL_DATA_FILE,
+      });
+    default:
+      throw new Error(`Unknown storage backend '${backend}'. Use 'supabase' or 'local'.`);
+  }
+}
+
+/**
+ * Returns the shared storage backend, creating it from STORAGE_BACKEND on first use.
+ * @returns {object} The storage backend.
+ */
+function getStorage() {
+  if (!storageInstance) {
+    storageInstance = createStorage(process.env.STORAGE_BACKEND || 'supabase');
+    console.log(`Using '${storageInstance.name}' storage backend.`);
+  }
+  return storageInstance;
+}
+
+/**
+ * Replaces the shared storage backend (e.g. to run against a seeded local catalog).
+ * @param {object} storage - A storage backend implementing the interface above.
+ */
+function setStorage(storage) {
+  storageInstance = storage;
+}
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createStorage,
+  createSupabaseStorage,
+  createLocalStorage,
+};
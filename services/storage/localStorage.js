@@ -0,0 +1,317 @@
+/**
+ * @fileoverview In-memory / JSON-file storage backend for Travolo
+ *
+ * Implements the same interface as the Supabase backend so the whole API can
+ * run offline. Destinations are seeded from a file shaped like
+ * ExampleDestination.json (a single destination object or an array of them).
+ * Everything else (recommendations, feedback, similarity rows) lives in memory
+ * and is optionally written back to a JSON data file after every change.
+ *
+ * Errors mirror the PostgREST codes the routes already check for:
+ * - 'PGRST116' when a single row was requested but not found
+ * - '23503' when a foreign key (e.g. destination_id) does not exist
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const COLLECTIONS = ['destinations', 'recommendations', 'recommendation_items', 'destination_feedback', 'item_similarity',
+  'scoring_configs', 'user_profiles'];
+
+/**
+ * Reads and parses a JSON file, returning null if it does not exist.
+ * @param {string} filePath - Path to the JSON file.
+ * @returns {any | null} The parsed content or null.
+ */
+function readJsonFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Builds the "row not found" error returned by `.single()` lookups.
+ * @param {string} table - The collection name.
+ * @param {string} id - The requested id.
+ * @returns {{message: string, code: string}}
+ */
+function notFoundError(table, id) {
+  return { message: `No row in '${table}' with id ${id}.`, code: 'PGRST116' };
+}
+
+/**
+ * Shapes a stored destination like the Supabase `*, images ( public_url )` select.
+ * @param {object} destination - The stored destination.
+ * @returns {object} The destination with an `images` array.
+ */
+function withImages(destination) {
+  if (Array.isArray(destination.images)) return { ...destination };
+  const images = destination.image_url ? [{ public_url: destination.image_url }] : [];
+  return { ...destination, images };
+}
+
+/**
+ * Creates a storage backend that keeps all data in memory.
+ * @param {object} [options]
+ * @param {string} [options.destinationsFile] - JSON file with one destination or an array of destinations.
+ * @param {string} [options.dataFile] - JSON file used to load and persist all collections between restarts.
+ * @param {object} [options.initialData] - Collections to start from instead of the data file (never persisted
+ *                                         unless a dataFile is also given), e.g. an evaluation fixture.
+ * @returns {object} The storage backend.
+ */
+function createLocalStorage({ destinationsFile, dataFile, initialData } = {}) {
+  const db = {};
+  COLLECTIONS.forEach(name => { db[name] = []; });
+
+  // Load previously persisted data first, then seed destinations if none were persisted
+  const persisted = initialData ? JSON.parse(JSON.stringify(initialData)) : readJsonFile(dataFile);
+  if (persisted) {
+    COLLECTIONS.forEach(name => {
+      if (Array.isArray(persisted[name])) db[name] = persisted[name];
+    });
+  }
+  if (db.destinations.length === 0) {
+    const seed = readJsonFile(destinationsFile);
+    if (seed) {
+      db.destinations = Array.isArray(seed) ? seed : [seed];
+    } else if (destinationsFile) {
+      console.warn(`Local destinations file not found: ${destinationsFile}`);
+    }
+  }
+  console.log(`Local storage loaded ${db.destinations.length} destinations.`);
+
+  /**
+   * Writes all collections to the data file, if one is configured.
+   */
+  async function persist() {
+    if (!dataFile) return;
+    await fs.promises.mkdir(path.dirname(dataFile), { recursive: true });
+    await fs.promises.writeFile(dataFile, JSON.stringify(db, null, 2));
+  }
+
+  return {
+    name: 'local',
+
+    // --- Destinations ---
+    async getDestinations({ ids = null } = {}) {
+      const rows = ids === null ? db.destinations : db.destinations.filter(d => ids.includes(d.id));
+      return { data: rows.map(withImages), error: null };
+    },
+
+    async getRandomDestinations(limit) {
+      // Fisher-Yates shuffle on a copy, then take the first `limit`
+      const shuffled = [...db.destinations];
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      return { data: shuffled.slice(0, limit), error: null };
+    },
+
+    async getDestination(id) {
+      const row = db.destinations.find(d => d.id === id);
+      if (!row) return { data: null, error: notFoundError('destinations', id) };
+      return { data: withImages(row), error: null };
+    },
+
+    async insertDestination(record) {
+      if (record.id && db.destinations.some(d => d.id === record.id)) {
+        return { data: null, error: { message: `Destination ${record.id} already exists.`, code: '23505' } };
+      }
+      const row = { ...record, id: record.id || crypto.randomUUID(), created_at: new Date().toISOString() };
+      db.destinations.push(row);
+      await persist();
+      return { data: withImages(row), error: null };
+    },
+
+    async updateDestination(id, patch) {
+      const row = db.destinations.find(d => d.id === id);
+      if (!row) return { data: null, error: null };
+      Object.assign(row, patch);
+      await persist();
+      return { data: withImages(row), error: null };
+    },
+
+    async upsertDestinations(records) {
+      const rows = records.map(record => {
+        const existing = db.destinations.find(d => d.id === record.id);
+        if (existing) return Object.assign(existing, record);
+
+        const row = { ...record, id: record.id || crypto.randomUUID(), created_at: new Date().toISOString() };
+        db.destinations.push(row);
+        return row;
+      });
+      await persist();
+      return { data: rows.map(withImages), error: null };
+    },
+
+    async deleteDestination(id) {
+      const index = db.destinations.findIndex(d => d.id === id);
+      if (index === -1) return { data: null, error: null };
+
+      // Mirror the foreign keys of recommendation_items, destination_feedback and the legacy columns
+      const referenced = db.recommendation_items.some(item => item.destination_id === id) ||
+        db.destination_feedback.some(row => row.destination_id === id) ||
+        db.recommendations.some(r => [1, 2, 3].some(slot => r[`destination_${slot}_id`] === id));
+      if (referenced) {
+        return { data: null, error: { message: `Destination ${id} is still referenced by recommendations or feedback.`, code: '23503' } };
+      }
+
+      db.destinations.splice(index, 1);
+      await persist();
+      return { data: { id }, error: null };
+    },
+
+    // --- Destination feedback ---
+    async insertDestinationFeedback(record) {
+      if (!db.destinations.some(d => d.id === record.destination_id)) {
+        return { data: null, error: { message: `Destination ${record.destination_id} does not exist.`, code: '23503' } };
+      }
+      const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...record };
+      db.destination_feedback.push(row);
+      await persist();
+      return { data: row, error: null };
+    },
+
+    // --- Recommendations ---
+    async insertRecommendation(record) {
+      const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...record };
+      db.recommendations.push(row);
+      await persist();
+      return { data: { id: row.id }, error: null };
+    },
+
+    async getRecommendation(id) {
+      const row = db.recommendations.find(r => r.id === id);
+      if (!row) return { data: null, error: notFoundError('recommendations', id) };
+      return { data: { ...row }, error: null };
+    },
+
+    async listRecommendations({ userId = null, limit = null, offset = 0 } = {}) {
+      const rows = db.recommendations
+        .filter(row => userId === null || row.user_id === userId)
+        .map(row => ({ ...row }));
+      if (limit === null) return { data: rows, error: null };
+
+      const newestFirst = rows.sort((a, b) =>
+        (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0) || (a.id < b.id ? 1 : -1));
+      return { data: newestFirst.slice(offset, offset + limit), count: rows.length, error: null };
+    },
+
+    async updateRecommendation(id, patch) {
+      const row = db.recommendations.find(r => r.id === id);
+      if (!row) return { data: null, error: null }; // Same as an UPDATE matching no rows
+      Object.assign(row, patch);
+      await persist();
+      return { data: { id: row.id }, error: null };
+    },
+
+    // --- Recommendation items ---
+    async insertRecommendationItems(items) {
+      if (items.some(item => !db.recommendations.some(r => r.id === item.recommendation_id))) {
+        return { data: null, error: { message: 'Referenced recommendation does not exist.', code: '23503' } };
+      }
+      const rows = items.map(item => ({ id: crypto.randomUUID(), created_at: new Date().toISOString(), ...item }));
+      db.recommendation_items.push(...rows);
+      await persist();
+      return { data: rows.map(row => ({ ...row })), error: null };
+    },
+
+    async getRecommendationItems(recommendationId) {
+      const rows = db.recommendation_items
+        .filter(item => item.recommendation_id === recommendationId)
+        .sort((a, b) => a.rank - b.rank)
+        .map(item => ({ ...item }));
+      return { data: rows, error: null };
+    },
+
+    async listRecommendationItems({ feedbackOnly = false, recommendationIds = null } = {}) {
+      const included = recommendationIds ? new Set(recommendationIds) : null;
+      const rows = db.recommendation_items
+        .filter(item => !feedbackOnly || item.feedback != null)
+        .filter(item => !included || included.has(item.recommendation_id))
+        .map(item => ({ ...item }));
+      return { data: rows, error: null };
+    },
+
+    async updateRecommendationItem(id, patch) {
+      const row = db.recommendation_items.find(item => item.id === id);
+      if (!row) return { data: null, error: null };
+      Object.assign(row, patch);
+      await persist();
+      return { data: { id: row.id }, error: null };
+    },
+
+    // --- Item similarity ---
+    async getItemSimilarity({ itemId = null } = {}) {
+      const rows = db.item_similarity.filter(row => itemId === null || row.item_id === itemId);
+      return { data: rows.map(row => ({ ...row })), error: null };
+    },
+
+    async replaceItemSimilarity(rows, { itemIds = null } = {}) {
+      const replaced = itemIds ? new Set(itemIds) : null;
+      db.item_similarity = replaced
+        ? db.item_similarity.filter(row => !replaced.has(row.item_id))
+        : [];
+      db.item_similarity.push(...rows.map(({ item_id, neighbour_id, sim }) => ({ item_id, neighbour_id, sim })));
+      await persist();
+      return { data: { count: rows.length }, error: null };
+    },
+
+    async refreshItemSimilarity() {
+      // There is no SQL function to run locally; use the in-process engine (services/similarityService.js)
+      return { data: null, error: { message: "refresh_item_similarity is not available in local storage.", code: 'NOT_SUPPORTED' } };
+    },
+
+    // --- Scoring configurations ---
+    async listScoringConfigs() {
+      return { data: db.scoring_configs.map(row => ({ ...row })), error: null };
+    },
+
+    async getActiveScoringConfig() {
+      const row = db.scoring_configs.find(r => r.active);
+      return { data: row ? { ...row } : null, error: null };
+    },
+
+    async insertScoringConfig(record) {
+      if (db.scoring_configs.some(r => r.version === record.version)) {
+        return { data: null, error: { message: `Scoring config version ${record.version} already exists.`, code: '23505' } };
+      }
+      if (record.active) db.scoring_configs.forEach(r => { r.active = false; });
+      const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...record };
+      db.scoring_configs.push(row);
+      await persist();
+      return { data: { ...row }, error: null };
+    },
+
+    // --- User profiles ---
+    async insertUserProfile(record) {
+      if (record.id && db.user_profiles.some(u => u.id === record.id)) {
+        return { data: null, error: { message: `User ${record.id} already exists.`, code: '23505' } };
+      }
+      const now = new Date().toISOString();
+      const row = { ...record, id: record.id || crypto.randomUUID(), created_at: now, updated_at: now };
+      db.user_profiles.push(row);
+      await persist();
+      return { data: { ...row }, error: null };
+    },
+
+    async getUserProfile(id) {
+      const row = db.user_profiles.find(u => u.id === id);
+      if (!row) return { data: null, error: notFoundError('user_profiles', id) };
+      return { data: { ...row }, error: null };
+    },
+
+    async updateUserProfile(id, patch) {
+      const row = db.user_profiles.find(u => u.id === id);
+      if (!row) return { data: null, error: null };
+      Object.assign(row, patch, { updated_at: new Date().toISOString() });
+      await persist();
+      return { data: { ...row }, error: null };
+    },
+  };
+}
+
+module.exports = {
+  createLocalStorage,
+};
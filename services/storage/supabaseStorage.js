@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Supabase storage backend for Travolo
+ *
+ * Wraps every table and RPC the backend touches behind the storage interface
+ * described in ./index.js. Each method resolves to the usual Supabase
+ * `{ data, error }` pair so callers can keep their existing error handling
+ * (e.g. checking `error.code === 'PGRST116'` for "row not found").
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Rows per request when reading whole tables; PostgREST silently caps a response at 1000 rows by default
+const PAGE_SIZE = 1000;
+
+// Ids per `in` filter; the ids travel in the URL of a GET request, which servers and proxies cap in length
+// (often at 8 KB; 100 UUIDs take about 4 KB)
+const ID_CHUNK_SIZE = 100;
+
+/**
+ * Reads every row of a query page by page.
+ * @param {function(): object} buildQuery - Builds the (ordered) query; called once per page, so the order
+ *        must be total for pages not to overlap.
+ * @returns {Promise<{data: object[] | null, error: object | null}>} All rows, or the first error.
+ */
+async function selectAllPages(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) return { data: null, error };
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return { data: rows, error: null };
+  }
+}
+
+/**
+ * Reads every row of a query filtered by a list of ids, a chunk of ids at a time.
+ * @param {string[]} ids - The ids to filter by.
+ * @param {function(string[]): object} buildQuery - Builds the (ordered) query for one chunk of ids.
+ * @returns {Promise<{data: object[] | null, error: object | null}>} The rows of all chunks, or the first error.
+ */
+async function selectByIdChunks(ids, buildQuery) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + ID_CHUNK_SIZE);
+    const { data, error } = await selectAllPages(() => buildQuery(chunk));
+    if (error) return { data: null, error };
+    rows.push(...data);
+  }
+  return { data: rows, error: null };
+}
+
+/**
+ * Creates a storage backend that talks to a Supabase project.
+ * @param {object} options
+ * @param {string} options.url - The Supabase project URL.
+ * @param {string} options.key - The public (anon) key.
+ * @param {string} [options.serviceRoleKey] - The service role key, required for refreshing the similarity matrix.
+ * @returns {object} The storage backend.
+ */
+function createSupabaseStorage({ url, key, serviceRoleKey }) {
+  if (!url || !key) {
+    throw new Error("Supabase URL or Key not provided.");
+  }
+
+  /** @type {import('@supabase/supabase-js').SupabaseClient} */
+  const supabase = createClient(url, key);
+  let supabaseAdmin = null; // Created lazily, only needed for admin RPCs
+
+  if (!serviceRoleKey) {
+    console.warn("Supabase Service Role Key not provided. Similarity matrix refresh will be skipped.");
+  }
+
+  return {
+    name: 'supabase',
+
+    // --- Destinations ---
+    async getDestinations({ ids = null } = {}) {
+      const query = () => supabase
+        .from('destinations')
+        .select(`
+          *,
+          images ( public_url )
+        `);
+      if (ids !== null) {
+        return selectByIdChunks(ids, chunk => query().in('id', chunk).order('id', { ascending: true }));
+      }
+      return selectAllPages(() => query().order('id', { ascending: true }));
+    },
+
+    async getRandomDestinations(limit) {
+      return supabase.rpc('get_random_destinations', { limit_count: limit });
+    },
+
+    async getDestination(id) {
+      return supabase
+        .from('destinations')
+        .select(`
+          *,
+          images ( public_url )
+        `)
+        .eq('id', id)
+        .single();
+    },
+
+    async insertDestination(record) {
+      return supabase
+        .from('destinations')
+        .insert([record])
+        .select()
+        .single();
+    },
+
+    async updateDestination(id, patch) {
+      const { data, error } = await supabase
+        .from('destinations')
+        .update(patch)
+        .eq('id', id)
+        .select();
+      return { data: data ? data[0] ?? null : null, error };
+    },
+
+    async upsertDestinations(records) {
+      // One statement, so the rows are written together or not at all; columns a row leaves out keep
+      // their stored value (updates) or the column default (inserts)
+      return supabase
+        .from('destinations')
+        .upsert(records, { onConflict: 'id', defaultToNull: false })
+        .select();
+    },
+
+    async deleteDestination(id) {
+      const { data, error } = await supabase
+        .from('destinations')
+        .delete()
+        .eq('id', id)
+        .select('id');
+      return { data: data ? data[0] ?? null : null, error };
+    },
+
+    // --- Destination feedback ---
+    async insertDestinationFeedback(record) {
+      const { data, error } = await supabase
+        .from('destination_feedback')
+        .insert([record])
+        .select();
+      return { data: data ? data[0] : null, error };
+    },
+
+    // --- Recommendations ---
+    async insertRecommendation(record) {
+      return supabase
+        .from('recommendations')
+        .insert([record])
+        .select('id')
+        .single();
+    },
+
+    async getRecommendation(id) {
+      return supabase
+        .from('recommendations')
+        .select('*')
+        .eq('id', id)
+        .single();
+    },
+
+    async listRecommendations({ userId = null, limit = null, offset = 0 } = {}) {
+      if (limit !== null) {
+        const byUser = query => (userId !== null ? query.eq('user_id', userId) : query);
+        const page = await byUser(supabase.from('recommendations').select('*', { count: 'exact' }))
+          .order('created_at', { ascending: false })
+          .order('id', { ascending: false })
+          .range(offset, offset + limit - 1);
+        if (page.error?.code !== 'PGRST103') return page;
+
+        // An offset past the last row is a range error in PostgREST; answer it as an empty page
+        const { count, error } = await byUser(supabase.from('recommendations').select('id', { count: 'exact', head: true }));
+        return { data: error ? null : [], count, error };
+      }
+      return selectAllPages(() => {
+        let query = supabase.from('recommendations').select('*');
+        if (userId !== null) query = query.eq('user_id', userId);
+        return query.order('created_at', { ascending: true }).order('id', { ascending: true });
+      });
+    },
+
+    async updateRecommendation(id, patch) {
+      const { data, error } = await supabase
+        .from('recommendations')
+        .update(patch)
+        .eq('id', id)
+        .select('id');
+      return { data: data ? data[0] ?? null : null, error };
+    },
+
+    // --- Recommendation items ---
+    async insertRecommendationItems(items) {
+      return supabase
+        .from('recommendation_items')
+        .insert(items)
+        .select();
+    },
+
+    async getRecommendationItems(recommendationId) {
+      return supabase
+        .from('recommendation_items')
+        .select('*')
+        .eq('recommendation_id', recommendationId)
+        .order('rank', { ascending: true });
+    },
+
+    async listRecommendationItems({ feedbackOnly = false, recommendationIds = null } = {}) {
+      const query = () => {
+        const items = supabase.from('recommendation_items').select('*');
+        return feedbackOnly ? items.not('feedback', 'is', null) : items;
+      };
+      if (recommendationIds) {
+        return selectByIdChunks(recommendationIds,
+          chunk => query().in('recommendation_id', chunk).order('id', { ascending: true }));
+      }
+      return selectAllPages(() => query().order('id', { ascending: true }));
+    },
+
+    async updateRecommendationItem(id, patch) {
+      const { data, error } = await supabase
+        .from('recommendation_items')
+        .update(patch)
+        .eq('id', id)
+        .select('id');
+      return { data: data ? data[0] ?? null : null, error };
+    },
+
+    // --- Item similarity ---
+    async getItemSimilarity({ itemId = null } = {}) {
+      return selectAllPages(() => {
+        let query = supabase.from('item_similarity').select('item_id, neighbour_id, sim');
+        if (itemId !== null) query = query.eq('item_id', itemId);
+        return query.order('item_id', { ascending: true }).order('neighbour_id', { ascending: true });
+      });
+    },
+
+    async replaceItemSimilarity(rows, { itemIds = null } = {}) {
+      if (!serviceRoleKey) {
+        return { data: null, error: { message: "SUPABASE_SERVICE_ROLE_KEY is missing.", code: 'NO_SERVICE_ROLE' } };
+      }
+      if (!supabaseAdmin) {
+        supabaseAdmin = createClient(url, serviceRoleKey);
+      }
+
+      // Write the new rows first (upsert by pair, in chunks to stay below request size limits), then delete
+      // the pairs they no longer contain: a failed write leaves a complete, if partly outdated, index behind
+      // instead of an empty or partial one
+      for (let i = 0; i < rows.length; i += PAGE_SIZE) {
+        const chunk = rows.slice(i, i + PAGE_SIZE)
+          .map(({ item_id, neighbour_id, sim }) => ({ item_id, neighbour_id, sim }));
+        const { error: upsertError } = await supabaseAdmin
+          .from('item_similarity')
+          .upsert(chunk, { onConflict: 'item_id,neighbour_id' });
+        if (upsertError) return { data: null, error: upsertError };
+      }
+
+      // The stored pairs of the replaced neighbour lists (all of them unless itemIds is given)
+      const storedQuery = () => supabaseAdmin.from('item_similarity').select('item_id, neighbour_id');
+      const byPair = query => query.order('item_id', { ascending: true }).order('neighbour_id', { ascending: true });
+      const { data: stored, error: storedError } = itemIds
+        ? await selectByIdChunks([...itemIds], chunk => byPair(storedQuery().in('item_id', chunk)))
+        : await selectAllPages(() => byPair(storedQuery()));
+      if (storedError) return { data: null, error: storedError };
+
+      const kept = new Set(rows.map(row => `${row.item_id}|${row.neighbour_id}`));
+      const staleByItem = new Map();
+      for (const row of stored) {
+        if (kept.has(`${row.item_id}|${row.neighbour_id}`)) continue;
+        if (!staleByItem.has(row.item_id)) staleByItem.set(row.item_id, []);
+        staleByItem.get(row.item_id).push(row.neighbour_id);
+      }
+      for (const [itemId, neighbourIds] of staleByItem) {
+        for (let i = 0; i < neighbourIds.length; i += ID_CHUNK_SIZE) {
+          const { error: deleteError } = await supabaseAdmin
+            .from('item_similarity')
+            .delete()
+            .eq('item_id', itemId)
+            .in('neighbour_id', neighbourIds.slice(i, i + ID_CHUNK_SIZE));
+          if (deleteError) return { data: null, error: deleteError };
+        }
+      }
+      return { data: { count: rows.length }, error: null };
+    },
+
+    async refreshItemSimilarity() {
+      if (!serviceRoleKey) {
+        return { data: null, error: { message: "SUPABASE_SERVICE_ROLE_KEY is missing.", code: 'NO_SERVICE_ROLE' } };
+      }
+      if (!supabaseAdmin) {
+        supabaseAdmin = createClient(url, serviceRoleKey);
+      }
+      return supabaseAdmin.rpc('refresh_item_similarity');
+    },
+
+    // --- Scoring configurations ---
+    async listScoringConfigs() {
+      return supabase
+        .from('scoring_configs')
+        .select('*')
+        .order('created_at', { ascending: true });
+    },
+
+    async getActiveScoringConfig() {
+      return supabase
+        .from('scoring_configs')
+        .select('*')
+        .eq('active', true)
+        .maybeSingle();
+    },
+
+    async insertScoringConfig(record) {
+      // A duplicate version must fail before anything is deactivated (same error as the unique constraint)
+      const { data: existing, error: lookupError } = await supabase
+        .from('scoring_configs')
+        .select('id')
+        .eq('version', record.version)
+        .maybeSingle();
+      if (lookupError) return { data: null, error: lookupError };
+      if (existing) {
+        return { data: null, error: { message: `Scoring config version ${record.version} already exists.`, code: '23505' } };
+      }
+
+      let deactivated = [];
+      if (record.active) {
+        const { data, error: deactivateError } = await supabase
+          .from('scoring_configs')
+          .update({ active: false })
+          .eq('active', true)
+          .select('id');
+        if (deactivateError) return { data: null, error: deactivateError };
+        deactivated = (data || []).map(row => row.id);
+      }
+
+      const result = await supabase
+        .from('scoring_configs')
+        .insert([record])
+        .select()
+        .single();
+
+      // Keep the previous version active if the new one could not be stored
+      if (result.error && deactivated.length > 0) {
+        const { error: restoreError } = await supabase
+          .from('scoring_configs')
+          .update({ active: true })
+          .in('id', deactivated);
+        if (restoreError) console.error("Failed to reactivate the previous scoring config:", restoreError.message);
+      }
+      return result;
+    },
+
+    // --- User profiles ---
+    async insertUserProfile(record) {
+      return supabase
+        .from('user_profiles')
+        .insert([record])
+        .select()
+        .single();
+    },
+
+    async getUserProfile(id) {
+      return supabase
+        .from('user_profiles')
+        .select('*')
+        .eq('id', id)
+        .single();
+    },
+
+    async updateUserProfile(id, patch) {
+      const { data, error } = await supabase
+        .from('user_profiles')
+        .update({ ...patch, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select();
+      return { data: data ? data[0] ?? null : null, error };
+    },
+  };
+}
+
+module.exports = {
+  createSupabaseStorage,
+};
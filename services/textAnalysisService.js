@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Text Analysis Service for Travolo
+ *
+ * Turns a free-text trip description into preference changes, for users who would rather type
+ * "a quiet beach escape in October from Zurich, not too pricey" than set nine sliders:
+ * - theme deltas in the same shape as the image analysis (`textAnalysis` next to `imageAnalysis`)
+ * - trip details for the profile: travelMonths, temperatureRange, travelBudget, travelDuration,
+ *   preferredRegions and originLocation
+ *
+ * Uses the configured vision provider (see ./vision), including the fallback provider and the
+ * offline 'mock' provider. The trip details are validated against the preference profile schema;
+ * details that fail (or regions the destination catalog does not have) are left out and reported
+ * as `discarded`, so the returned `preferences` can be merged into a profile as they are.
+ */
+
+const { getVisionProvider, getFallbackVisionProvider } = require('./vision');
+const { PREFERENCE_KEYS } = require('./vision/analysisFormat');
+const { validateSchema, PREFERENCE_SCHEMA, NEUTRAL_THEME_SCORE } = require('./preferenceValidation');
+const { getStorage } = require('./storage');
+
+// ====================
+// Constants
+// ====================
+
+const MAX_TEXT_LENGTH = 1000;
+
+// Profile fields a description can fill in
+const EXTRACTED_FIELDS = ['travelMonths', 'temperatureRange', 'travelBudget', 'travelDuration', 'preferredRegions', 'originLocation'];
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Returns the regions of the destination catalog (lower-cased, as the profile stores them).
+ * @returns {Promise<string[]>} The regions, sorted; empty if the catalog cannot be read.
+ */
+async function getCatalogRegions() {
+  const { data: destinations, error } = await getStorage().getDestinations();
+  if (error) {
+    console.error('Error fetching destinations for the catalog regions:', error);
+    return [];
+  }
+  return [...new Set((destinations || [])
+    .map(destination => destination.region?.trim().toLowerCase())
+    .filter(Boolean))].sort();
+}
+
+/**
+ * Validates the trip details of an analysis against the preference profile schema.
+ * @param {object} analysis - The provider's answer (see ./vision/textAnalysisFormat.js).
+ * @param {string[]} regions - The regions of the destination catalog (no region check when empty).
+ * @returns {{preferences: object, discarded: {path: string, message: string}[]}}
+ *          The normalized details the description mentions and the reasons others were left out.
+ */
+function validateExtractedPreferences(analysis, regions) {
+  const preferences = {};
+  const discarded = [];
+
+  EXTRACTED_FIELDS.forEach(field => {
+    const value = analysis[field];
+    if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return;
+
+    const validation = validateSchema({ [field]: PREFERENCE_SCHEMA[field] }, { [field]: value });
+    if (!validation.valid) {
+      discarded.push(...validation.errors);
+      return;
+    }
+    preferences[field] = validation.value[field];
+  });
+
+  if (preferences.preferredRegions && regions.length > 0) {
+    preferences.preferredRegions.forEach((region, i) => {
+      if (!regions.includes(region)) {
+        discarded.push({ path: `preferredRegions[${i}]`, message: `is not a region of the destination catalog (got "${region}")` });
+      }
+    });
+    preferences.preferredRegions = preferences.preferredRegions.filter(region => regions.includes(region));
+    if (preferences.preferredRegions.length === 0) delete preferences.preferredRegions;
+  }
+
+  return { preferences, discarded };
+}
+
+// ==========================
+// Analysis
+// ==========================
+
+/**
+ * Analyzes a trip description and returns theme deltas and validated trip details.
+ * @param {string} text - The trip description (at most MAX_TEXT_LENGTH characters).
+ * @param {object | null} currentPreferences - The user's validated preference profile, or null
+ *        (the theme deltas are then relative to neutral scores of 3).
+ * @param {object} [options]
+ * @param {function({inputTokens: number, outputTokens: number}): void} [options.onUsage] - Receives the token
+ *        usage reported by the provider (used for the spend cap, see services/usageLimitService.js).
+ * @returns {Promise<{data: object | null, error: object | null}>} `{ analysis: { textAnalysis, textSummary },
+ *          preferences, discarded, provider, fallback }`, or the error ('VISION_PROVIDER_FAILED')
+ *          when no provider could answer.
+ */
+async function analyzeText(text, currentPreferences, { onUsage } = {}) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error("No text provided for analysis.");
+  }
+
+  const themeScores = Object.fromEntries(PREFERENCE_KEYS.map(key => [key, currentPreferences?.[key] ?? NEUTRAL_THEME_SCORE]));
+  const regions = await getCatalogRegions();
+
+  const providers = [getVisionProvider()];
+  const fallbackProvider = getFallbackVisionProvider();
+  if (fallbackProvider && fallbackProvider !== providers[0]) providers.push(fallbackProvider);
+
+  let failure = null;
+  for (const provider of providers) {
+    try {
+      const answer = await provider.analyzeText(text, themeScores, { onUsage, regions });
+      const { textAnalysis, textSummary } = answer;
+      const { preferences, discarded } = validateExtractedPreferences(answer, regions);
+      if (discarded.length > 0) {
+        console.warn(`Discarded ${discarded.length} invalid trip details from '${provider.name}':`, JSON.stringify(discarded));
+      }
+      if (failure) console.warn(`Text analysis answered by fallback provider '${provider.name}'.`);
+
+      return {
+        data: {
+          analysis: { textAnalysis, textSummary },
+          preferences,
+          discarded,
+          provider: provider.name,
+          fallback: failure ? failure.message : null
+        },
+        error: null
+      };
+    } catch (providerError) {
+      console.error(`Vision provider '${provider.name}' failed to analyze the text:`, providerError.message);
+      failure = failure || providerError;
+    }
+  }
+
+  return { data: null, error: { message: `Text analysis failed: ${failure.message}`, code: 'VISION_PROVIDER_FAILED' } };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  analyzeText,
+  validateExtractedPreferences,
+  MAX_TEXT_LENGTH,
+};
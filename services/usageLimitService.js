@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Usage Limit Service for Travolo
+ *
+ * Protects the paid OpenAI image analysis route (POST /api/preferences/analyze-images) and the text
+ * analysis route (POST /api/preferences/analyze-text), which share the limits and the budget:
+ * 1. Rate limits: at most N analyses per client IP and per signed-in user within a sliding window
+ * 2. Spend cap: a global daily budget in USD. Before a call, its worst-case cost is estimated from the
+ *    number and size of the images plus the prompt and maximum output tokens and reserved against the
+ *    budget; afterwards the reservation is settled with the tokens OpenAI actually billed.
+ *
+ * Counters live in memory, so they reset on restart and every server instance has its own.
+ * The budget day starts at midnight UTC.
+ *
+ * Environment variables (all optional):
+ * - IMAGE_ANALYSIS_IP_LIMIT:          analyses per IP per window (default 10, 0 disables)
+ * - IMAGE_ANALYSIS_USER_LIMIT:        analyses per user per window (default 20, 0 disables)
+ * - IMAGE_ANALYSIS_WINDOW_MINUTES:    length of the rate limit window (default 60)
+ * - IMAGE_ANALYSIS_DAILY_BUDGET_USD:  global daily spend cap (default 5, 0 disables)
+ * - OPENAI_INPUT_USD_PER_MTOK:        price of 1M input tokens (default 2.00, gpt-4.1)
+ * - OPENAI_OUTPUT_USD_PER_MTOK:       price of 1M output tokens (default 8.00, gpt-4.1)
+ */
+
+const crypto = require('crypto');
+const { MAX_OUTPUT_TOKENS } = require('./vision');
+
+// ====================
+// Constants
+// ====================
+
+const DEFAULT_LIMITS = {
+  ipLimit: 10,
+  userLimit: 20,
+  windowMinutes: 60,
+  dailyBudgetUsd: 5,
+  inputUsdPerMTok: 2.0,
+  outputUsdPerMTok: 8.0
+};
+
+// Tokens of the instructions and the preference profile sent with every analysis
+const PROMPT_TOKEN_ESTIMATE = 1200;
+
+// Image tokens: a base cost plus one per 512px tile. Prepared images (see imageIngestionService.js)
+// carry their pixel size and already fit the 2048px / 768px bounds OpenAI scales to; for others the
+// tile count is estimated from the file size and capped at the largest image OpenAI bills (8 tiles).
+const IMAGE_TILE_SIZE = 512;
+const IMAGE_BASE_TOKENS = 85;
+const IMAGE_TILE_TOKENS = 170;
+const IMAGE_MAX_TILES = 8;
+const IMAGE_BYTES_PER_TILE = 64 * 1024;
+
+// Rate limit keys are swept after this many checks so idle clients do not pile up
+const SWEEP_INTERVAL = 500;
+
+// ====================
+// State
+// ====================
+
+// Key ('ip:<address>' or 'user:<id>') -> timestamps (ms) of the analyses in the current window
+const requestLog = new Map();
+let checksSinceSweep = 0;
+
+let usage = createDailyUsage(utcDay(Date.now()));
+
+// Reservation ID -> reserved cost, for calls that have not been settled yet
+const reservations = new Map();
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Reads a non-negative number from the environment.
+ * @param {string} name - The variable name.
+ * @param {number} fallback - The default value.
+ * @returns {number} The configured value, or the default if unset or invalid.
+ */
+function readNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    console.warn(`Ignoring invalid ${name}='${raw}', using ${fallback}.`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Returns the configured limits and prices.
+ * @returns {object} `{ ipLimit, userLimit, windowMinutes, dailyBudgetUsd, inputUsdPerMTok, outputUsdPerMTok }`.
+ */
+function getLimits() {
+  return {
+    ipLimit: readNumber('IMAGE_ANALYSIS_IP_LIMIT', DEFAULT_LIMITS.ipLimit),
+    userLimit: readNumber('IMAGE_ANALYSIS_USER_LIMIT', DEFAULT_LIMITS.userLimit),
+    windowMinutes: readNumber('IMAGE_ANALYSIS_WINDOW_MINUTES', DEFAULT_LIMITS.windowMinutes) || DEFAULT_LIMITS.windowMinutes,
+    dailyBudgetUsd: readNumber('IMAGE_ANALYSIS_DAILY_BUDGET_USD', DEFAULT_LIMITS.dailyBudgetUsd),
+    inputUsdPerMTok: readNumber('OPENAI_INPUT_USD_PER_MTOK', DEFAULT_LIMITS.inputUsdPerMTok),
+    outputUsdPerMTok: readNumber('OPENAI_OUTPUT_USD_PER_MTOK', DEFAULT_LIMITS.outputUsdPerMTok)
+  };
+}
+
+/**
+ * Returns the UTC date of a timestamp.
+ * @param {number} now - Timestamp in ms.
+ * @returns {string} 'YYYY-MM-DD'.
+ */
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the seconds until the next budget day starts (midnight UTC).
+ * @param {number} now - Timestamp in ms.
+ * @returns {number} Whole seconds, at least 1.
+ */
+function secondsUntilUtcMidnight(now) {
+  const date = new Date(now);
+  const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  return Math.max(1, Math.ceil((midnight - now) / 1000));
+}
+
+/**
+ * Creates the usage counters of a budget day.
+ * @param {string} day - 'YYYY-MM-DD'.
+ * @returns {object} Zeroed counters.
+ */
+function createDailyUsage(day) {
+  return {
+    day,
+    spentUsd: 0,
+    reservedUsd: 0,
+    analyses: 0,
+    failedAnalyses: 0,
+    images: 0,
+    imageBytes: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    rejected: { ip: 0, user: 0, budget: 0 }
+  };
+}
+
+/**
+ * Starts a new budget day when the UTC date has changed. Open reservations carry over.
+ * @param {number} now - Timestamp in ms.
+ */
+function rollOverDay(now) {
+  const day = utcDay(now);
+  if (usage.day === day) return;
+  console.log(`Image analysis budget day ${usage.day} closed: $${usage.spentUsd.toFixed(4)} spent on ${usage.analyses} analyses.`);
+  const reservedUsd = usage.reservedUsd;
+  usage = createDailyUsage(day);
+  usage.reservedUsd = reservedUsd;
+}
+
+/**
+ * Converts token counts to USD.
+ * @param {number} inputTokens - Input tokens.
+ * @param {number} outputTokens - Output tokens.
+ * @param {object} limits - The configured prices (see getLimits).
+ * @returns {number} The cost in USD.
+ */
+function tokenCost(inputTokens, outputTokens, limits) {
+  return (inputTokens * limits.inputUsdPerMTok + outputTokens * limits.outputUsdPerMTok) / 1e6;
+}
+
+/**
+ * Removes rate limit keys without analyses in the current window.
+ * @param {number} windowStart - Start of the window (ms).
+ */
+function sweepRequestLog(windowStart) {
+  for (const [key, timestamps] of requestLog) {
+    if (timestamps.every(timestamp => timestamp <= windowStart)) requestLog.delete(key);
+  }
+}
+
+/**
+ * Checks one rate limit key and returns how long until a slot frees up.
+ * @param {string} key - The rate limit key.
+ * @param {number} limit - Allowed analyses per window (0: unlimited).
+ * @param {number} now - Timestamp in ms.
+ * @param {number} windowMs - Window length in ms.
+ * @returns {{allowed: boolean, retryAfterSeconds: number, timestamps: number[]}}
+ */
+function checkKey(key, limit, now, windowMs) {
+  const timestamps = (requestLog.get(key) || []).filter(timestamp => timestamp > now - windowMs);
+  if (limit === 0 || timestamps.length < limit) return { allowed: true, retryAfterSeconds: 0, timestamps };
+
+  // The oldest analysis still in the window is the next one to leave it
+  const retryAfterSeconds = Math.max(1, Math.ceil((timestamps[timestamps.length - limit] + windowMs - now) / 1000));
+  return { allowed: false, retryAfterSeconds, timestamps };
+}
+
+// ==========================
+// Rate Limits
+// ==========================
+
+/**
+ * Checks the per-IP and per-user rate limits and, if both allow it, counts the analysis.
+ * Admins are not rate limited (the daily budget still applies to them).
+ * @param {object} client
+ * @param {string} client.ip - The client IP address.
+ * @param {string | null} [client.userId] - The signed-in user's ID.
+ * @param {string} [client.role] - The caller's role.
+ * @param {number} [now=Date.now()] - Current time (ms).
+ * @returns {{allowed: boolean, scope: 'ip' | 'user' | null, limit: number, retryAfterSeconds: number}}
+ *          Whether the analysis may run, and otherwise which limit was hit.
+ */
+function checkRateLimits({ ip, userId = null, role = 'anonymous' }, now = Date.now()) {
+  rollOverDay(now);
+  const limits = getLimits();
+  const windowMs = limits.windowMinutes * 60 * 1000;
+
+  if (++checksSinceSweep >= SWEEP_INTERVAL) {
+    checksSinceSweep = 0;
+    sweepRequestLog(now - windowMs);
+  }
+
+  if (role === 'admin') return { allowed: true, scope: null, limit: 0, retryAfterSeconds: 0 };
+
+  const checks = [{ scope: 'ip', key: `ip:${ip}`, limit: limits.ipLimit }];
+  if (userId) checks.push({ scope: 'user', key: `user:${userId}`, limit: limits.userLimit });
+
+  const results = checks.map(check => ({ ...check, ...checkKey(check.key, check.limit, now, windowMs) }));
+  const blocked = results.find(result => !result.allowed);
+  if (blocked) {
+    usage.rejected[blocked.scope]++;
+    console.warn(`Image analysis rate limit hit for ${blocked.key} (${blocked.limit} per ${limits.windowMinutes} min).`);
+    return { allowed: false, scope: blocked.scope, limit: blocked.limit, retryAfterSeconds: blocked.retryAfterSeconds };
+  }
+
+  results.forEach(result => requestLog.set(result.key, [...result.timestamps, now]));
+  return { allowed: true, scope: null, limit: 0, retryAfterSeconds: 0 };
+}
+
+// ==========================
+// Spend Cap
+// ==========================
+
+/**
+ * Estimates the worst-case cost of analysing a set of images.
+ * @param {{size: number, width?: number, height?: number}[]} files - The prepared (or raw multer) files.
+ * @returns {{inputTokens: number, outputTokens: number, costUsd: number}} The estimate.
+ */
+function estimateImageAnalysisCost(files) {
+  const imageTokens = files.reduce((sum, file) => {
+    const tiles = file.width && file.height
+      ? Math.ceil(file.width / IMAGE_TILE_SIZE) * Math.ceil(file.height / IMAGE_TILE_SIZE)
+      : Math.max(1, Math.ceil((file.size || 0) / IMAGE_BYTES_PER_TILE));
+    return sum + IMAGE_BASE_TOKENS + IMAGE_TILE_TOKENS * Math.min(IMAGE_MAX_TILES, tiles);
+  }, 0);
+  const inputTokens = PROMPT_TOKEN_ESTIMATE + imageTokens;
+  const outputTokens = MAX_OUTPUT_TOKENS;
+  return { inputTokens, outputTokens, costUsd: tokenCost(inputTokens, outputTokens, getLimits()) };
+}
+
+/**
+ * Reserves the estimated cost of an analysis against the daily budget.
+ * @param {{size: number}[]} files - The uploaded files.
+ * @param {number} [now=Date.now()] - Current time (ms).
+ * @returns {{data: {id: string, estimate: object} | null, error: {message: string, code: string, retryAfterSeconds: number} | null}}
+ *          The reservation, or 'BUDGET_EXHAUSTED' if it would exceed the day's budget.
+ */
+function reserveBudget(files, now = Date.now()) {
+  rollOverDay(now);
+  const limits = getLimits();
+  const estimate = estimateImageAnalysisCost(files);
+
+  if (limits.dailyBudgetUsd > 0 && usage.spentUsd + usage.reservedUsd + estimate.costUsd > limits.dailyBudgetUsd) {
+    usage.rejected.budget++;
+    console.warn(`Image analysis budget exhausted: $${(usage.spentUsd + usage.reservedUsd).toFixed(4)} of $${limits.dailyBudgetUsd} used, next call estimated at $${estimate.costUsd.toFixed(4)}.`);
+    return {
+      data: null,
+      error: {
+        message: 'The daily image analysis budget has been used up. Try again tomorrow.',
+        code: 'BUDGET_EXHAUSTED',
+        retryAfterSeconds: secondsUntilUtcMidnight(now)
+      }
+    };
+  }
+
+  const id = crypto.randomUUID();
+  reservations.set(id, estimate.costUsd);
+  usage.reservedUsd += estimate.costUsd;
+  return { data: { id, estimate }, error: null };
+}
+
+/**
+ * Settles a reservation with the tokens OpenAI billed. Without reported usage (the call failed
+ * before OpenAI answered) nothing is charged.
+ * @param {string} reservationId - The reservation from reserveBudget.
+ * @param {object} outcome
+ * @param {{inputTokens: number, outputTokens: number} | null} outcome.usage - Billed tokens, if any.
+ * @param {{size: number}[]} outcome.files - The analysed files.
+ * @param {boolean} outcome.succeeded - Whether the analysis produced a result.
+ * @param {number} [now=Date.now()] - Current time (ms).
+ * @returns {number} The charged cost in USD.
+ */
+function settleBudget(reservationId, { usage: billed, files, succeeded }, now = Date.now()) {
+  rollOverDay(now);
+  const reserved = reservations.get(reservationId) ?? 0;
+  reservations.delete(reservationId);
+  usage.reservedUsd = Math.max(0, usage.reservedUsd - reserved);
+
+  const costUsd = billed ? tokenCost(billed.inputTokens, billed.outputTokens, getLimits()) : 0;
+  usage.spentUsd += costUsd;
+  usage.inputTokens += billed?.inputTokens ?? 0;
+  usage.outputTokens += billed?.outputTokens ?? 0;
+  if (succeeded) {
+    usage.analyses++;
+    usage.images += files.length;
+    usage.imageBytes += files.reduce((sum, file) => sum + (file.size || 0), 0);
+  } else {
+    usage.failedAnalyses++;
+  }
+
+  console.log(`Image analysis charged $${costUsd.toFixed(4)} (reserved $${reserved.toFixed(4)}); $${usage.spentUsd.toFixed(4)} spent today.`);
+  return costUsd;
+}
+
+// ==========================
+// Reporting
+// ==========================
+
+/**
+ * Returns today's usage and the configured limits, for the admin usage endpoint.
+ * @param {number} [now=Date.now()] - Current time (ms).
+ * @returns {object} `{ day, resetsInSeconds, budget, usage, rateLimits }`.
+ */
+function getImageAnalysisUsage(now = Date.now()) {
+  rollOverDay(now);
+  const limits = getLimits();
+  const windowStart = now - limits.windowMinutes * 60 * 1000;
+
+  const activeClients = { ip: 0, user: 0 };
+  for (const [key, timestamps] of requestLog) {
+    if (timestamps.some(timestamp => timestamp > windowStart)) activeClients[key.startsWith('user:') ? 'user' : 'ip']++;
+  }
+
+  return {
+    day: usage.day,
+    resetsInSeconds: secondsUntilUtcMidnight(now),
+    budget: {
+      dailyBudgetUsd: limits.dailyBudgetUsd || null,
+      spentUsd: usage.spentUsd,
+      reservedUsd: usage.reservedUsd,
+      remainingUsd: limits.dailyBudgetUsd > 0 ? Math.max(0, limits.dailyBudgetUsd - usage.spentUsd - usage.reservedUsd) : null,
+      inputUsdPerMTok: limits.inputUsdPerMTok,
+      outputUsdPerMTok: limits.outputUsdPerMTok
+    },
+    usage: {
+      analyses: usage.analyses,
+      failedAnalyses: usage.failedAnalyses,
+      inFlight: reservations.size,
+      images: usage.images,
+      imageBytes: usage.imageBytes,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      rejected: { ...usage.rejected }
+    },
+    rateLimits: {
+      ipLimit: limits.ipLimit || null,
+      userLimit: limits.userLimit || null,
+      windowMinutes: limits.windowMinutes,
+      activeClients
+    }
+  };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  checkRateLimits,
+  estimateImageAnalysisCost,
+  reserveBudget,
+  settleBudget,
+  getImageAnalysisUsage,
+};
@@ -0,0 +1,314 @@
+/**
+ * @fileoverview User Profile Service for Travolo
+ *
+ * Gives users (or anonymous sessions) an identity with a stored, editable preference profile:
+ * 1. Creates and updates profiles; the stored preferences are validated like a POST /api/recommendations body
+ * 2. Re-runs recommendations from the saved profile, linking the new record to the user (recommendations.user_id)
+ * 3. Lists a user's past recommendation runs with their destinations and feedback, newest first
+ *
+ * The id is the user's auth user ID (the routes enforce this for non-admins); without an id one is generated.
+ */
+
+const { validateSchema, validatePreferences, rules } = require('./preferenceValidation');
+const { generateRecommendations, LEGACY_DESTINATION_SLOTS } = require('./recommendationService');
+const { getStorage } = require('./storage');
+
+const { nonEmptyString } = rules;
+
+// ====================
+// Constants
+// ====================
+
+const DEFAULT_HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGE_SIZE = 100;
+const MAX_USER_ID_LENGTH = 128;
+const MAX_DISPLAY_NAME_LENGTH = 100;
+
+// Fields the algorithm adds to a profile; they are derived again on every run and never stored
+const DERIVED_PREFERENCE_FIELDS = ['destinationAnalysis', 'themeAdjustment'];
+
+// ====================
+// Schema Rules
+// ====================
+
+/**
+ * A string of at most `maxLength` characters.
+ */
+function boundedString(maxLength, { allowEmpty = false } = {}) {
+  const base = nonEmptyString();
+  return (value, path, ctx) => {
+    if (allowEmpty && value === '') return value;
+    const result = base(value, path, ctx);
+    if (typeof value === 'string' && value.length > maxLength) {
+      ctx.errors.push({ path, message: `must be at most ${maxLength} characters` });
+    }
+    return result;
+  };
+}
+
+/**
+ * A preference profile, validated (and normalized) like a POST /api/recommendations body.
+ */
+function preferenceProfile() {
+  return (value, path, ctx) => {
+    const validation = validatePreferences(value, { normalize: ctx.normalize });
+    validation.errors.forEach(error => ctx.errors.push({
+      path: error.path ? `${path}.${error.path}` : path,
+      message: error.message
+    }));
+    return validation.value;
+  };
+}
+
+const USER_PROFILE_SCHEMA = {
+  id: boundedString(MAX_USER_ID_LENGTH),
+  displayName: boundedString(MAX_DISPLAY_NAME_LENGTH, { allowEmpty: true }),
+  preferences: preferenceProfile()
+};
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Removes the fields the algorithm derives from a preference profile.
+ * @param {object} preferences - The preference profile.
+ * @returns {object} The profile without derived fields.
+ */
+function stripDerivedFields(preferences) {
+  const result = { ...preferences };
+  DERIVED_PREFERENCE_FIELDS.forEach(field => delete result[field]);
+  return result;
+}
+
+/**
+ * Shapes a stored profile row for the API.
+ * @param {object} row - The user_profiles row.
+ * @returns {object} `{ id, displayName, preferences, createdAt, updatedAt }`.
+ */
+function toUserProfile(row) {
+  return {
+    id: row.id,
+    displayName: row.display_name ?? null,
+    preferences: row.preferences ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Summarizes a destination for the history list.
+ * @param {object | undefined} destination - The destination, if it still exists.
+ * @param {string} id - The destination ID.
+ * @returns {object} `{ id, city, country, region, image_url }` (nulls for deleted destinations).
+ */
+function summarizeDestination(destination, id) {
+  const images = destination?.images;
+  const imageUrl = Array.isArray(images) ? images[0]?.public_url ?? null : images?.public_url ?? null;
+  return {
+    id,
+    city: destination?.city ?? null,
+    country: destination?.country ?? null,
+    region: destination?.region ?? null,
+    image_url: destination?.image_url ?? imageUrl
+  };
+}
+
+/**
+ * Returns the recommended destinations of a record: its recommendation_items rows, or the legacy
+ * destination_N_* columns for records created before the items table.
+ * @param {object} record - The recommendations row.
+ * @param {object[]} items - The record's recommendation_items rows.
+ * @returns {{destination_id: string, rank: number, confidence: number | null, feedback: string | null}[]} By rank.
+ */
+function recordItems(record, items) {
+  if (items.length > 0) {
+    return [...items].sort((a, b) => a.rank - b.rank);
+  }
+  const legacyItems = [];
+  for (let slot = 1; slot <= LEGACY_DESTINATION_SLOTS; slot++) {
+    const destinationId = record[`destination_${slot}_id`];
+    if (!destinationId) continue;
+    legacyItems.push({
+      destination_id: destinationId,
+      rank: slot,
+      confidence: record[`destination_${slot}_confidence`] ?? null,
+      feedback: record[`destination_${slot}_feedback`] ?? null
+    });
+  }
+  return legacyItems;
+}
+
+// ==========================
+// Profiles
+// ==========================
+
+/**
+ * Validates a profile request body.
+ * @param {object} body - `{ id?, displayName?, preferences? }`.
+ * @returns {{valid: boolean, errors: {path: string, message: string}[], value: object}}
+ */
+function validateUserProfile(body) {
+  return validateSchema(USER_PROFILE_SCHEMA, body, { strict: true });
+}
+
+/**
+ * Creates a user profile.
+ * @param {object} body - `{ id?, displayName?, preferences? }`; without an id one is generated.
+ * @returns {Promise<{data: object | null, errors: object[] | null, error: object | null}>}
+ *          The profile, the validation errors, or the storage error ('23505' if the id is taken).
+ */
+async function createUserProfile(body) {
+  const validation = validateUserProfile(body ?? {});
+  if (!validation.valid) return { data: null, errors: validation.errors, error: null };
+
+  const { id, displayName, preferences } = validation.value;
+  const { data, error } = await getStorage().insertUserProfile({
+    ...(id ? { id } : {}),
+    display_name: displayName ?? null,
+    preferences: preferences ? stripDerivedFields(preferences) : null
+  });
+  if (error) return { data: null, errors: null, error };
+
+  console.log(`Created user profile ${data.id}.`);
+  return { data: toUserProfile(data), errors: null, error: null };
+}
+
+/**
+ * Fetches a user profile.
+ * @param {string} id - The user ID.
+ * @returns {Promise<{data: object | null, error: object | null}>} The profile or the storage error
+ *          ('PGRST116' if it does not exist).
+ */
+async function getUserProfile(id) {
+  const { data, error } = await getStorage().getUserProfile(id);
+  if (error) return { data: null, error };
+  return { data: toUserProfile(data), error: null };
+}
+
+/**
+ * Updates a user profile. `preferences` fields are merged into the stored profile and the result is
+ * validated as a whole, so a client can change e.g. only `travelMonths`.
+ * @param {string} id - The user ID.
+ * @param {object} patch - `{ displayName?, preferences? }`.
+ * @returns {Promise<{data: object | null, errors: object[] | null, error: object | null}>}
+ *          The updated profile, the validation errors, or the storage error ('PGRST116' if it does not exist).
+ */
+async function updateUserProfile(id, patch) {
+  const storage = getStorage();
+  const { data: existing, error: fetchError } = await storage.getUserProfile(id);
+  if (fetchError) return { data: null, errors: null, error: fetchError };
+
+  if (patch?.id !== undefined && patch.id !== id) {
+    return { data: null, errors: [{ path: 'id', message: 'cannot be changed' }], error: null };
+  }
+
+  const merged = { ...patch };
+  delete merged.id;
+  if (patch?.preferences && typeof patch.preferences === 'object' && !Array.isArray(patch.preferences)) {
+    merged.preferences = { ...(existing.preferences || {}), ...patch.preferences };
+  }
+
+  const validation = validateUserProfile(merged);
+  if (!validation.valid) return { data: null, errors: validation.errors, error: null };
+
+  const changes = {};
+  if (validation.value.displayName !== undefined) changes.display_name = validation.value.displayName;
+  if (validation.value.preferences !== undefined) changes.preferences = stripDerivedFields(validation.value.preferences);
+
+  const { data, error } = await storage.updateUserProfile(id, changes);
+  if (error) return { data: null, errors: null, error };
+
+  console.log(`Updated user profile ${id}.`);
+  return { data: data ? toUserProfile(data) : null, errors: null, error: null };
+}
+
+// ==========================
+// Recommendations
+// ==========================
+
+/**
+ * Generates recommendations from a user's saved preference profile and links the record to the user.
+ * @param {string} id - The user ID.
+ * @param {object} [options] - Paging, diversity and client options, as for generateRecommendations.
+ * @returns {Promise<{data: object | null, error: object | null}>} The generateRecommendations result, or
+ *          the storage error ('PGRST116' if the user does not exist, 'NO_PREFERENCES' if nothing is saved yet).
+ */
+async function runRecommendationsForUser(id, options = {}) {
+  const { data: profile, error } = await getStorage().getUserProfile(id);
+  if (error) return { data: null, error };
+  if (!profile.preferences) {
+    return { data: null, error: { message: `User ${id} has no saved preference profile.`, code: 'NO_PREFERENCES' } };
+  }
+
+  // The algorithm adjusts the profile it is given; the saved profile must stay as the user entered it
+  const preferences = JSON.parse(JSON.stringify(profile.preferences));
+  const result = await generateRecommendations(preferences, { ...options, userId: id });
+  return { data: result, error: null };
+}
+
+/**
+ * Lists a user's recommendation runs, newest first, with their destinations and feedback.
+ * @param {string} id - The user ID.
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - Page size.
+ * @param {number} [options.offset=0] - Runs to skip.
+ * @returns {Promise<{data: object | null, error: object | null}>} `{ runs, total, limit, offset, hasMore }`
+ *          or the storage error ('PGRST116' if the user does not exist).
+ */
+async function listUserRecommendations(id, { limit = DEFAULT_HISTORY_PAGE_SIZE, offset = 0 } = {}) {
+  const storage = getStorage();
+  const { error: profileError } = await storage.getUserProfile(id);
+  if (profileError) return { data: null, error: profileError };
+
+  const { data: records, count, error: recordsError } = await storage.listRecommendations({ userId: id, limit, offset });
+  if (recordsError) return { data: null, error: recordsError };
+  const page = records || [];
+
+  const { data: items, error: itemsError } = page.length > 0
+    ? await storage.listRecommendationItems({ recommendationIds: page.map(record => record.id) })
+    : { data: [], error: null };
+  if (itemsError) return { data: null, error: itemsError };
+
+  // Only the destinations recommended on this page are loaded
+  const itemsByRecord = new Map(page.map(record => [
+    record.id,
+    recordItems(record, (items || []).filter(item => item.recommendation_id === record.id))
+  ]));
+  const destinationIds = [...new Set([...itemsByRecord.values()].flat().map(item => item.destination_id))];
+  const { data: destinations, error: destinationsError } = destinationIds.length > 0
+    ? await storage.getDestinations({ ids: destinationIds })
+    : { data: [], error: null };
+  if (destinationsError) return { data: null, error: destinationsError };
+  const destinationsById = new Map((destinations || []).map(d => [d.id, d]));
+
+  const runs = page.map(record => ({
+    id: record.id,
+    createdAt: record.created_at,
+    scoringConfigVersion: record.scoring_config_version ?? null,
+    experiment: record.experiment_name ? { name: record.experiment_name, variant: record.experiment_variant } : null,
+    destinationRatings: record.destination_ratings ?? {},
+    recommendations: itemsByRecord.get(record.id)
+      .map(item => ({
+        rank: item.rank,
+        confidence: item.confidence ?? null,
+        feedback: item.feedback ?? null,
+        destination: summarizeDestination(destinationsById.get(item.destination_id), item.destination_id)
+      }))
+  }));
+
+  const total = count ?? page.length;
+  return { data: { runs, total, limit, offset, hasMore: offset + limit < total }, error: null };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  createUserProfile,
+  getUserProfile,
+  updateUserProfile,
+  runRecommendationsForUser,
+  listUserRecommendations,
+  validateUserProfile,
+  DEFAULT_HISTORY_PAGE_SIZE,
+  MAX_HISTORY_PAGE_SIZE,
+};
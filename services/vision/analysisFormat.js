@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Image analysis format shared by the vision providers
+ *
+ * Every provider returns the same result: `{ imageAnalysis, imageSummary }`, where imageAnalysis holds
+ * an integer delta (-3 to +3) for each of the 9 travel themes and imageSummary describes the cues found.
+ * The model-backed providers send the same instructions and JSON schema and validate the answer here.
+ */
+
+// ====================
+// Constants
+// ====================
+
+const PREFERENCE_KEYS = [
+  "culture", "adventure", "nature", "beaches", "nightlife",
+  "cuisine", "wellness", "urban", "seclusion"
+];
+
+const MAX_DELTA = 3;
+
+const MAX_OUTPUT_TOKENS = 2048;
+
+const NO_CUES_SUMMARY = "No travel relevant cues detected.";
+
+// Instructions sent with every analysis
+const ANALYSIS_PROMPT = `
+You are an image analysis assistant that adjusts a user's 9 travel preference scores (1–5) after seeing up to 3 photos.
+
+INPUT
+• user_profile – JSON: current scores for culture, adventure, nature, beaches, nightlife, cuisine, wellness, urban, seclusion  
+• images       – array of 1–3 photos
+
+MAPPING RULES
+• Surf / waves  -> beaches, adventure up
+• Ski / snow    -> adventure, nature up
+• Skyline night -> urban, nightlife up; beaches, seclusion down if very dense city
+• Forest cabin  -> nature, seclusion up; urban, nightlife down
+• Museum / ruins -> culture up
+• Spa / yoga    -> wellness up; adventure down (if spa like)
+• Street food   -> cuisine up
+
+DELTA LOGIC
+1. Detect cues per photo and assign raw deltas: strong ±3, moderate ±2, weak ±1, none 0.  
+2. Sum per feature across all photos; cap total at ±3.  
+3. If a cue clearly contradicts an existing score ≥ 4, apply a negative delta (max -3).  
+4. new_score = clamp(old + delta, 1, 5).  
+5. Features without cues -> delta 0.
+
+OUTPUT  
+Return **only** this JSON (no markdown):
+
+{
+  "deltas": {            // every feature present, value -3…+3
+    "culture": 0,
+    "adventure": 0,
+    "nature": 0,
+    "beaches": -3,
+    "nightlife": 0,
+    "cuisine": 0,
+    "wellness": 0,
+    "urban": 3,
+    "seclusion": -1
+  },
+  "summary": "Photos show a bustling Manhattan street at night with skyscrapers and taxis, indicating high urban and nightlife interest while reducing beach and seclusion relevance."
+}
+
+If a featur's delta is 0, still include it. If nothing changes, all deltas are 0 and summary states “No travel relevant cues detected.”
+
+  `.trim();
+
+// JSON schema of the answer (structured output)
+const ANALYSIS_SCHEMA = {
+  "type": "object",
+  "properties": {
+    "imageAnalysis": {
+      "type": "object",
+      "properties": Object.fromEntries(PREFERENCE_KEYS.map(key => [key, { "type": "integer" }])),
+      "required": PREFERENCE_KEYS,
+      "additionalProperties": false
+    },
+    "imageSummary": { "type": "string" }
+  },
+  "required": ["imageAnalysis", "imageSummary"],
+  "additionalProperties": false
+};
+
+// ==========================
+// Validation
+// ==========================
+
+/**
+ * Parses and validates a model's JSON answer.
+ * @param {string | null} rawContent - The answer text.
+ * @param {string} providerName - Provider name, for error messages.
+ * @returns {{imageAnalysis: Record<string, number>, imageSummary: string}} The analysis.
+ * @throws {Error} If the answer is missing, not JSON, or does not match the schema.
+ */
+function parseAnalysis(rawContent, providerName) {
+  if (!rawContent) {
+    throw new Error(`Response from '${providerName}' did not contain text content.`);
+  }
+
+  let analysisResult;
+  try {
+    analysisResult = JSON.parse(rawContent);
+  } catch (parseError) {
+    console.error("Raw content that failed parsing:", rawContent);
+    throw new Error(`Failed to parse JSON response from '${providerName}': ${parseError.message}`);
+  }
+
+  const imageAnalysis = analysisResult?.imageAnalysis;
+  const valid = imageAnalysis && typeof imageAnalysis === 'object' &&
+    typeof analysisResult.imageSummary === 'string' && analysisResult.imageSummary !== '' &&
+    Object.keys(imageAnalysis).length === PREFERENCE_KEYS.length &&
+    PREFERENCE_KEYS.every(key => Number.isInteger(imageAnalysis[key]));
+  if (!valid) {
+    console.error("Invalid JSON structure received:", JSON.stringify(analysisResult, null, 2));
+    throw new Error(`Received invalid JSON structure from '${providerName}'.`);
+  }
+
+  return { imageAnalysis, imageSummary: analysisResult.imageSummary };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  parseAnalysis,
+  PREFERENCE_KEYS,
+  ANALYSIS_PROMPT,
+  ANALYSIS_SCHEMA,
+  MAX_DELTA,
+  MAX_OUTPUT_TOKENS,
+  NO_CUES_SUMMARY,
+};
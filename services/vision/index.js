@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Vision provider entry point for Travolo
+ *
+ * Selects the provider that analyzes uploaded travel photos and trip descriptions from the environment
+ * and hands out a single shared instance, plus an optional fallback used when the primary provider fails.
+ * Every provider implements the same interface:
+ *
+ * - name, model                        -> identify the provider in logs and API responses
+ * - configured                         -> false when required settings are missing (calls then fail)
+ * - readsFileNames                     -> true when the image analysis depends on the upload file names
+ * - analyzeImages(files, preferences, { onUsage })
+ *                                      -> `{ imageAnalysis, imageSummary }` (see ./analysisFormat.js);
+ *                                         onUsage receives `{ inputTokens, outputTokens }` when tokens are billed
+ * - analyzeText(text, preferences, { onUsage, regions })
+ *                                      -> theme deltas and trip details of a trip description (see ./textAnalysisFormat.js)
+ *
+ * Providers:
+ * - 'openai':            OpenAI Responses API (default)
+ * - 'openai-compatible': any Chat Completions server with image input, e.g. a local model
+ * - 'mock':              deterministic, rule-based and offline (see ./mockProvider.js)
+ *
+ * Environment variables:
+ * - VISION_PROVIDER:          'openai' (default), 'openai-compatible' or 'mock'
+ * - VISION_FALLBACK_PROVIDER: provider to answer when the primary one fails (e.g. 'mock'; default none)
+ * - VISION_MODEL:             model name (default 'gpt-4.1' for openai; required for openai-compatible)
+ * - VISION_BASE_URL:          base URL of the OpenAI-compatible server (e.g. http://localhost:11434/v1)
+ * - VISION_API_KEY:           API key of the OpenAI-compatible server (optional)
+ * - VISION_TIMEOUT_MS:        request timeout (default 60000)
+ * - OPENAI_API_KEY:           used by the openai provider
+ */
+
+require('dotenv').config();
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createMockProvider } = require('./mockProvider');
+const { MAX_OUTPUT_TOKENS } = require('./analysisFormat');
+
+const VISION_PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+const DEFAULT_OPENAI_MODEL = 'gpt-4.1';
+
+let providerInstance = null;
+let fallbackInstance; // undefined until resolved, null when no fallback is configured
+
+/**
+ * Creates a vision provider by name.
+ * @param {string} [provider='openai'] - 'openai', 'openai-compatible' or 'mock'.
+ * @returns {object} The vision provider.
+ */
+function createVisionProvider(provider = 'openai') {
+  const timeoutMs = Number(process.env.VISION_TIMEOUT_MS) || undefined;
+  switch (provider) {
+    case 'openai':
+      return createOpenAIProvider({
+        name: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.VISION_MODEL || DEFAULT_OPENAI_MODEL,
+        api: 'responses',
+        timeoutMs
+      });
+    case 'openai-compatible':
+      if (!process.env.VISION_MODEL) {
+        throw new Error("VISION_MODEL is required for the 'openai-compatible' vision provider.");
+      }
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: process.env.VISION_API_KEY,
+        baseURL: process.env.VISION_BASE_URL,
+        model: process.env.VISION_MODEL,
+        api: 'chat',
+        timeoutMs
+      });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown vision provider '${provider}'. Use ${VISION_PROVIDERS.map(name => `'${name}'`).join(', ')}.`);
+  }
+}
+
+/**
+ * Returns the shared vision provider, creating it from VISION_PROVIDER on first use.
+ * @returns {object} The vision provider.
+ */
+function getVisionProvider() {
+  if (!providerInstance) {
+    providerInstance = createVisionProvider(process.env.VISION_PROVIDER || 'openai');
+    console.log(`Using '${providerInstance.name}' vision provider (${providerInstance.model}).`);
+  }
+  return providerInstance;
+}
+
+/**
+ * Returns the shared fallback provider from VISION_FALLBACK_PROVIDER, or null if none is configured.
+ * @returns {object | null} The fallback provider.
+ */
+function getFallbackVisionProvider() {
+  if (fallbackInstance === undefined) {
+    const name = process.env.VISION_FALLBACK_PROVIDER;
+    fallbackInstance = name && name !== 'none' ? createVisionProvider(name) : null;
+    if (fallbackInstance) console.log(`Using '${fallbackInstance.name}' as fallback vision provider.`);
+  }
+  return fallbackInstance;
+}
+
+/**
+ * Replaces the shared providers (e.g. to run against the mock provider in scripts).
+ * @param {object} provider - A vision provider implementing the interface above.
+ * @param {object | null} [fallback=null] - The fallback provider.
+ */
+function setVisionProvider(provider, fallback = null) {
+  providerInstance = provider;
+  fallbackInstance = fallback;
+}
+
+module.exports = {
+  getVisionProvider,
+  getFallbackVisionProvider,
+  setVisionProvider,
+  createVisionProvider,
+  VISION_PROVIDERS,
+  MAX_OUTPUT_TOKENS,
+};
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Deterministic rule-based vision provider for Travolo
+ *
+ * Needs no network access or model: it reads travel cues from the photo file names
+ * (e.g. "surf-bali.jpg", "tokyo_skyline_night.png") using the same mapping rules the model
+ * prompt describes, sums the deltas per theme and caps them at ±3. The same files always
+ * produce the same analysis, which makes it suitable for development, tests and as a
+ * fallback when the real provider is down (photos without recognizable names change nothing).
+ *
+ * Trip descriptions are read the same way: theme keywords ("quiet", "beach", "museum"), month and
+ * season names, temperature words or ranges ("warm", "18-25°C"), budget and duration wording,
+ * region names of the catalog and "from <city>" for a small table of origin cities.
+ */
+
+const path = require('path');
+const { PREFERENCE_KEYS, MAX_DELTA, NO_CUES_SUMMARY } = require('./analysisFormat');
+const { NO_TEXT_CUES_SUMMARY } = require('./textAnalysisFormat');
+const { MONTH_NAMES } = require('../preferenceValidation');
+
+// ====================
+// Constants
+// ====================
+
+// File name cues and the theme deltas they imply (mirrors the MAPPING RULES of the model prompt)
+const CUE_RULES = [
+  { cue: 'surf / waves', pattern: /\b(?:surf|wave)/, deltas: { beaches: 2, adventure: 2 } },
+  { cue: 'beach / coast', pattern: /\b(?:beach|coast|island|seaside|ocean)/, deltas: { beaches: 2 } },
+  { cue: 'ski / snow', pattern: /\b(?:ski|snow|glacier)/, deltas: { adventure: 2, nature: 2 } },
+  { cue: 'skyline / night life', pattern: /\b(?:skyline|city|night|club)/, deltas: { urban: 2, nightlife: 2, seclusion: -1 } },
+  { cue: 'forest / cabin', pattern: /\b(?:forest|cabin|lake|mountain|hik)/, deltas: { nature: 2, seclusion: 2, urban: -1 } },
+  { cue: 'museum / ruins', pattern: /\b(?:museum|ruin|temple|cathedral|castle)/, deltas: { culture: 2 } },
+  { cue: 'spa / yoga', pattern: /\b(?:spa|yoga|retreat)\b/, deltas: { wellness: 2, adventure: -1 } },
+  { cue: 'street food', pattern: /\b(?:food|market|restaurant|cafe)/, deltas: { cuisine: 2 } }
+];
+
+// Trip description cues and the theme deltas they imply
+const TEXT_CUE_RULES = [
+  { cue: 'quiet / remote', pattern: /\b(?:quiet|secluded|remote|peaceful|off the beaten|away from (?:the )?crowds)/, deltas: { seclusion: 2, nightlife: -1 } },
+  { cue: 'beach / sea', pattern: /\b(?:beach|coast|island|seaside|sea\b|ocean|swim)/, deltas: { beaches: 2 } },
+  { cue: 'surf / dive', pattern: /\b(?:surf|div(?:e|ing)|snorkel)/, deltas: { beaches: 1, adventure: 2 } },
+  { cue: 'adventure / hiking', pattern: /\b(?:adventur|hik|trek|climb|ski|raft)/, deltas: { adventure: 2, nature: 1 } },
+  { cue: 'nature', pattern: /\b(?:nature|forest|mountain|lake|national park|wildlife)/, deltas: { nature: 2 } },
+  { cue: 'culture / history', pattern: /\b(?:museum|histor|culture|cultural|art\b|architecture|ruin|temple)/, deltas: { culture: 2 } },
+  { cue: 'food / wine', pattern: /\b(?:food|cuisine|restaurant|wine|culinary|eat)/, deltas: { cuisine: 2 } },
+  { cue: 'wellness', pattern: /\b(?:spa|relax|wellness|yoga|retreat|unwind)/, deltas: { wellness: 2 } },
+  { cue: 'nightlife', pattern: /\b(?:party|parties|nightlife|club|bars?\b)/, deltas: { nightlife: 2 } },
+  { cue: 'city', pattern: /\b(?:city|cities|urban|shopping|metropolis)/, deltas: { urban: 2 } },
+  { cue: 'no crowds / no party', pattern: /\b(?:no|not|without|avoid) (?:crowds|party|parties|nightlife|tourist)/, deltas: { nightlife: -1, seclusion: 1 } }
+];
+
+const SEASON_MONTHS = {
+  spring: ['March', 'April', 'May'],
+  summer: ['June', 'July', 'August'],
+  autumn: ['September', 'October', 'November'],
+  fall: ['September', 'October', 'November'],
+  winter: ['December', 'January', 'February']
+};
+
+// Temperature words and the range (°C) they stand for; the first match wins
+const TEMPERATURE_WORDS = [
+  { pattern: /\bnot too hot\b/, range: [18, 28] },
+  { pattern: /\b(?:hot|tropical)\b/, range: [26, 38] },
+  { pattern: /\b(?:warm|sunny)\b/, range: [22, 32] },
+  { pattern: /\bmild\b/, range: [15, 25] },
+  { pattern: /\b(?:cool|fresh)\b/, range: [5, 18] },
+  { pattern: /\b(?:cold|snowy|freezing)\b/, range: [-15, 5] }
+];
+
+// Budget and duration wording; every matching rule contributes its labels
+const BUDGET_RULES = [
+  { pattern: /\bnot (?:too )?(?:pricey|expensive)|\breasonabl[ey]|\baffordable/, labels: ['budget', 'mid-range'] },
+  { pattern: /\b(?:cheap|budget|low[- ]cost|backpack)/, labels: ['budget'] },
+  { pattern: /\b(?:mid[- ]range|moderate)/, labels: ['mid-range'] },
+  { pattern: /\b(?:luxury|luxurious|upscale|splurge|five[- ]star)/, labels: ['luxury'] }
+];
+const DURATION_RULES = [
+  { pattern: /\bday[- ]?trip\b/, labels: ['day-trip'] },
+  { pattern: /\bweekend\b/, labels: ['weekend'] },
+  { pattern: /\b(?:few days|short (?:trip|break|escape)|long weekend|city break)/, labels: ['short-trip'] },
+  { pattern: /\b(?:a|one|1) week\b|\bweek[- ]long\b/, labels: ['one-week'] },
+  { pattern: /\b(?:two|three|2|3) weeks\b|\ba month\b|\blong trip\b/, labels: ['long-trip'] }
+];
+
+// Origin cities the rule-based provider can place ("from <city>")
+const KNOWN_ORIGINS = [
+  { names: ['zurich', 'zürich'], name: 'Zürich, Switzerland', lat: 47.3769, lon: 8.5417 },
+  { names: ['munich', 'münchen'], name: 'München, Bayern, Deutschland', lat: 48.1371, lon: 11.5754 },
+  { names: ['berlin'], name: 'Berlin, Deutschland', lat: 52.52, lon: 13.405 },
+  { names: ['vienna', 'wien'], name: 'Wien, Österreich', lat: 48.2082, lon: 16.3738 },
+  { names: ['london'], name: 'London, United Kingdom', lat: 51.5072, lon: -0.1276 },
+  { names: ['paris'], name: 'Paris, France', lat: 48.8566, lon: 2.3522 },
+  { names: ['amsterdam'], name: 'Amsterdam, Netherlands', lat: 52.3676, lon: 4.9041 },
+  { names: ['madrid'], name: 'Madrid, España', lat: 40.4168, lon: -3.7038 },
+  { names: ['rome', 'roma'], name: 'Roma, Italia', lat: 41.9028, lon: 12.4964 },
+  { names: ['new york'], name: 'New York, USA', lat: 40.7128, lon: -74.006 }
+];
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Returns the labels of every matching rule, without duplicates.
+ * @param {{pattern: RegExp, labels: string[]}[]} rules - The rules.
+ * @param {string} text - The lower-cased description.
+ * @returns {string[]} The labels.
+ */
+function matchLabels(rules, text) {
+  return [...new Set(rules.filter(rule => rule.pattern.test(text)).flatMap(rule => rule.labels))];
+}
+
+/**
+ * Reads the travel months from month names (full or three-letter) and seasons, in calendar order.
+ * @param {string} text - The lower-cased description.
+ * @returns {string[]} The month names.
+ */
+function matchMonths(text) {
+  const months = new Set();
+  MONTH_NAMES.forEach(month => {
+    const lower = month.toLowerCase();
+    if (new RegExp(`\\b(?:${lower}|${lower.slice(0, 3)})\\b`).test(text)) months.add(month);
+  });
+  Object.entries(SEASON_MONTHS).forEach(([season, seasonMonths]) => {
+    if (new RegExp(`\\b${season}\\b`).test(text)) seasonMonths.forEach(month => months.add(month));
+  });
+  return MONTH_NAMES.filter(month => months.has(month));
+}
+
+/**
+ * Reads a temperature range: an explicit one ("18-25°C", "between 20 and 28 degrees") or a temperature word.
+ * @param {string} text - The lower-cased description.
+ * @returns {number[] | null} [min, max] in °C.
+ */
+function matchTemperatureRange(text) {
+  const explicit = text.match(/(-?\d{1,2})\s*(?:-|–|to|and)\s*(-?\d{1,2})\s*(?:°\s*c?|degrees|c\b)/);
+  if (explicit) {
+    const [min, max] = [Number(explicit[1]), Number(explicit[2])].sort((a, b) => a - b);
+    return [min, max];
+  }
+  return TEMPERATURE_WORDS.find(rule => rule.pattern.test(text))?.range ?? null;
+}
+
+/**
+ * Finds the origin city after "from", "leaving" or "departing".
+ * @param {string} text - The lower-cased description.
+ * @returns {{name: string, lat: number, lon: number} | null} The origin.
+ */
+function matchOrigin(text) {
+  const origin = KNOWN_ORIGINS.find(city =>
+    city.names.some(name => new RegExp(`\\b(?:from|leaving|departing|flying out of)\\s+${name}\\b`).test(text)));
+  return origin ? { name: origin.name, lat: origin.lat, lon: origin.lon } : null;
+}
+
+// ==========================
+// Provider
+// ==========================
+
+/**
+ * Creates the rule-based provider.
+ * @returns {object} The vision provider.
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'rules',
+    configured: true,
+    readsFileNames: true, // The analysis depends on the file names, not only on the image contents
+
+    /**
+     * Derives theme deltas from the photo file names. Never reports token usage.
+     * @param {object[]} imageFiles - The multer files (originalname).
+     * @returns {Promise<{imageAnalysis: Record<string, number>, imageSummary: string}>}
+     */
+    async analyzeImages(imageFiles) {
+      const imageAnalysis = Object.fromEntries(PREFERENCE_KEYS.map(key => [key, 0]));
+      const cues = [];
+
+      imageFiles.forEach(file => {
+        // Split camelCase, digits and separators into words so "NightSkyline_2.jpg" reads "night skyline"
+        const name = path.parse(file.originalname || '').name
+          .replace(/([a-z])([A-Z])/g, '$1 $2')
+          .replace(/[^A-Za-z]+/g, ' ')
+          .toLowerCase();
+        CUE_RULES.filter(rule => rule.pattern.test(name)).forEach(rule => {
+          cues.push(rule.cue);
+          Object.entries(rule.deltas).forEach(([key, delta]) => { imageAnalysis[key] += delta; });
+        });
+      });
+
+      PREFERENCE_KEYS.forEach(key => {
+        imageAnalysis[key] = Math.max(-MAX_DELTA, Math.min(MAX_DELTA, imageAnalysis[key]));
+      });
+
+      const uniqueCues = [...new Set(cues)];
+      const imageSummary = uniqueCues.length > 0
+        ? `Photo names suggest ${uniqueCues.join(', ')}.`
+        : NO_CUES_SUMMARY;
+
+      console.log(`Rule-based image analysis of ${imageFiles.length} images: ${uniqueCues.length} cues found.`);
+      return { imageAnalysis, imageSummary };
+    },
+
+    /**
+     * Derives theme deltas and trip details from the words of a trip description. Never reports token usage.
+     * @param {string} text - The trip description.
+     * @param {object} currentPreferences - The preference profile (unused; deltas do not depend on it).
+     * @param {object} [options]
+     * @param {string[]} [options.regions=[]] - The regions of the destination catalog.
+     * @returns {Promise<object>} See ./textAnalysisFormat.js.
+     */
+    async analyzeText(text, currentPreferences, { regions = [] } = {}) {
+      const lower = text.toLowerCase();
+      const textAnalysis = Object.fromEntries(PREFERENCE_KEYS.map(key => [key, 0]));
+      const cues = TEXT_CUE_RULES.filter(rule => rule.pattern.test(lower));
+      cues.forEach(rule => {
+        Object.entries(rule.deltas).forEach(([key, delta]) => { textAnalysis[key] += delta; });
+      });
+      PREFERENCE_KEYS.forEach(key => {
+        textAnalysis[key] = Math.max(-MAX_DELTA, Math.min(MAX_DELTA, textAnalysis[key]));
+      });
+
+      const result = {
+        textAnalysis,
+        textSummary: cues.length > 0
+          ? `Description asks for ${cues.map(rule => rule.cue).join(', ')}.`
+          : NO_TEXT_CUES_SUMMARY,
+        travelMonths: matchMonths(lower),
+        temperatureRange: matchTemperatureRange(lower),
+        travelBudget: matchLabels(BUDGET_RULES, lower),
+        travelDuration: matchLabels(DURATION_RULES, lower),
+        // Region keys may use underscores ("middle_east"), descriptions use spaces
+        preferredRegions: regions.filter(region => new RegExp(
+          `\\b${region.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/[ _-]/g, '[ _-]')}\\b`).test(lower)),
+        originLocation: matchOrigin(lower)
+      };
+
+      const details = ['travelMonths', 'temperatureRange', 'travelBudget', 'travelDuration', 'preferredRegions', 'originLocation']
+        .filter(field => Array.isArray(result[field]) ? result[field].length > 0 : result[field] !== null);
+      console.log(`Rule-based text analysis: ${cues.length} theme cues, details found: ${details.join(', ') || 'none'}.`);
+      return result;
+    }
+  };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  createMockProvider,
+  CUE_RULES,
+  TEXT_CUE_RULES,
+};
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview OpenAI and OpenAI-compatible vision providers for Travolo
+ *
+ * - 'openai' sends the photos to the OpenAI Responses API with a strict JSON schema.
+ * - 'openai-compatible' talks to any server implementing the Chat Completions API with image
+ *   inputs and JSON schema output (e.g. a local vLLM, Ollama or LM Studio endpoint).
+ *
+ * Both providers analyze photos (analyzeImages) and trip descriptions (analyzeText).
+ * The client is created on the first analysis, so a missing key only disables this provider
+ * (and lets the fallback provider answer) instead of failing at startup.
+ */
+
+const OpenAI = require('openai');
+const { parseAnalysis, ANALYSIS_PROMPT, ANALYSIS_SCHEMA, MAX_OUTPUT_TOKENS } = require('./analysisFormat');
+const {
+  parseTextAnalysis, buildTextAnalysisSchema, buildTextAnalysisInput, TEXT_ANALYSIS_PROMPT
+} = require('./textAnalysisFormat');
+
+// ====================
+// Helper Functions
+// ====================
+
+/**
+ * Encodes an uploaded image as a data URL.
+ * @param {{buffer: Buffer, mimetype: string}} file - The multer file.
+ * @returns {string} The data URL.
+ */
+function toDataUrl(file) {
+  return `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+}
+
+/**
+ * Sends an analysis through the Responses API (OpenAI).
+ * @param {OpenAI} client - The OpenAI client.
+ * @param {string} model - The model name.
+ * @param {object} request
+ * @param {string} request.prompt - The system instructions.
+ * @param {string} request.schemaName - Name of the answer schema.
+ * @param {object} request.schema - JSON schema of the answer.
+ * @param {object[]} [request.imageFiles=[]] - The multer files to attach.
+ * @param {string} request.text - The user message.
+ * @returns {Promise<{rawContent: string | null, usage: object | null}>} The answer text and token usage.
+ */
+async function createWithResponsesApi(client, model, { prompt, schemaName, schema, imageFiles = [], text }) {
+  const response = await client.responses.create({
+    model,
+    input: [
+      { role: "system", content: [{ type: "input_text", text: prompt }] },
+      {
+        role: "user",
+        content: [
+          ...imageFiles.map(file => ({ type: "input_image", image_url: toDataUrl(file) })),
+          { type: "input_text", text }
+        ]
+      }
+    ],
+    text: {
+      format: { type: "json_schema", name: schemaName, strict: true, schema }
+    },
+    temperature: 1,
+    max_output_tokens: MAX_OUTPUT_TOKENS,
+    top_p: 1,
+    store: true
+  });
+
+  // Expected structure: response.content[0].text, or the output_text helper field
+  let rawContent = null;
+  if (Array.isArray(response.content) && response.content[0]?.type === 'output_text') {
+    rawContent = response.content[0].text;
+  } else if (response.output_text) {
+    rawContent = response.output_text;
+  }
+
+  const usage = response.usage
+    ? { inputTokens: response.usage.input_tokens ?? 0, outputTokens: response.usage.output_tokens ?? 0 }
+    : null;
+  return { rawContent, usage };
+}
+
+/**
+ * Sends an analysis through the Chat Completions API (OpenAI-compatible servers).
+ * @param {OpenAI} client - The OpenAI client pointed at the compatible server.
+ * @param {string} model - The model name.
+ * @param {object} request - As for createWithResponsesApi.
+ * @returns {Promise<{rawContent: string | null, usage: object | null}>} The answer text and token usage.
+ */
+async function createWithChatCompletionsApi(client, model, { prompt, schemaName, schema, imageFiles = [], text }) {
+  const response = await client.chat.completions.create({
+    model,
+    messages: [
+      { role: "system", content: prompt },
+      {
+        role: "user",
+        content: [
+          ...imageFiles.map(file => ({ type: "image_url", image_url: { url: toDataUrl(file) } })),
+          { type: "text", text }
+        ]
+      }
+    ],
+    response_format: {
+      type: "json_schema",
+      json_schema: { name: schemaName, strict: true, schema }
+    },
+    max_tokens: MAX_OUTPUT_TOKENS
+  });
+
+  const usage = response.usage
+    ? { inputTokens: response.usage.prompt_tokens ?? 0, outputTokens: response.usage.completion_tokens ?? 0 }
+    : null;
+  return { rawContent: response.choices?.[0]?.message?.content ?? null, usage };
+}
+
+// ==========================
+// Provider
+// ==========================
+
+/**
+ * Creates a vision provider backed by the OpenAI SDK.
+ * @param {object} options
+ * @param {string} options.name - 'openai' or 'openai-compatible'.
+ * @param {string} [options.apiKey] - The API key (required for OpenAI; local servers usually accept any value).
+ * @param {string} [options.baseURL] - Base URL of a compatible server (e.g. http://localhost:11434/v1).
+ * @param {string} options.model - The model name.
+ * @param {'responses' | 'chat'} options.api - Which API to call.
+ * @param {number} [options.timeoutMs=60000] - Request timeout.
+ * @returns {object} The vision provider.
+ */
+function createOpenAIProvider({ name, apiKey, baseURL, model, api, timeoutMs = 60000 }) {
+  let client = null; // Created on first use
+  const missingSetting = api === 'responses' && !apiKey ? 'OPENAI_API_KEY'
+    : api === 'chat' && !baseURL ? 'VISION_BASE_URL'
+    : null;
+
+  if (missingSetting) {
+    console.warn(`Vision provider '${name}' is not configured (${missingSetting} is missing); image analysis will use the fallback provider, if any.`);
+  }
+
+  /**
+   * Sends a request through the configured API and reports the billed tokens.
+   * @param {object} request - See createWithResponsesApi.
+   * @param {function({inputTokens: number, outputTokens: number}): void} [onUsage] - Receives the billed tokens.
+   * @returns {Promise<string | null>} The answer text.
+   */
+  async function send(request, onUsage) {
+    if (missingSetting) {
+      throw new Error(`Vision provider '${name}' is not configured (${missingSetting} is missing).`);
+    }
+    if (!client) {
+      // Local servers ignore the key, but the SDK requires one
+      client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, timeout: timeoutMs, maxRetries: 1 });
+    }
+
+    const { rawContent, usage } = api === 'responses'
+      ? await createWithResponsesApi(client, model, request)
+      : await createWithChatCompletionsApi(client, model, request);
+    console.log(`Received response from '${name}'.`);
+
+    // Report the billed tokens before parsing, the call costs the same either way
+    if (onUsage && usage) onUsage(usage);
+    return rawContent;
+  }
+
+  return {
+    name,
+    model,
+    configured: !missingSetting,
+
+    /**
+     * Analyzes the photos and returns theme deltas for the preference profile.
+     * @param {object[]} imageFiles - The multer files (buffer, mimetype).
+     * @param {object} currentPreferences - The preference profile.
+     * @param {object} [options]
+     * @param {function({inputTokens: number, outputTokens: number}): void} [options.onUsage] - Receives the billed tokens.
+     * @returns {Promise<{imageAnalysis: Record<string, number>, imageSummary: string}>}
+     */
+    async analyzeImages(imageFiles, currentPreferences, { onUsage } = {}) {
+      console.log(`Sending ${imageFiles.length} images to '${name}' (${model}) with user preferences:`, JSON.stringify(currentPreferences, null, 2));
+      const rawContent = await send({
+        prompt: ANALYSIS_PROMPT,
+        schemaName: "image_analysis_result",
+        schema: ANALYSIS_SCHEMA,
+        imageFiles,
+        text: JSON.stringify(currentPreferences, null, 2)
+      }, onUsage);
+      return parseAnalysis(rawContent, name);
+    },
+
+    /**
+     * Analyzes a trip description and returns theme deltas and trip details.
+     * @param {string} text - The trip description.
+     * @param {object} currentPreferences - The preference profile (theme scores).
+     * @param {object} [options]
+     * @param {function({inputTokens: number, outputTokens: number}): void} [options.onUsage] - Receives the billed tokens.
+     * @param {string[]} [options.regions=[]] - The regions of the destination catalog.
+     * @returns {Promise<object>} See ./textAnalysisFormat.js.
+     */
+    async analyzeText(text, currentPreferences, { onUsage, regions = [] } = {}) {
+      console.log(`Sending a ${text.length}-character trip description to '${name}' (${model}).`);
+      const rawContent = await send({
+        prompt: TEXT_ANALYSIS_PROMPT,
+        schemaName: "text_analysis_result",
+        schema: buildTextAnalysisSchema(regions),
+        text: buildTextAnalysisInput(text, currentPreferences, regions)
+      }, onUsage);
+      return parseTextAnalysis(rawContent, name);
+    }
+  };
+}
+
+// Use CommonJS exports for Node.js
+module.exports = {
+  createOpenAIProvider,
+};